@@ -11,6 +11,10 @@ const log = isProduction ? () => {} : console.log;
 // - Reduced polygon counts on spheres (32→24, 8→6)
 // - Consolidated event listeners
 // - Optimized lighting (fewer shadow maps)
+
+// Game rules (balls, paddles, AI, score, bonus, obstacles, combo), the seeded random stream and
+// the AI strategies live in simulation.js (GridZoneSimulation) - loaded first, this file renders it
+
 class TronPong {
     constructor() {
         // ═══════════════════════════════════════════════════════════════════════
@@ -36,36 +40,19 @@ class TronPong {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.balls = []; // Changed to array for multi-ball
-        this.ballVelocities = []; // Velocity for each ball
-        this.ballSounds = []; // Spatial audio for each ball
+        this.balls = []; // Ball meshes - same order as simulation.balls
         this.paddle1 = null;
         this.paddle2 = null;
         this.clock = new THREE.Clock();
         
-        // Multi-ball system
-        this.successfulHits = 0; // Track successful paddle hits
-        this.nextBallThreshold = 4; // Add ball after this many hits (changed from 2 to 4)
-        this.maxBalls = 2; // Maximum 2 balls on screen (multi-ball only)
-        
-        // BONUS CUBE SYSTEM
-        this.playerHits = 0; // Track player-only hits
-        this.bonusCube = null; // The active bonus cube
-        this.bonusCubeSpawnInterval = 5; // Spawn every 5 player hits
-        this.bonusCubeActive = false; // Only 1 can exist at a time
-        
-        // BONUS EFFECT - Paddle Width
-        this.bonusActivePaddle = null; // Which paddle has bonus (paddle1 or paddle2)
-        this.bonusTimer = 0; // Countdown timer for bonus duration
-        this.bonusDuration = 5.0; // 5 seconds
-        this.normalPaddleWidth = 5; // Normal paddle width
-        this.bonusPaddleWidth = 10; // 2x width
-        this.paddleWidthTransition = 0; // 0 = normal, 1 = bonus width
-        
-        // RED FLICKER on enemy hit
-        this.bonusCubeFlickerActive = false;
-        this.bonusCubeFlickerTimer = 0;
-        this.bonusCubeFlickerDuration = 1.0; // Fast red blinks for 1.0s total
+        // Headless game rules (simulation.js) - this class renders it: meshes, effects, audio and UI
+        // follow its state and events, and the match rules engine below decides what a goal is worth
+        this.simulation = new GridZoneSimulation({ recordPoint: (scorer) => this.recordPoint(scorer) });
+        this.bindSimulationEvents();
+        
+        // BONUS CUBE SYSTEM (mesh for simulation.bonusCube)
+        this.bonusCube = null; // The bonus cube mesh
+        this.bonusCubeActive = false; // Mesh can still be picked up
         
         // Cache DOM elements for better performance
         this.domElements = {
@@ -82,27 +69,282 @@ class TronPong {
         
         // Game state
         this.paddleSpeed = 0.5;
+        this.keyAccelerationTime = 0; // Keyboard ramps for paddle1 (seconds, from the settings)
+        this.keyDecelerationTime = 0;
         this.aiSpeed = 0.4;
         this.aiDifficulty = 0.8;
-        this.score = { player1: 0, player2: 0 };
+        
+        // AI opponent (strategies + presets live at the top of the file)
+        this.aiPresetIndex = 1; // NORMAL
+        this.aiStyleIndex = 0; // 0 = AUTO (the preset's own strategy)
+        this.aiStrategy = 'classic';
+        this.aiReactionDelay = 0; // Seconds between AI re-reads of the ball
+        
+        // Adaptive difficulty (rubber band) - nudges the preset toward the player's skill
+        // skill/offset run from -1 (struggling) to +1 (dominating); offset eases toward skill
+        this.adaptiveAI = {
+            enabled: true,
+            offset: 0,
+            skill: 0,
+            rate: 0.15, // How fast offset follows skill (per second)
+            window: 8, // Rallies remembered
+            rallies: [], // { returns, playerWon }
+            currentRally: 0, // Player returns in the rally in progress
+            // Max nudge at offset ±1, relative to the preset / survival wave values
+            bounds: {
+                speed: 0.35, // aiSpeed x (1 ± 0.35)
+                accuracy: 0.15, // aiDifficulty ± 0.15 (clamped 0.3 - 0.99)
+                reaction: 0.25 // Extra reaction lag (seconds) when the player is struggling
+            },
+            readout: null,
+            readoutTimer: 0
+        };
         this.gameStarted = false;
         this.isPaused = false;
-        this.isGameFrozen = false; // Game freeze flag for win/death sequences
-        this.timeScale = 1.0; // For slow motion effects (1.0 = normal, 0.3 = slow mo)
+        this.timeScale = 1.0; // Replay playback speed (1.0 = normal) - live play always ticks at 60Hz and never reads it
+        
+        // Fixed-timestep simulation - gameplay always steps at 60Hz, rendering interpolates between ticks
+        // (all velocities/speeds are tuned as "units per 60Hz tick")
+        this.fixedStep = {
+            dt: 1 / 60,
+            accumulator: 0,
+            alpha: 0, // How far the render frame is between the last two ticks (0-1)
+            maxFrameDelta: 0.25, // Longer frames (tab switch, debugger) are clamped - no fast-forward
+            maxStepsPerFrame: 5 // Beyond this the backlog is dropped instead of spiralling
+        };
+        
+        // Input recording + replay viewer
+        // A log is the match seed, the settings and one input snapshot per tick (run-length encoded)
+        this.replay = {
+            recording: null, // Log being written for the match in progress
+            lastLog: null, // Finished log of the last match (WATCH REPLAY on the results screen)
+            active: false, // Viewer is playing a log back
+            log: null,
+            inputs: [], // Log expanded to one snapshot per tick
+            playing: true,
+            speeds: [0.25, 0.5, 1, 2, 4], // Played back through timeScale
+            speedIndex: 2,
+            seekTarget: null, // Tick being fast-forwarded to while scrubbing
+            seekTicksPerFrame: 240,
+            freeCamera: true, // Orbit camera (pauseCamera) instead of the gameplay camera
+            dragging: false,
+            savedOrbit: null, // pauseCamera radius/height before the viewer's drag/zoom
+            liveSettings: null, // Player's own settings, restored when the viewer closes
+            resultsContent: null, // Results screen of the recorded match, shown again on exit
+            lastGamepadButtons: []
+        };
+        
+        // Match rules engine - decides when a match is over
+        // pointsToWin: 0 = no points target, setsToWin: 1 = single set, timeLimit: seconds (0 = no clock)
+        this.matchRulePresets = [
+            { id: 'firstTo7', name: 'FIRST TO 7', pointsToWin: 7, winByTwo: false, setsToWin: 1, timeLimit: 0 },
+            { id: 'firstTo11', name: 'FIRST TO 11 - WIN BY 2', pointsToWin: 11, winByTwo: true, setsToWin: 1, timeLimit: 0 },
+            { id: 'bestOf3', name: 'BEST OF 3 SETS', pointsToWin: 5, winByTwo: true, setsToWin: 2, timeLimit: 0 },
+            { id: 'bestOf5', name: 'BEST OF 5 SETS', pointsToWin: 5, winByTwo: true, setsToWin: 3, timeLimit: 0 },
+            { id: 'timed3', name: '3 MINUTE MATCH', pointsToWin: 0, winByTwo: false, setsToWin: 1, timeLimit: 180 },
+            { id: 'endless', name: 'ENDLESS RALLY', pointsToWin: 0, winByTwo: false, setsToWin: 1, timeLimit: 0 }
+        ];
+        this.matchRulesIndex = 0;
+        this.matchRules = this.matchRulePresets[0];
+        this.applyMatchRulesFromURL(); // Tournament links can pin the rules (?points=11&winBy2=1&sets=3&time=180)
+        
+        // Seeded gameplay randomness (simulation.random) - reseeded every match unless ?seed= pins it (bug reports, fair challenges)
+        this.pinnedSeed = this.getSeedFromURL();
+        this.musicRandom = null; // Separate stream so the track pick doesn't shift gameplay draws
+        this.seedRandom(this.pinnedSeed !== null ? this.pinnedSeed : generateSeed());
+        this.match = {
+            over: false,
+            winner: null,
+            currentSet: 1,
+            setsWon: { player1: 0, player2: 0 },
+            setScores: [], // Final points of each completed set
+            clock: 0, // Seconds of live play (used by time-limited matches)
+            suddenDeath: false, // Time ran out on a tie - next point wins
+            duration: 0 // Match time on the results screen (the clock when it ended)
+        };
+        this.matchResultsVisible = false;
+        
+        // Game modes (picked on the title screen, see GAME_MODES in simulation.js)
+        this.gameModes = GAME_MODES;
+        this.gameModeIndex = 0;
+        this.gameMode = 'classic';
+        
+        // Time Attack - beat the clock, goals against cost seconds, combos multiply points
+        this.timeAttack = {
+            duration: 120, // Seconds on the clock
+            goalPenalty: 10, // Seconds lost per goal against
+            hitPoints: 10, // Points per paddle return (x multiplier)
+            goalPoints: 100, // Points per goal scored (x multiplier)
+            points: 0,
+            multiplier: 1, // Follows the simulation's combo level ('combo' event)
+            bestCombo: 0,
+            goals: 0,
+            goalsAgainst: 0,
+            penaltyTime: 0 // Seconds taken off the clock so far
+        };
+        
+        // Survival - limited lives, every wave the AI and the arena get meaner
+        this.survival = {
+            startingLives: 3,
+            lives: 3,
+            wave: 1,
+            waveDuration: 30, // Seconds of live play per wave
+            // Added per wave, clamped to the caps below
+            escalation: {
+                aiSpeed: 0.04,
+                aiDifficulty: 0.03,
+                baseBallSpeed: 0.015,
+                obstacleInterval: -1.0,
+                maxBallsEveryWaves: 2 // +1 ball every 2nd wave
+            },
+            caps: {
+                aiSpeed: 0.8,
+                aiDifficulty: 0.98,
+                baseBallSpeed: 0.3,
+                obstacleInterval: 3.0,
+                maxBalls: 4
+            }
+        };
+        this.leaderboardSize = 10;
+        this.lastMatchSummary = null; // Plain object of the last finished run (leaderboard entry)
+
+        // Title screen setup menu (W/S or ↑/↓ picks a row, A/D or ←/→ changes it)
+        this.gameSetup = {
+            selectedRow: 0,
+            element: null
+        };
         
-        // Combo system
-        this.consecutiveHits = 0;
-        this.currentCombo = 0;
-        this.comboTimeout = null;
+        // Player settings (O / SHARE on the title screen or in the pause menu), saved to localStorage
+        // as { version, values }. Bump settingsVersion and add a migration from the previous version
+        // whenever a stored value changes meaning - new keys need no bump (they start at their default)
+        // and out-of-range or unknown values fall back to the defaults
+        this.settingsStorageKey = 'gridzone.settings';
+        this.settingsVersion = 1;
+        this.settingsMigrations = {
+            // [fromVersion]: (values) => values in the fromVersion + 1 format
+        };
+        this.defaultSettings = {
+            mouseSensitivity: 0.0000375,
+            paddleSpeed: 0.5,
+            musicVolume: 0.67,
+            performanceMode: false,
+            crtEffect: true,
+            showFPS: false,
+            masterVolume: 1,
+            sfxVolume: 1,
+            musicMode: 'shuffle', // What plays when a track ends: 'shuffle', 'sequential' or 'repeat' (the same track)
+            musicCrossfade: 2, // Seconds the old and new track overlap on a change (0 = hard cut)
+            adaptiveMusic: true, // Synthesized layers that build with the rally (see ADAPTIVE MUSIC)
+            beatVisuals: true, // Lights and particles pulse with the soundtrack (see BEAT SYNC)
+            beatVisualIntensity: 1, // Scales every beat pulse
+            // Control feel (Settings > CONTROL FEEL) - stick shaping happens before the tick input is recorded
+            stickDeadzone: 0.15, // Fraction of the stick's throw ignored around the center
+            stickDeadzoneShape: 'axial', // 'axial' (X alone) or 'radial' (whole stick - pushing up never leaks sideways)
+            stickAntiDeadzone: 0, // Smallest output once past the deadzone (for games / pads with their own deadzone)
+            stickCurve: 'linear', // 'linear', 'exponential' or 'custom'
+            stickCurveExponent: 2, // Exponential: output = input ^ exponent
+            stickCurveLow: 0.25, // Custom: output at 25% / 50% / 75% throw (straight lines in between)
+            stickCurveMid: 0.5,
+            stickCurveHigh: 0.75,
+            keyAccelerationTime: 0, // Seconds for paddle1 to reach full speed on the keys (0 = instant)
+            keyDecelerationTime: 0 // Seconds to stop once released
+        };
+        this.settingsLimits = {
+            mouseSensitivity: { min: 0.000009375, max: 0.0001125, step: 0.000009375 }, // 25% - 300% of the default
+            paddleSpeed: { min: 0.3, max: 0.8, step: 0.05 },
+            musicVolume: { min: 0, max: 1, step: 0.1 },
+            masterVolume: { min: 0, max: 1, step: 0.1 },
+            sfxVolume: { min: 0, max: 1, step: 0.1 },
+            musicCrossfade: { min: 0, max: 5, step: 0.5 },
+            beatVisualIntensity: { min: 0.25, max: 2, step: 0.25 },
+            stickDeadzone: { min: 0, max: 0.5, step: 0.05 },
+            stickAntiDeadzone: { min: 0, max: 0.5, step: 0.05 },
+            stickCurveExponent: { min: 1, max: 3, step: 0.25 },
+            stickCurveLow: { min: 0, max: 1, step: 0.05 },
+            stickCurveMid: { min: 0, max: 1, step: 0.05 },
+            stickCurveHigh: { min: 0, max: 1, step: 0.05 },
+            keyAccelerationTime: { min: 0, max: 0.5, step: 0.05 },
+            keyDecelerationTime: { min: 0, max: 0.5, step: 0.05 }
+        };
+        this.settingsChoices = {
+            musicMode: ['shuffle', 'sequential', 'repeat'],
+            stickDeadzoneShape: ['axial', 'radial'],
+            stickCurve: ['linear', 'exponential', 'custom']
+        };
+        // Settings > CONTROL FEEL rows (RESTORE DEFAULT FEEL only resets these)
+        this.controlFeelSettings = [
+            'stickDeadzone', 'stickDeadzoneShape', 'stickAntiDeadzone', 'stickCurve', 'stickCurveExponent',
+            'stickCurveLow', 'stickCurveMid', 'stickCurveHigh', 'keyAccelerationTime', 'keyDecelerationTime'
+        ];
+        this.settings = { ...this.defaultSettings }; // Replaced by the stored profile in init()
+        this.settingsMenu = {
+            open: false,
+            selectedRow: 0,
+            element: null,
+            rowsElement: null,
+            titleElement: null,
+            hintElement: null,
+            page: 'settings', // 'settings', 'controls' (rebinding) or 'feel' (control feel + input visualizer)
+            capture: null, // Waiting for a key / pad input: { action, device, armed, startedAt }
+            message: '', // Last rebinding result (conflicts...) shown under the rows
+            lastButtons: [] // Gamepad debounce (D-pad, Cross, Circle, Square, Share)
+        };
+        // CONTROL FEEL page preview: canvas plus a keyboard ramp run on frame time (the real one runs on the tick)
+        this.inputVisualizer = {
+            canvas: null,
+            context: null,
+            keyVelocity: 0
+        };
         
+        // Action map - every rebindable action with its default keys and gamepad inputs.
+        // Keys are KeyboardEvent.key values (lowercase); pad inputs are { button } or { axis, direction }
+        // in the standard mapping. `when` is the state an action works in - two actions may only share
+        // an input if they never apply at the same time (P2 movement takes its keys away from P1 in versus)
+        this.inputActions = [
+            { id: 'moveLeft', name: 'MOVE LEFT', when: 'playing', keys: ['a', 'arrowleft'], pad: [{ axis: 0, direction: -1 }] },
+            { id: 'moveRight', name: 'MOVE RIGHT', when: 'playing', keys: ['d', 'arrowright'], pad: [{ axis: 0, direction: 1 }] },
+            { id: 'p2MoveLeft', name: 'P2 MOVE LEFT', when: 'playing', shares: 'moveLeft', keys: ['arrowleft'], pad: [] },
+            { id: 'p2MoveRight', name: 'P2 MOVE RIGHT', when: 'playing', shares: 'moveRight', keys: ['arrowright'], pad: [] },
+            { id: 'start', name: 'START GAME', when: 'title', keys: [' '], pad: [{ button: 0 }] },
+            { id: 'rematch', name: 'REMATCH', when: 'results', keys: [' ', 'enter'], pad: [{ button: 0 }] },
+            { id: 'watchReplay', name: 'WATCH REPLAY', when: 'results', keys: ['v'], pad: [{ button: 2 }] },
+            { id: 'pause', name: 'PAUSE', when: 'always', keys: ['escape'], pad: [{ button: 9 }] },
+            { id: 'superReset', name: 'SUPER RESET', when: 'paused', keys: ['r'], pad: [{ button: 2 }] },
+            { id: 'settings', name: 'SETTINGS', when: 'always', keys: ['o'], pad: [{ button: 8 }] },
+            { id: 'previousTrack', name: 'PREVIOUS TRACK', when: 'always', keys: ['[', '{'], pad: [{ button: 4 }] },
+            { id: 'nextTrack', name: 'NEXT TRACK', when: 'always', keys: [']', '}'], pad: [{ button: 5 }] },
+            { id: 'performanceMode', name: 'PERFORMANCE MODE', when: 'always', keys: ['p'], pad: [{ button: 1 }] },
+            { id: 'fpsCounter', name: 'FPS COUNTER', when: 'always', keys: ['f'], pad: [{ button: 3 }] },
+            { id: 'crtEffect', name: 'CRT EFFECT', when: 'always', keys: ['c'], pad: [] },
+            { id: 'fullscreen', name: 'FULLSCREEN', when: 'always', keys: ['j'], pad: [] }
+        ];
+        this.maxBindingsPerAction = 2; // Per device - a new binding pushes out the oldest
+        
+        // Display names for the controls screen (anything else shows as typed / BUTTON n / AXIS n)
+        this.keyNames = {
+            ' ': 'SPACE', 'escape': 'ESC', 'enter': 'ENTER', 'tab': 'TAB', 'shift': 'SHIFT', 'control': 'CTRL', 'alt': 'ALT',
+            'arrowleft': 'LEFT ARROW', 'arrowright': 'RIGHT ARROW', 'arrowup': 'UP ARROW', 'arrowdown': 'DOWN ARROW'
+        };
+        this.padButtonNames = [
+            'CROSS / A', 'CIRCLE / B', 'SQUARE / X', 'TRIANGLE / Y', 'L1 / LB', 'R1 / RB', 'L2 / LT', 'R2 / RT',
+            'SHARE / BACK', 'OPTIONS / START', 'L3', 'R3', 'D-PAD UP', 'D-PAD DOWN', 'D-PAD LEFT', 'D-PAD RIGHT', 'HOME'
+        ];
+        this.padAxisNames = [ // [negative, positive] per standard-mapping axis
+            ['L-STICK LEFT', 'L-STICK RIGHT'], ['L-STICK UP', 'L-STICK DOWN'],
+            ['R-STICK LEFT', 'R-STICK RIGHT'], ['R-STICK UP', 'R-STICK DOWN']
+        ];
+        
+        // Binding profiles - the keyboard plus one per controller (Gamepad.id), so pads with a
+        // non-standard layout keep their own buttons. Same { version, values } envelope as the settings
+        this.bindingsStorageKey = 'gridzone.bindings';
+        this.bindingsVersion = 1;
+        this.bindingsMigrations = {};
+        this.bindings = { keyboard: {}, gamepads: {} }; // Filled from the defaults / stored profile in init()
+        this.padActionLatch = {}; // Rising-edge detection per `${padIndex}:${action}`
+
         // Music track name display timeout
         this.trackNameTimeout = null;
         
-        // Death reset optimization
-        this.deathResetPhase = 0;
-        this.deathResetProgress = 0;
-        this.scoreSequenceActive = false; // Prevent multiple win/death sequences
-        
         // Death camera lock
         this.deathCameraLocked = false;
         this.deathCameraPosition = null;
@@ -113,16 +355,9 @@ class TronPong {
         // Interval tracking for cleanup (prevents background process accumulation)
         this.activeIntervals = [];
         
-        // Ball speed management
-        this.baseBallSpeed = 0.15; // Base ball speed (consistent across all spawns)
-        this.ballSpeedMultiplier = 1.0; // Current speed multiplier from paddle hits
-        
-        // Anti-stuck collision system
-        this.ballCollisionCooldowns = []; // Track collision cooldowns per ball
-        this.ballLastPositions = []; // Track ball positions for stuck detection
-        this.ballStuckFrames = []; // Count frames ball hasn't moved much
-        this.maxStuckFrames = 60; // Reset ball after 60 frames of being stuck (1 second at 60fps)
-        this.collisionCooldownTime = 8; // Frames to wait between same collision type (increased to prevent false triggers)
+        // window/document listeners (removed by destroy) and the render loop's frame id
+        this.globalListeners = [];
+        this.animationId = null;
         
         // FPS counter system
         this.fpsCounter = {
@@ -135,8 +370,6 @@ class TronPong {
         
         // Performance mode system
         this.performanceMode = false; // Start in quality mode for full experience
-        this.performanceModeKeyPressed = false; // Track key state
-        this.lastCirclePress = false;
         this.performanceSettings = {
             renderScale: 1.0, // 1.0 = full resolution, 0.5 = half resolution
             enableFisheye: true,
@@ -169,6 +402,31 @@ class TronPong {
         // Bonus light system
         this.bonusLight = null;
         
+        // Power-up look, one entry per POWER_UPS id (simulation.js): cube + pickup light color and pickup sound.
+        // The pickup text is the power-up's name
+        this.powerUpVisuals = {
+            wide: { color: 0xFF8C00, sound: 'multiBall' }, // Orange - the original bonus
+            speed: { color: 0x33FF66, sound: 'paddleWiden' },
+            giant: { color: 0xFFEE00, sound: 'combo' },
+            cloak: { color: 0x9955FF, sound: 'waveBuzz' },
+            shield: { color: 0x3388FF, sound: 'score' },
+            multiBall: { color: 0xFFFFFF, sound: 'bonusSpawn' }
+        };
+        this.powerUpEnemyColor = 0xff00ff; // AI / player 2 pickups and shield - the magenta of flashGoalMagenta
+        
+        // Power-up HUD (countdown bars) + the SHIELD barrier meshes
+        this.powerUpHud = {
+            key: '', // Which power-ups the rows were built for - rebuilt only when that changes
+            bars: []
+        };
+        this.shieldBarriers = { player1: null, player2: null };
+        this.shieldBarrier = {
+            height: 3, // Up from the floor - the ball rolls at y = 0
+            opacity: 0.45, // Fully raised (the goals are 0.3)
+            raiseTime: 0.3, // Seconds to rise when collected / sink when it runs out unused
+            shards: 5 // Impact bursts along the barrier when a ball breaks it
+        };
+        
         // SHARED GEOMETRIES - Create once, reuse everywhere for performance!
         this.sharedGeometries = {
             ball: new THREE.SphereGeometry(0.5, 24, 24),
@@ -264,11 +522,38 @@ class TronPong {
         this.lastMouseX = 0;
         this.mouseTiltVelocity = 0;
         this.mouseSensitivity = 0.0000375; // How sensitive mouse movement is (reduced by 50% more)
+        this.pendingMouseDeltaX = 0; // Mouse movement collected between simulation ticks
         this.mouseTiltAcceleration = 0.12; // How fast mouse tilt ramps up
         this.mouseTiltDecay = 0.94; // How fast mouse tilt ramps down
         this.maxMouseTiltVelocity = 1.2; // Maximum mouse tilt velocity
         this.mouseControlsEnabled = false; // Only active during gameplay
         
+        // Touch controls (phones / tablets): drag moves paddle1, tap starts / pauses
+        this.touch = {
+            enabled: false, // Switched on by the first touch (or a coarse pointer at load)
+            element: null, // On-screen button bar
+            dragId: null, // Touch identifier currently steering the paddle
+            lastX: 0,
+            startX: 0,
+            startY: 0,
+            startTime: 0,
+            moved: false
+        };
+        this.touchTapDistance = 12; // Pixels a finger may wander and still count as a tap
+        this.touchTapTime = 300; // ms
+        this.touchDragScale = 1.5; // Dragging across the whole screen moves the paddle 1.5 arena widths
+        // On-screen buttons - same actions as the keys / pad buttons (triggerAction checks the state)
+        this.touchButtons = [
+            { action: 'pause', label: 'PAUSE' },
+            { action: 'settings', label: 'SETTINGS' },
+            { action: 'previousTrack', label: '◀ TRACK' },
+            { action: 'nextTrack', label: 'TRACK ▶' },
+            { action: 'fpsCounter', label: 'FPS' },
+            { action: 'crtEffect', label: 'CRT' },
+            { action: 'performanceMode', label: 'PERF' },
+            { action: 'fullscreen', label: 'FULL' }
+        ];
+        
         // CRT Shader Effect
         this.crtEffect = {
             enabled: true, // Always on by default
@@ -279,7 +564,13 @@ class TronPong {
         
         
         // Camera system
-        this.cameraTarget = { x: 0, y: 0, z: 0, zoom: 22 };
+        // Gameplay framing per screen shape - portrait pulls back and up so the whole 24x38 arena fits the narrow view
+        this.cameraPresets = {
+            landscape: { height: 18, zoom: 22 },
+            portrait: { height: 44, zoom: 26 }
+        };
+        this.cameraFraming = this.getCameraPreset();
+        this.cameraTarget = { x: 0, y: 0, z: 0, zoom: this.cameraFraming.zoom };
         this.cameraSmooth = 0.015; // Much more gradual camera movement (was 0.05)
         
         // 3D Death skull system
@@ -325,7 +616,15 @@ class TronPong {
         
         // Controls
         this.keys = {};
-        this.gamepad = null;
+        this.gamepad = null; // Active controller's snapshot for this frame (drives paddle1 and the menus)
+        this.secondGamepad = null; // Versus: the first other connected controller drives paddle2
+        
+        // Controller manager - every connected pad by Gamepad.index. The player picks the active one
+        // in the settings screen; otherwise the first pad connected keeps it
+        this.controllers = {
+            connected: [], // Gamepad.index values in connection order
+            activeIndex: null
+        };
         
         // Animated lights
         this.animatedLights = [];
@@ -337,23 +636,6 @@ class TronPong {
         this.paddleBlinkTimers = { paddle1: 0, paddle2: 0 };
         this.wallBlinkTimers = { left: 0, right: 0 };
         
-        // Paddle pushback
-        this.paddle1Pushback = 0; // Current pushback distance
-        this.paddle2Pushback = 0;
-        
-        // Paddle tilt (for directional movement immersion)
-        this.paddle1Tilt = 0; // Current tilt angle
-        this.paddle2Tilt = 0;
-        this.paddleTiltSpeed = 0.15; // How fast tilt responds to movement
-        this.maxPaddleTilt = 0.35; // Max tilt angle in radians (~20 degrees)
-        
-        // Random floor obstacles
-        this.obstacleTimer = 0;
-        this.obstacleInterval = 10.0; // Spawn obstacle every 10 seconds
-        this.activeObstacle = null; // Currently raised obstacle
-        this.obstacleHeight = 6; // Same height as walls
-        this.obstacleDuration = 8.0; // How long obstacle stays up
-        
         // Particles
         this.particles = null;
         this.particleOriginalPositions = [];
@@ -378,15 +660,6 @@ class TronPong {
         this.particleColorFadeSpeed = 1.5; // How fast colors return to original
         this.lastHitPaddle = null; // Track which paddle hit last ('player' or 'enemy')
         
-        // Stuck ball detection and recovery system
-        this.ballCollisionHistory = []; // Track recent collision positions and times
-        this.maxCollisionHistory = 10; // Keep last 10 collisions
-        this.stuckDetectionRadius = 3.0; // If ball collides within 3 units of previous collision
-        this.stuckDetectionTime = 500; // Within 0.5 seconds
-        this.stuckCollisionThreshold = 6; // If 6+ collisions in same area within 0.5s = stuck
-        this.collisionDisabled = false; // Flag to disable collisions temporarily
-        this.collisionDisableTimer = 0; // Timer for re-enabling collisions
-        
         
         // Environment map for reflections
         this.envMap = null;
@@ -416,28 +689,104 @@ class TronPong {
         this.trails = []; // Array of trail objects, one per ball
         this.maxTrailLength = 50; // Longer trail
         this.performanceTrailLength = 25; // Shorter trail in performance mode
-        this.ballOwners = []; // Track who last hit each ball (array for multi-ball support)
         
-        // Audio
-        this.sounds = {
-            paddleHit: null,
-            wallHit: null,
-            death: null,
-            music: null,
-            combo: null,
-            score: null,
-            multiBall: null,
-            goalAlarm: null,
-            menuSelect: null,
-            pause: null,  // New pause sound
-            electroFlow: null  // New electro-flow sound for wall wave celebration
+        // Audio - effects are decoded once and played on pooled Web Audio voices (see AUDIO ENGINE)
+        this.soundEffects = {
+            paddleHit: { file: 'SoundEffects/jump-10.wav', volume: 0.8 },
+            wallHit: { file: 'SoundEffects/jump-5.wav', volume: 0.7 }, // Bounce_Deep sound (back to original)
+            death: { file: 'SoundEffects/lose-10.wav', volume: 0.5 },
+            combo: { file: 'SoundEffects/video-game-bonus-323603.mp3', volume: 0.6 },
+            score: { file: 'SoundEffects/win-1.wav', volume: 0.7 },
+            multiBall: { file: 'SoundEffects/win-9.wav', volume: 0.7 },
+            goalAlarm: { file: 'SoundEffects/going-up.wav', volume: 0.8 }, // Wall lighting sound after win (plays once)
+            menuSelect: { file: 'SoundEffects/Coin_22_converted.wav', volume: 0.6 },
+            bonusDenied: { file: 'SoundEffects/bonk-5.wav', volume: 0.8 },
+            waveBuzz: { file: 'SoundEffects/Robotic_low_buzz.wav', volume: 0.7 },
+            bonusSpawn: { file: 'SoundEffects/coin-6.wav', volume: 0.6 },
+            paddleWiden: { file: 'SoundEffects/Robotic_twang.wav', volume: 0.7 },
+            electroFlow: { file: 'SoundEffects/Robotic_low_buzz.wav', volume: 0.8 }, // Wall wave celebration sound
+            bonusAppear: { file: 'SoundEffects/coin-6.wav', volume: 0.8 },
+            pause: { file: 'SoundEffects/collect-2.wav', volume: 0.6 }
+        };
+        
+        // Mixer: music bus + SFX bus -> master bus -> speakers. Every effect gets a voice from the pool
+        // (gain -> stereo panner -> SFX bus), so overlapping hits ring out instead of cutting each other off
+        this.audio = {
+            context: null, // AudioContext - browsers keep it suspended until a key / click / touch (resumeAudio)
+            buses: { master: null, music: null, sfx: null },
+            musicFilter: null, // Low-pass + duck gain between the music bus and the master bus (death screen)
+            musicDuck: null,
+            buffers: {}, // soundName -> decoded AudioBuffer (missing until its file has loaded)
+            voices: [], // { gain, panner, source, name, startedAt }
+            voiceCount: 24,
+            maxVoicesPerSound: 4, // A fifth overlapping copy of one effect replaces its oldest copy
+            spatialSpread: 0.85, // Pan at a side wall (1 = hard left / right)
+            farAttenuation: 0.35 // Effects at the AI's end are this much quieter than at the player's
+        };
+        // Music player (see MUSIC PLAYER) - every track streams from its own <audio> element through its own
+        // gain "deck" into the music bus, so a track change fades the old deck out under the new one
+        this.music = {
+            deck: null, // { element, gain, file, advancing } - the track playing (or paused) now
+            fadingDecks: [], // Previous decks still fading out
+            unplayable: new Set(), // Files that failed to load (missing from Music/, unsupported format...) - always skipped
+            chosen: false, // A track was remembered or picked - until then the first match start chooses one
+            recent: [], // Last few shuffle picks, kept out of the next draw while there's a choice
+            recentLimit: 3,
+            lastDirection: 1, // Which way to skip when the current track turns out unplayable
+            storageKey: 'gridzone.music' // { track: file } - the last track chosen (null = No Music), picked up next visit
+        };
+        // Adaptive music (see ADAPTIVE MUSIC) - synthesized layers on a 16th-note clock, mixed in over the track
+        // as the rally builds. Intensity (0-1) comes from consecutive hits, balls in play and ball speed
+        this.adaptiveMusic = {
+            tempo: 124, // BPM of the layer clock (the celebration stinger lands on its next beat)
+            stepsPerBeat: 4,
+            step: 0, // Next grid step to schedule
+            nextStepTime: 0, // Its AudioContext time (0 = clock stopped)
+            scheduleAhead: 0.12, // Seconds of notes queued ahead (covers a slow frame)
+            intensity: 0, // Smoothed towards the gameplay value - rises fast, settles slowly
+            riseTime: 1.5,
+            fallTime: 4,
+            fadeWidth: 0.15, // Intensity range over which a layer fades in past its threshold
+            layers: {
+                kick: { threshold: 0.1, volume: 0.5, gain: null }, // Four on the floor
+                bass: { threshold: 0.3, volume: 0.3, gain: null }, // Off-beat eighths
+                hats: { threshold: 0.5, volume: 0.15, gain: null }, // 16ths, accented off-beats
+                arp: { threshold: 0.7, volume: 0.12, gain: null } // Arpeggio over the top
+            },
+            roots: [55, 43.65, 49, 41.2], // Bass root per bar (A1, F1, G1, E1)
+            arpeggio: [4, 6, 8, 6, 5, 8, 6, 5], // Multiples of the root, one per 8th note
+            duck: { gain: 0.35, cutoff: 700, time: 0.15 }, // Death screen: music level, low-pass cutoff, ramp time constant
+            noise: null // Shared white noise buffer (hats, stinger)
+        };
+        // Beat sync (see BEAT SYNC) - an analyser on the music decks finds onsets in the low end and pulses the
+        // overhead / underground lights and the particle opacity with them
+        this.beatSync = {
+            analyser: null, // Every deck's gain feeds it (the track before the music volume, no adaptive layers)
+            data: null, // Frequency bins, refilled every frame
+            lowBandHz: 150, // Energy below this is what makes a beat (kick, bass)
+            average: 0, // Moving average of the low-band energy (0-1)
+            averageTime: 0.8, // Seconds the average looks back
+            lastEnergy: 0,
+            threshold: 1.35, // A beat is rising energy this far above the average...
+            minEnergy: 0.25, // ...that's loud enough to count
+            minInterval: 0.22, // Seconds between beats (about 270 BPM at most)
+            lastBeatTime: 0,
+            pulse: 0, // 1 on a beat, decays over decayTime
+            decayTime: 0.12,
+            boosts: { overhead: 3, overhead2: 6, underground: 0.4, particles: 0.25 }, // Added at a full pulse (x BEAT INTENSITY)
+            applied: new Map() // target -> { value, amount } (see applyBeatPulse)
         };
         
-        // Sound queuing system to prevent multiple sounds on same frame
-        this.soundQueue = [];
-        this.lastSoundTime = 0;
-        this.soundDelay = 50; // 50ms delay between sounds
         
+        // Snapshot of the tuning values Survival escalates (restored at the start of every match)
+        this.applyAIPreset();
+        this.defaultDifficulty = {
+            aiSpeed: this.aiSpeed,
+            aiDifficulty: this.aiDifficulty,
+            baseBallSpeed: this.simulation.baseBallSpeed,
+            maxBalls: this.simulation.maxBalls,
+            obstacleInterval: this.simulation.obstacleInterval
+        };
         
         this.cacheDOMElements(); // Cache DOM first!
         this.init();
@@ -455,17 +804,29 @@ class TronPong {
         this.domElements.multiBallText = document.getElementById('multiBallText');
         this.domElements.deathScreen = document.getElementById('deathScreen');
         this.domElements.deathText = document.getElementById('deathText');
-    }
-    
-    // Spatial audio system removed - not working properly
-
-    // Spatial audio system removed - not working properly
-
-    playStereoWallHit(side) {
-        // Simple wall hit sound - no stereo effects
-        this.playSound('wallHit');
+        this.domElements.matchInfo = document.getElementById('matchInfo');
+        this.domElements.powerUpHud = document.getElementById('powerUpHud');
+        this.domElements.matchResults = document.getElementById('matchResults');
+        this.domElements.replayButton = document.getElementById('replayButton');
+        this.domElements.replayControls = document.getElementById('replayControls');
+        this.domElements.replayScrubber = document.getElementById('replayScrubber');
+        this.domElements.replayTime = document.getElementById('replayTime');
+        this.domElements.replayPlayButton = document.getElementById('replayPlayButton');
+        this.domElements.replaySpeedButton = document.getElementById('replaySpeedButton');
+        this.domElements.replayCameraButton = document.getElementById('replayCameraButton');
+        this.gameSetup.element = document.getElementById('gameSetup');
+        this.settingsMenu.element = document.getElementById('settingsMenu');
+        this.settingsMenu.rowsElement = document.getElementById('settingsRows');
+        this.settingsMenu.titleElement = document.getElementById('settingsTitle');
+        this.settingsMenu.hintElement = document.getElementById('settingsHint');
+        this.inputVisualizer.canvas = document.getElementById('inputVisualizer');
+        this.inputVisualizer.context = this.inputVisualizer.canvas ? this.inputVisualizer.canvas.getContext('2d') : null;
+    }
+    
+    playStereoWallHit(position) {
+        // Panned to the side that was hit (walls and obstacles)
+        this.playSound('wallHit', position);
         this.boostParticleOpacity(); // Boost particles on wall hit
-        log(`🎵 Wall hit: ${side} side`);
     }
     
     boostParticleOpacity(paddleType = null) {
@@ -556,109 +917,27 @@ class TronPong {
         this.particles.geometry.attributes.color.needsUpdate = true;
     }
     
-    recordBallCollision(ballPosition) {
-        // Record collision position and timestamp
-        const currentTime = performance.now();
-        this.ballCollisionHistory.push({
-            position: ballPosition.clone(),
-            timestamp: currentTime
-        });
-        
-        // Keep only recent collisions
-        if (this.ballCollisionHistory.length > this.maxCollisionHistory) {
-            this.ballCollisionHistory.shift();
-        }
-        
-        // Check for stuck ball pattern
-        this.checkForStuckBall();
-    }
-    
-    checkForStuckBall() {
-        if (this.ballCollisionHistory.length < this.stuckCollisionThreshold) return;
-        
-        const currentTime = performance.now();
-        const recentCollisions = this.ballCollisionHistory.filter(collision => 
-            currentTime - collision.timestamp <= this.stuckDetectionTime
-        );
-        
-        if (recentCollisions.length >= this.stuckCollisionThreshold) {
-            // Check if collisions are clustered in a small area
-            const positions = recentCollisions.map(c => c.position);
-            const centerPosition = this.calculateCenter(positions);
-            
-            // Count collisions within detection radius of center
-            const clusteredCollisions = positions.filter(pos => 
-                pos.distanceTo(centerPosition) <= this.stuckDetectionRadius
-            );
-            
-            if (clusteredCollisions.length >= this.stuckCollisionThreshold) {
-                this.triggerStuckBallRecovery();
-            }
-        }
-    }
-    
-    calculateCenter(positions) {
-        // Calculate center position of collision cluster
-        const center = new THREE.Vector3();
-        positions.forEach(pos => center.add(pos));
-        center.divideScalar(positions.length);
-        return center;
-    }
-    
-    triggerStuckBallRecovery() {
-        // Disable collisions for just THIS frame to break the loop
-        this.collisionDisabled = true;
-        this.collisionDisableTimer = 0; // No timer - reset immediately next frame
-        
-        // Clear collision history to reset detection
-        this.ballCollisionHistory = [];
+    loadSounds() {
         
-        log('🚨 STUCK BALL DETECTED! Collisions disabled for current frame to break loop');
-    }
-    
-    updateStuckBallRecovery(deltaTime) {
-        // Update collision disable timer
-        if (this.collisionDisabled) {
-            // If timer is 0, re-enable immediately (same frame)
-            if (this.collisionDisableTimer <= 0) {
-                this.collisionDisabled = false;
-                log('✅ Ball collision recovery complete - collisions re-enabled immediately');
-            } else {
-                // Decrease timer
-                this.collisionDisableTimer -= deltaTime;
-                
-                if (this.collisionDisableTimer <= 0) {
-                    this.collisionDisabled = false;
-                    log('✅ Ball collision recovery complete - collisions re-enabled');
-                }
+        // Audio engine - one that fails halfway is dropped, and without audio.context every sound is skipped
+        try {
+            this.initAudio();
+        } catch (e) {
+            log('❌ Audio engine failed - playing without sound:', e);
+            if (this.audio.context) {
+                this.audio.context.close();
             }
+            this.audio.context = null;
+            this.audio.voices = [];
+            this.beatSync.analyser = null;
         }
-    }
-    
-    
-    loadSounds() {
         
-        // Load sound files
+        // Effect buffers (decoded in the background)
         try {
-            this.sounds.paddleHit = new Audio('SoundEffects/jump-10.wav');
-            this.sounds.wallHit = new Audio('SoundEffects/jump-5.wav');
-            this.sounds.death = new Audio('SoundEffects/lose-10.wav');
-            this.sounds.combo = new Audio('SoundEffects/video-game-bonus-323603.mp3');
-            this.sounds.score = new Audio('SoundEffects/win-1.wav');
-            this.sounds.multiBall = new Audio('SoundEffects/win-9.wav');
-            this.sounds.goalAlarm = new Audio('SoundEffects/going-up.wav'); // Wall lighting sound after win
-            this.sounds.menuSelect = new Audio('SoundEffects/Coin_22_converted.wav');
-            this.sounds.bonusDenied = new Audio('SoundEffects/bonk-5.wav');
-            this.sounds.waveBuzz = new Audio('SoundEffects/Robotic_low_buzz.wav');
-            this.sounds.bonusSpawn = new Audio('SoundEffects/coin-6.wav');
-            this.sounds.paddleWiden = new Audio('SoundEffects/Robotic_twang.wav'); // Use existing file
-            this.sounds.electroFlow = new Audio('SoundEffects/Robotic_low_buzz.wav'); // Wall wave celebration sound
-            this.sounds.bonusAppear = new Audio('SoundEffects/coin-6.wav');
-            this.sounds.pause = new Audio('SoundEffects/collect-2.wav');
-            log('🎵 Loaded bonusAppear sound:', this.sounds.bonusAppear);
-            log('🎵 Loaded pause sound:', this.sounds.pause);
-            
-            // Music Player System
+            this.loadSoundEffects();
+            
+            // Music catalogue (in order for previous / next). Entries whose file is missing are found by
+            // validateMusicCatalogue and skipped, so the list can name tracks that aren't shipped yet
             this.musicTracks = [
                 { file: null, name: 'No Music' }, // Muted option
                 { file: 'Music/the-antlers.mp3', name: 'The Antlers' },
@@ -676,35 +955,9 @@ class TronPong {
                 { file: 'Music/untitled.mp3', name: 'Untitled' },
                 { file: 'Music/world-of-ruin.mp3', name: 'World of Ruin' }
             ];
-            this.currentTrackIndex = 1; // Start with first real track
-            this.sounds.music = new Audio(this.musicTracks[1].file);
-            this.sounds.music.volume = 0.67;
-            this.sounds.music.loop = true;
-            
-            // Set volumes
-            this.sounds.paddleHit.volume = 0.8;
-            this.sounds.wallHit.volume = 0.7; // Bounce_Deep sound (back to original)
-            this.sounds.death.volume = 0.5;
-            this.sounds.combo.volume = 0.6;
-            this.sounds.score.volume = 0.7;
-            this.sounds.multiBall.volume = 0.7;
-            this.sounds.menuSelect.volume = 0.6;
-            this.sounds.goalAlarm.volume = 0.8;
-            this.sounds.bonusDenied.volume = 0.8; // Loud alarm for goal flash!
-            this.sounds.waveBuzz.volume = 0.7;
-            this.sounds.bonusSpawn.volume = 0.6;
-            this.sounds.paddleWiden.volume = 0.7;
-            this.sounds.bonusAppear.volume = 0.8;
-            this.sounds.electroFlow.volume = 0.8; // Wall wave celebration sound
-            this.sounds.pause.volume = 0.6;
-            
-            // Music settings
-            this.sounds.goalAlarm.loop = false; // Don't loop the alarm - play once only
-            
-            // Shoulder button debounce
-            this.lastLBPress = false;
-            this.lastRBPress = false;
-            this.lastTrianglePress = false;
+            this.currentTrackIndex = 1; // First real track unless a remembered one loads below
+            this.loadMusicState();
+            this.validateMusicCatalogue();
             
         // Traveling wave light (celebratory wave)
         this.waveLights = []; // Array of traveling lights (one per wall side)
@@ -757,91 +1010,460 @@ class TronPong {
         }
     }
     
-    playSound(soundName, priority = false) {
-        const sound = this.sounds[soundName];
-        if (!sound) {
-            log('❌ Sound not found:', soundName);
+    // ===== AUDIO ENGINE =====
+    
+    initAudio() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            log('❌ Web Audio not supported - playing without sound');
             return;
         }
         
-        // Priority sounds (like music) play immediately
-        if (priority || soundName === 'music') {
-            sound.currentTime = 0;
-            sound.play().catch(e => log('Audio play failed for', soundName, ':', e));
-            log('🎵 Playing priority sound:', soundName);
-            this.lastSoundTime = performance.now();
+        const audio = this.audio;
+        const context = new AudioContextClass();
+        audio.context = context;
+        
+        // Mixer buses
+        audio.buses.master = context.createGain();
+        audio.buses.master.connect(context.destination);
+        audio.buses.music = context.createGain();
+        audio.musicFilter = context.createBiquadFilter();
+        audio.musicFilter.type = 'lowpass';
+        audio.musicFilter.frequency.value = 20000;
+        audio.musicDuck = context.createGain();
+        audio.buses.music.connect(audio.musicFilter);
+        audio.musicFilter.connect(audio.musicDuck);
+        audio.musicDuck.connect(audio.buses.master);
+        
+        // Beat analysis tap (createMusicDeck connects every deck to it)
+        const beatSync = this.beatSync;
+        beatSync.analyser = context.createAnalyser();
+        beatSync.analyser.fftSize = 1024;
+        beatSync.analyser.smoothingTimeConstant = 0.3;
+        beatSync.data = new Uint8Array(beatSync.analyser.frequencyBinCount);
+        audio.buses.sfx = context.createGain();
+        audio.buses.sfx.connect(audio.buses.master);
+        this.applyMixerVolumes();
+        
+        // Voice pool - the nodes are reused, only the (one-shot) buffer source is new per sound
+        for (let i = 0; i < audio.voiceCount; i++) {
+            const gain = context.createGain();
+            const panner = context.createStereoPanner();
+            gain.connect(panner);
+            panner.connect(audio.buses.sfx);
+            audio.voices.push({ gain, panner, source: null, name: null, startedAt: 0 });
+        }
+        this.initAdaptiveMusic();
+        log('🎵 Audio engine ready:', context.sampleRate, 'Hz,', audio.voiceCount, 'voices');
+    }
+    
+    loadSoundEffects() {
+        // Fetch + decode each file once (several effects share a file); an effect plays as soon as its buffer is in
+        const context = this.audio.context;
+        if (!context) return;
+        
+        const decoding = {};
+        for (const [soundName, effect] of Object.entries(this.soundEffects)) {
+            if (!decoding[effect.file]) {
+                decoding[effect.file] = fetch(effect.file)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.arrayBuffer();
+                    })
+                    // Callback form - older Safari has no promise version of decodeAudioData
+                    .then(data => new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject)));
+            }
+            decoding[effect.file]
+                .then(buffer => {
+                    this.audio.buffers[soundName] = buffer;
+                })
+                .catch(e => log('❌ Could not load sound', soundName, `(${effect.file}):`, e));
+        }
+    }
+    
+    resumeAudio() {
+        // Autoplay policy: the context only starts from inside a user gesture
+        const context = this.audio.context;
+        if (context && context.state === 'suspended') {
+            context.resume().catch(e => log('Could not resume audio:', e));
+        }
+    }
+    
+    applyMixerVolumes() {
+        // Settings -> bus gains (short ramp so slider steps don't click)
+        const { context, buses } = this.audio;
+        if (!context) {
+            if (this.music.deck) {
+                this.music.deck.element.volume = this.settings.musicVolume * this.settings.masterVolume;
+            }
             return;
         }
         
-        // Queue other sounds to prevent conflicts
-        const currentTime = performance.now();
-        const timeSinceLastSound = currentTime - this.lastSoundTime;
-        
-        if (timeSinceLastSound >= this.soundDelay) {
-            // Can play immediately
-            sound.currentTime = 0;
-            sound.play().catch(e => log('Audio play failed for', soundName, ':', e));
-            log('🎵 Playing sound:', soundName);
-            this.lastSoundTime = currentTime;
+        const now = context.currentTime;
+        buses.master.gain.setTargetAtTime(this.settings.masterVolume, now, 0.02);
+        buses.music.gain.setTargetAtTime(this.settings.musicVolume, now, 0.02);
+        buses.sfx.gain.setTargetAtTime(this.settings.sfxVolume, now, 0.02);
+    }
+    
+    playSound(soundName, position = null) {
+        // position: { x, z } in arena units for sounds that happen somewhere (hits, bonus cube...) - pans with x
+        // Fast-forwarding a replay would fire every sound of the skipped ticks at once
+        if (this.replay.seekTarget !== null) return;
+        
+        const effect = this.soundEffects[soundName];
+        if (!effect) {
+            log('❌ Sound not found:', soundName);
+            return;
+        }
+        const audio = this.audio;
+        const buffer = audio.buffers[soundName];
+        if (!audio.context || !buffer) return; // Not decoded (yet) - skipped rather than played late
+        
+        const voice = this.allocateVoice(soundName);
+        const source = audio.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(voice.gain);
+        source.onended = () => {
+            if (voice.source === source) {
+                voice.source = null;
+                voice.name = null;
+            }
+        };
+        
+        const spatial = this.getSpatialMix(position);
+        const now = audio.context.currentTime;
+        voice.gain.gain.setValueAtTime(effect.volume * spatial.gain, now);
+        voice.panner.pan.setValueAtTime(spatial.pan, now);
+        voice.source = source;
+        voice.name = soundName;
+        voice.startedAt = now;
+        source.start(now);
+    }
+        
+    allocateVoice(soundName) {
+        // A free voice if there is one - unless this effect is already stacked maxVoicesPerSound deep,
+        // then its own oldest copy is replaced. With every voice busy the oldest sound overall gives way
+        const voices = this.audio.voices;
+        const oldest = (list) => list.reduce((first, voice) => voice.startedAt < first.startedAt ? voice : first);
+        const copies = voices.filter(voice => voice.name === soundName);
+        const free = voices.find(voice => !voice.source);
+        
+        let voice;
+        if (copies.length >= this.audio.maxVoicesPerSound) {
+            voice = oldest(copies);
         } else {
-            // Queue the sound
-            const delay = this.soundDelay - timeSinceLastSound;
-            setTimeout(() => {
-                sound.currentTime = 0;
-                sound.play().catch(e => log('Audio play failed for queued', soundName, ':', e));
-                log('🎵 Playing queued sound:', soundName);
-                this.lastSoundTime = performance.now();
-            }, delay);
+            voice = free || oldest(voices);
         }
+        this.stopVoice(voice);
+        return voice;
     }
     
-    changeTrack(direction) {
-        // direction: 1 = next, -1 = previous
+    stopVoice(voice) {
+        const source = voice.source;
+        if (!source) return;
         
-        // Check if we're currently on "No Music"
-        const wasOnNoMusic = this.musicTracks[this.currentTrackIndex].file === null;
-        const wasPlaying = !this.sounds.music.paused;
-        const currentTime = this.sounds.music.currentTime;
+        voice.source = null;
+        voice.name = null;
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+    }
+    
+    stopSound(soundName) {
+        for (const voice of this.audio.voices) {
+            if (voice.name === soundName) {
+                this.stopVoice(voice);
+            }
+        }
+    }
+    
+    getSpatialMix(position) {
+        // Left/right from x (the walls are the edges of the stereo field), quieter towards the AI's end
+        if (!position) return { pan: 0, gain: 1 };
+        
+        const pan = Math.max(-1, Math.min(1, position.x / ARENA.wallX)) * this.audio.spatialSpread;
+        const distance = Math.max(0, Math.min(1, (ARENA.paddleZ - position.z) / (ARENA.paddleZ * 2))); // 0 = player's paddle, 1 = AI's
+        return { pan, gain: 1 - distance * this.audio.farAttenuation };
+    }
+    
+    // ===== MUSIC PLAYER =====
+    
+    loadMusicState() {
+        // Last visit's track (No Music included) - unknown files just fall back to the default pick
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.music.storageKey));
+        } catch (e) {
+            stored = null;
+        }
+        
+        const index = stored ? this.musicTracks.findIndex(track => track.file === stored.track) : -1;
+        if (index >= 0) {
+            this.currentTrackIndex = index;
+            this.music.chosen = true;
+            log('🎵 Remembered track:', this.musicTracks[index].name);
+        }
+    }
+        
+    saveMusicState() {
+        try {
+            localStorage.setItem(this.music.storageKey, JSON.stringify({
+                track: this.musicTracks[this.currentTrackIndex].file
+            }));
+        } catch (e) {
+            log('Could not save music state');
+        }
+    }
+    
+    validateMusicCatalogue() {
+        // HEAD every file up front so missing tracks are skipped before anyone lands on them. Without a
+        // server (file://) the request itself fails - the element's error event catches those tracks instead
+        for (const track of this.musicTracks) {
+            if (track.file === null) continue;
+            fetch(track.file, { method: 'HEAD' })
+                .then(response => {
+                    if (!response.ok) {
+                        this.markTrackUnplayable(track.file, `HTTP ${response.status}`);
+                    }
+                })
+                .catch(() => {});
+        }
+    }
+    
+    isTrackPlayable(index) {
+        const file = this.musicTracks[index].file;
+        return file !== null && !this.music.unplayable.has(file);
+    }
+    
+    markTrackUnplayable(file, reason) {
+        const music = this.music;
+        if (music.unplayable.has(file)) return;
+        music.unplayable.add(file);
+        log('❌ Skipping unplayable track', file, `(${reason})`);
+        
+        if (this.musicTracks[this.currentTrackIndex].file !== file) return;
+        if (music.deck && music.deck.file === file) {
+            // It was loaded to play - move on to a real track the way the player was going
+            const index = this.findPlayableTrack(this.currentTrackIndex, music.lastDirection, false);
+            this.playTrack(index, this.gameStarted && !this.isPaused);
+            this.showTrackName(this.musicTracks[index].name, index === 0);
+        } else {
+            // Only selected (title screen) - quietly pick its neighbour
+            this.currentTrackIndex = this.findPlayableTrack(this.currentTrackIndex, music.lastDirection);
+        }
+    }
+    
+    findPlayableTrack(fromIndex, direction, includeNoMusic = true) {
+        // Next catalogue entry that way that can actually play (wraps round to fromIndex itself last)
+        const count = this.musicTracks.length;
+        for (let step = 1; step <= count; step++) {
+            const index = ((fromIndex + direction * step) % count + count) % count;
+            if (this.isTrackPlayable(index) || (includeNoMusic && this.musicTracks[index].file === null)) {
+                return index;
+            }
+        }
+        return 0; // Nothing playable at all - No Music
+    }
+    
+    pickShuffleTrack() {
+        // Random playable track - not the current one or a recent pick while there's anything else
+        const playable = this.musicTracks.map((track, index) => index).filter(index => this.isTrackPlayable(index));
+        if (playable.length === 0) return 0;
+        
+        const currentFile = this.musicTracks[this.currentTrackIndex].file;
+        const fresh = playable.filter(index => {
+            const file = this.musicTracks[index].file;
+            return file !== currentFile && !this.music.recent.includes(file);
+        });
+        const pool = fresh.length > 0 ? fresh : playable;
+        return pool[Math.floor(this.musicRandom() * pool.length)];
+    }
+    
+    getNextTrackIndex() {
+        // What follows a track that finished on its own (repeat-one never gets here - its element loops)
+        if (this.settings.musicMode === 'shuffle') {
+            return this.pickShuffleTrack();
+        }
+        return this.findPlayableTrack(this.currentTrackIndex, 1, false);
+    }
+    
+    createMusicDeck(file) {
+        // Tracks stream from an <audio> element (no need to decode minutes of music up front),
+        // through the deck's own gain into the music bus - the volume lives on the bus, not the element
+        const element = new Audio(file);
+        element.loop = this.settings.musicMode === 'repeat';
+        const deck = { element, gain: null, file, advancing: false, fadeTimeout: null };
+        
+        element.addEventListener('error', () => this.markTrackUnplayable(file, 'load error'));
+        element.addEventListener('timeupdate', () => this.onMusicTimeUpdate(deck));
+        element.addEventListener('ended', () => this.onMusicEnded(deck));
+        
+        const audio = this.audio;
+        if (audio.context) {
+            deck.gain = audio.context.createGain();
+            audio.context.createMediaElementSource(element).connect(deck.gain);
+            deck.gain.connect(audio.buses.music);
+            deck.gain.connect(this.beatSync.analyser);
+        } else {
+            element.volume = this.settings.musicVolume * this.settings.masterVolume;
+        }
+        return deck;
+    }
+    
+    playTrack(index, autoplay = true) {
+        // Switch to musicTracks[index]: the old deck fades out while the new one fades in (No Music only fades out)
+        const music = this.music;
+        const track = this.musicTracks[index];
+        this.currentTrackIndex = index;
+        music.chosen = true;
+        this.saveMusicState();
+        this.fadeOutDeck();
+        if (track.file === null) return;
+        
+        const deck = this.createMusicDeck(track.file);
+        music.deck = deck;
+        music.recent = [...music.recent.filter(file => file !== track.file), track.file].slice(-music.recentLimit);
+        if (!autoplay) return;
+        
+        const context = this.audio.context;
+        const fade = this.settings.musicCrossfade;
+        if (deck.gain && fade > 0) {
+            const now = context.currentTime;
+            deck.gain.gain.setValueAtTime(0, now);
+            deck.gain.gain.linearRampToValueAtTime(1, now + fade);
+        }
+        deck.element.play().catch(e => log('Could not play track:', track.name));
+    }
+    
+    fadeOutDeck() {
+        // Hand the current deck over to the fading list (paused decks and hard cuts stop straight away)
+        const music = this.music;
+        const deck = music.deck;
+        music.deck = null;
+        if (!deck) return;
+        
+        const context = this.audio.context;
+        const fade = this.settings.musicCrossfade;
+        if (!deck.gain || fade <= 0 || deck.element.paused) {
+            this.releaseDeck(deck);
+            return;
+        }
+        
+        const now = context.currentTime;
+        deck.gain.gain.cancelScheduledValues(now);
+        deck.gain.gain.setValueAtTime(deck.gain.gain.value, now);
+        deck.gain.gain.linearRampToValueAtTime(0, now + fade);
+        music.fadingDecks.push(deck);
+        deck.fadeTimeout = setTimeout(() => this.releaseDeck(deck), fade * 1000);
+    }
+    
+    releaseDeck(deck) {
+        clearTimeout(deck.fadeTimeout);
+        deck.element.pause();
+        if (deck.gain) {
+            deck.gain.disconnect();
+        }
+        this.music.fadingDecks = this.music.fadingDecks.filter(fading => fading !== deck);
+    }
+    
+    onMusicTimeUpdate(deck) {
+        // Start the next track early enough to crossfade over the end of this one
+        if (deck !== this.music.deck || deck.advancing || deck.element.loop) return;
+        const { duration, currentTime } = deck.element;
+        if (isFinite(duration) && duration - currentTime <= this.settings.musicCrossfade) {
+            this.advanceTrack(deck);
+        }
+    }
+    
+    onMusicEnded(deck) {
+        // Crossfade off (or a track shorter than the fade) - timeupdate didn't get there first
+        if (deck !== this.music.deck || deck.advancing) return;
+        this.advanceTrack(deck);
+    }
+    
+    advanceTrack(deck) {
+        deck.advancing = true;
+        const index = this.getNextTrackIndex();
+        this.playTrack(index);
+        this.showTrackName(this.musicTracks[index].name, index === 0);
+        log('🎵 Up next:', this.musicTracks[index].name);
+    }
+    
+    applyMusicMode() {
+        // Repeat-one is a looping element; switching away lets the current track run out into the next
+        if (this.music.deck) {
+            this.music.deck.element.loop = this.settings.musicMode === 'repeat';
+        }
+    }
+    
+    startMusic() {
+        // Match start: carry on with the current / remembered track. With nothing chosen yet,
+        // shuffle draws one and the other modes start from the top of the catalogue
+        const music = this.music;
+        if (music.deck) {
+            this.resumeMusic();
+            return;
+        }
         
-        // Stop current track (if there is one)
-        if (!wasOnNoMusic) {
-            this.sounds.music.pause();
-            this.sounds.music.currentTime = 0;
+        let index = this.currentTrackIndex;
+        if (!music.chosen) {
+            index = this.settings.musicMode === 'shuffle' ? this.pickShuffleTrack() : this.findPlayableTrack(0, 1, false);
+        } else if (this.musicTracks[index].file !== null && !this.isTrackPlayable(index)) {
+            index = this.findPlayableTrack(index, 1);
         }
         
-        // Update track index (with wrapping)
-        this.currentTrackIndex += direction;
-        if (this.currentTrackIndex >= this.musicTracks.length) {
-            this.currentTrackIndex = 0;
-        } else if (this.currentTrackIndex < 0) {
-            this.currentTrackIndex = this.musicTracks.length - 1;
+        this.playTrack(index);
+        this.showTrackName(this.musicTracks[index].name, this.musicTracks[index].file === null);
+        log(`🎵 Starting music: ${this.musicTracks[index].name}`);
+    }
+    
+    pauseMusic() {
+        // Fades in progress just stop - resuming brings back only the current track
+        for (const deck of [...this.music.fadingDecks]) {
+            this.releaseDeck(deck);
         }
+        if (this.music.deck) {
+            this.music.deck.element.pause();
+        }
+    }
+    
+    resumeMusic() {
+        const deck = this.music.deck;
+        if (deck) {
+            deck.element.play().catch(e => log('Could not resume music'));
+        } else if (this.musicTracks[this.currentTrackIndex].file !== null) {
+            // Stopped (full reset) - start the selected track over
+            this.playTrack(this.currentTrackIndex);
+        }
+    }
+    
+    stopMusic() {
+        this.pauseMusic();
+        if (this.music.deck) {
+            this.releaseDeck(this.music.deck);
+            this.music.deck = null;
+        }
+    }
+    
+    changeTrack(direction) {
+        // direction: 1 = next, -1 = previous - walks the catalogue in order (No Music included), skipping unplayable files
+        const music = this.music;
+        music.lastDirection = direction;
         
-        // Load new track
-        const newTrack = this.musicTracks[this.currentTrackIndex];
+        // Play if game started AND (was playing OR coming from "No Music"); paused / title screen just selects it
+        const wasOnNoMusic = this.musicTracks[this.currentTrackIndex].file === null;
+        const wasPlaying = music.deck !== null && !music.deck.element.paused;
+        const index = this.findPlayableTrack(this.currentTrackIndex, direction);
+        const newTrack = this.musicTracks[index];
+        this.playTrack(index, this.gameStarted && (wasPlaying || (wasOnNoMusic && !this.isPaused)));
         
         // Handle "No Music" option
         if (newTrack.file === null) {
-            // Muted - no track loaded
-            // Stop current music if playing
-            if (!wasOnNoMusic) {
-                this.sounds.music.pause();
-                this.sounds.music.currentTime = 0;
-            }
             this.showTrackName(newTrack.name, true); // Pass true for magenta styling
             log('🎵 No Music (Muted)');
             return;
         }
         
-        this.sounds.music = new Audio(newTrack.file);
-        this.sounds.music.volume = 0.67;
-        this.sounds.music.loop = true;
-        
-        // Play if game started AND (was playing OR coming from "No Music")
-        if (this.gameStarted && (wasPlaying || wasOnNoMusic)) {
-            this.sounds.music.play().catch(e => log('Could not play new track'));
-        }
-        
         // Show track name
         this.showTrackName(newTrack.name);
         
@@ -896,10 +1518,234 @@ class TronPong {
         }, 2000);
     }
     
+    // ===== ADAPTIVE MUSIC =====
+    
+    initAdaptiveMusic() {
+        // One gain per layer into the music bus (so MUSIC VOLUME and the death duck cover them) + a noise buffer
+        const context = this.audio.context;
+        const state = this.adaptiveMusic;
+        for (const layer of Object.values(state.layers)) {
+            layer.gain = context.createGain();
+            layer.gain.gain.value = 0;
+            layer.gain.connect(this.audio.buses.music);
+        }
+        
+        state.noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const samples = state.noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+    }
+    
+    isMusicPlaying() {
+        const deck = this.music.deck;
+        return deck !== null && !deck.element.paused;
+    }
+    
+    getMusicIntensity() {
+        // Long rallies carry most of it; extra balls and a fast ball push it the rest of the way
+        const simulation = this.simulation;
+        const rally = Math.min(1, simulation.consecutiveHits / 16);
+        const balls = Math.min(1, (simulation.balls.length - 1) / 2);
+        const speed = Math.min(1, (simulation.ballSpeedMultiplier - 1) / 1.5);
+        return Math.min(1, rally * 0.6 + balls * 0.25 + speed * 0.35);
+    }
+    
+    updateAdaptiveMusic(deltaTime) {
+        const context = this.audio.context;
+        const state = this.adaptiveMusic;
+        if (!context || !state.noise) return;
+        
+        // Layers only play over a track during a running match (No Music / pause / title screen = silent)
+        const active = this.settings.adaptiveMusic && this.gameStarted && !this.isPaused && this.isMusicPlaying();
+        const target = active ? this.getMusicIntensity() : 0;
+        const time = target > state.intensity ? state.riseTime : state.fallTime;
+        state.intensity += (target - state.intensity) * Math.min(1, deltaTime / time);
+        
+        const now = context.currentTime;
+        for (const layer of Object.values(state.layers)) {
+            const level = Math.max(0, Math.min(1, (state.intensity - layer.threshold) / state.fadeWidth));
+            layer.gain.gain.setTargetAtTime(level * layer.volume, now, 0.1);
+        }
+        
+        if (!active) {
+            state.nextStepTime = 0;
+            return;
+        }
+        
+        // Lookahead scheduler - queue every grid step that starts before now + scheduleAhead
+        const stepDuration = 60 / state.tempo / state.stepsPerBeat;
+        if (state.nextStepTime < now) {
+            state.nextStepTime = now + 0.05; // (Re)start the clock after a pause or a long frame
+        }
+        while (state.nextStepTime < now + state.scheduleAhead) {
+            this.scheduleMusicStep(state.step, state.nextStepTime, stepDuration);
+            state.step = (state.step + 1) % (state.stepsPerBeat * 4 * state.roots.length);
+            state.nextStepTime += stepDuration;
+        }
+    }
+    
+    scheduleMusicStep(step, time, stepDuration) {
+        // Notes are only created for layers that are audible
+        const state = this.adaptiveMusic;
+        const layers = state.layers;
+        const audible = (layer) => state.intensity > layer.threshold;
+        const beatStep = step % state.stepsPerBeat;
+        const root = state.roots[Math.floor(step / (state.stepsPerBeat * 4))];
+        
+        if (beatStep === 0 && audible(layers.kick)) {
+            this.playSynthNote(layers.kick, 'sine', 120, time, 0.25, 1, 45);
+        }
+        if (beatStep === 2 && audible(layers.bass)) {
+            this.playSynthNote(layers.bass, 'sawtooth', root, time, stepDuration * 2, 1);
+        }
+        if (audible(layers.hats)) {
+            this.playNoiseHit(layers.hats, time, 0.04, beatStep === 2 ? 1 : 0.5, 7000);
+        }
+        if (beatStep % 2 === 0 && audible(layers.arp)) {
+            const multiple = state.arpeggio[(step / 2) % state.arpeggio.length];
+            this.playSynthNote(layers.arp, 'square', root * multiple, time, stepDuration * 1.5, 1);
+        }
+    }
+    
+    playSynthNote(layer, type, frequency, time, duration, peak, endFrequency = frequency) {
+        // Oscillator -> decay envelope -> layer gain; endFrequency sweeps the pitch (kick drum)
+        const context = this.audio.context;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        if (endFrequency !== frequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration * 0.6);
+        }
+        envelope.gain.setValueAtTime(peak, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(layer.gain);
+        oscillator.onended = () => envelope.disconnect();
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+    
+    playNoiseHit(layer, time, duration, peak, highpass) {
+        const context = this.audio.context;
+        const source = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const envelope = context.createGain();
+        source.buffer = this.adaptiveMusic.noise;
+        filter.type = 'highpass';
+        filter.frequency.value = highpass;
+        envelope.gain.setValueAtTime(peak, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(layer.gain);
+        source.onended = () => envelope.disconnect();
+        source.start(time, Math.random() * 0.5); // Random offset so repeated hits don't sound identical
+        source.stop(time + duration);
+    }
+    
+    playMusicStinger() {
+        // Rising chord + noise swell on the music bus, on the layer clock's next beat (right away if it's stopped)
+        const context = this.audio.context;
+        const state = this.adaptiveMusic;
+        if (!context || !state.noise || !this.isMusicPlaying() || this.replay.seekTarget !== null) return;
+        
+        let time = context.currentTime + 0.02;
+        if (state.nextStepTime > 0) {
+            const stepDuration = 60 / state.tempo / state.stepsPerBeat;
+            const stepsToBeat = (state.stepsPerBeat - state.step % state.stepsPerBeat) % state.stepsPerBeat;
+            time = state.nextStepTime + stepsToBeat * stepDuration;
+        }
+        
+        const stinger = { gain: this.audio.buses.music };
+        const root = state.roots[Math.floor(state.step / (state.stepsPerBeat * 4))] * 4;
+        for (const multiple of [1, 1.25, 1.5, 2]) {
+            this.playSynthNote(stinger, 'sawtooth', root * multiple, time, 1.6, 0.08, root * multiple * 2);
+        }
+        this.playNoiseHit(stinger, time, 0.8, 0.15, 3000);
+        log('🎵 Stinger on beat in', Math.round((time - context.currentTime) * 1000), 'ms');
+    }
+    
+    setMusicDuck(ducked) {
+        // Death screen: drop the music level and low-pass it; back to the open mix when the field unfreezes
+        const { context, musicFilter, musicDuck } = this.audio;
+        if (!context) return;
+        
+        const duck = this.adaptiveMusic.duck;
+        const now = context.currentTime;
+        musicDuck.gain.setTargetAtTime(ducked ? duck.gain : 1, now, duck.time);
+        musicFilter.frequency.setTargetAtTime(ducked ? duck.cutoff : 20000, now, duck.time);
+    }
+    
+    // ===== BEAT SYNC =====
+    
+    updateBeatSync(deltaTime) {
+        const state = this.beatSync;
+        state.pulse *= Math.exp(-deltaTime / state.decayTime);
+        if (state.analyser && this.isMusicPlaying()) {
+            this.detectBeat(deltaTime);
+        }
+        
+        // Off / title screen: amount 0 takes any pulse still applied back off
+        const strength = this.settings.beatVisuals && this.gameStarted ? state.pulse * this.settings.beatVisualIntensity : 0;
+        const boosts = state.boosts;
+        if (this.overheadLight) {
+            this.applyBeatPulse(this.overheadLight, 'intensity', strength * boosts.overhead);
+            this.applyBeatPulse(this.overheadLight2, 'intensity', strength * boosts.overhead2);
+        }
+        if (this.undergroundLight) {
+            this.applyBeatPulse(this.undergroundLight, 'intensity', strength * boosts.underground);
+        }
+        if (this.particles) {
+            this.applyBeatPulse(this.particles.material, 'opacity', strength * boosts.particles, 1);
+        }
+    }
+    
+    detectBeat(deltaTime) {
+        // Onset = low-band energy rising well above its moving average, no sooner than minInterval after the last one
+        const state = this.beatSync;
+        const context = this.audio.context;
+        state.analyser.getByteFrequencyData(state.data);
+        
+        const binWidth = context.sampleRate / state.analyser.fftSize;
+        const bins = Math.max(1, Math.round(state.lowBandHz / binWidth));
+        let sum = 0;
+        for (let i = 0; i < bins; i++) {
+            sum += state.data[i];
+        }
+        const energy = sum / bins / 255;
+        
+        const now = context.currentTime;
+        if (energy > state.minEnergy && energy > state.average * state.threshold && energy > state.lastEnergy &&
+            now - state.lastBeatTime >= state.minInterval) {
+            state.pulse = 1;
+            state.lastBeatTime = now;
+        }
+        state.average += (energy - state.average) * Math.min(1, deltaTime / state.averageTime);
+        state.lastEnergy = energy;
+    }
+    
+    applyBeatPulse(target, property, amount, max = Infinity) {
+        // The lights and particles are set by their own systems (hit flashes, fades, transitions) - the pulse goes
+        // on top. If nothing else wrote the value since last frame, last frame's pulse comes back off first
+        const applied = this.beatSync.applied.get(target);
+        let base = target[property];
+        if (applied && base === applied.value) {
+            base -= applied.amount;
+        }
+        const value = Math.min(max, base + amount);
+        target[property] = value;
+        this.beatSync.applied.set(target, { value, amount: value - base });
+    }
+    
     triggerRumble(intensity = 0.3, duration = 100) {
-        // Get the latest gamepad state
-        const gamepads = navigator.getGamepads();
-        const gamepad = gamepads[0];
+        if (this.replay.active) return; // Watching, not playing
+        
+        // Get the latest state of the active controller
+        const gamepad = this.getControllerSnapshot(this.controllers.activeIndex);
         
         if (gamepad && gamepad.vibrationActuator) {
             log('🎮 Triggering rumble:', { intensity, duration, gamepadId: gamepad.id });
@@ -1122,7 +1968,7 @@ class TronPong {
             0.1,
             1000
         );
-        this.camera.position.set(0, 18, 22);
+        this.camera.position.set(0, this.cameraFraming.height, this.cameraFraming.zoom);
         this.camera.lookAt(0, -4, 0);
         // Enable camera to see both layer 0 and layer 1 (paddles are on layer 1)
         this.camera.layers.enable(0);
@@ -1157,6 +2003,7 @@ class TronPong {
         this.createGrid();
         this.createEnvironmentCubes();
         this.createGoals(); // Laser forcefield goals!
+        this.createShieldBarriers(); // SHIELD power-up, hidden until someone has it
         // Don't create ball yet - wait for game to start!
         this.createPaddles();
         this.createBoundaries();
@@ -1170,6 +2017,11 @@ class TronPong {
         // Create FPS counter
         this.createFPSCounter();
         
+        // Stored player settings (sensitivity, volume, display toggles) and control bindings
+        this.loadSettings();
+        this.applySettings();
+        this.loadBindings();
+        
         // Start animation
         this.animate();
         
@@ -2003,14 +2855,9 @@ class TronPong {
     }
     
     createGrid() {
-        // Create floor as a grid of separated cubes
-        const gridSize = 40; // Total floor size
-        const cubeSize = 1.8; // Size of each cube
-        const gap = 0.15; // Gap between cubes
-        const cubesPerRow = Math.floor(gridSize / (cubeSize + gap));
-        
-        // Laser wall boundaries - floor should end right at the laser walls!
-        const laserWallBoundary = 19;
+        // Floor as a grid of separated cubes - one per simulation floor tile (obstacles rise from
+        // them, the bonus cube sits on them), so floorCubes[i] renders simulation.floorTiles[i]
+        const cubeSize = ARENA.tileSize; // Size of each cube
         
         // Array to store all floor cubes for later effects
         this.floorCubes = [];
@@ -2032,39 +2879,25 @@ class TronPong {
             // envMap will be set after loading via updateMaterialsWithEnvMap()
         });
         
-        // Create grid of cubes
         const cubeGeometry = new THREE.BoxGeometry(cubeSize, 0.2, cubeSize);
         
-        for (let x = 0; x < cubesPerRow; x++) {
-            for (let z = 0; z < cubesPerRow; z++) {
-                // Position cube
-                const posX = (x - cubesPerRow / 2) * (cubeSize + gap) + (cubeSize + gap) / 2;
-                const posZ = (z - cubesPerRow / 2) * (cubeSize + gap) + (cubeSize + gap) / 2;
-                
-                // Only create floor cubes within laser wall boundaries!
-                if (Math.abs(posZ) > laserWallBoundary) continue;
-                
-                // OPTIMIZATION: Only create cubes in the extended play area
-                // Play area: -12 to +12 in X (walls), extended to -18 to +18 in Z (includes some buffer)
-                if (Math.abs(posX) > 14 || Math.abs(posZ) > 18) continue;
-                
-                const cube = new THREE.Mesh(cubeGeometry, cubeMaterial.clone());
-                
-                cube.position.set(posX, -2, posZ);
-                cube.receiveShadow = true;
-                cube.castShadow = false; // Floor tiles don't cast shadows
-                
-                // Store original values for animation
-                cube.userData.originalY = -2;
-                cube.userData.targetY = -2;
-                cube.userData.currentElevation = 0;
-                cube.userData.originalColor = this.defaultMaterialConfig.color;
-                cube.userData.originalEmissive = this.defaultMaterialConfig.emissive;
-                cube.userData.originalEmissiveIntensity = this.defaultMaterialConfig.emissiveIntensity;
-                
-                this.scene.add(cube);
-                this.floorCubes.push(cube);
-            }
+        for (const tile of this.simulation.floorTiles) {
+            const cube = new THREE.Mesh(cubeGeometry, cubeMaterial.clone());
+            
+            cube.position.set(tile.x, tile.y, tile.z);
+            cube.receiveShadow = true;
+            cube.castShadow = false; // Floor tiles don't cast shadows
+            
+            // Store original values for animation
+            cube.userData.originalY = tile.y;
+            cube.userData.targetY = tile.y;
+            cube.userData.currentElevation = 0;
+            cube.userData.originalColor = this.defaultMaterialConfig.color;
+            cube.userData.originalEmissive = this.defaultMaterialConfig.emissive;
+            cube.userData.originalEmissiveIntensity = this.defaultMaterialConfig.emissiveIntensity;
+            
+            this.scene.add(cube);
+            this.floorCubes.push(cube);
         }
         
         log(`Floor created with ${this.floorCubes.length} cubes (confined within laser walls)`);
@@ -2093,17 +2926,8 @@ class TronPong {
     }
     
     
-    createBall() {
-        // Create first ball
-        this.spawnBall(0, 0, 0, { x: 0, y: 0, z: -this.baseBallSpeed });
-    }
-    
-    spawnBall(x, y, z, velocity) {
-        // Reset stuck ball collision system when spawning new ball
-        this.collisionDisabled = false;
-        this.collisionDisableTimer = 0;
-        this.ballCollisionHistory = [];
-        
+    spawnBallMesh(simBall) {
+        // Mesh, trail and light for a ball the simulation just spawned ('ballSpawned')
         // Use shared geometry for performance!
         const ballMaterial = new THREE.ShaderMaterial({
             uniforms: {
@@ -2152,19 +2976,12 @@ class TronPong {
         });
         
         const ball = new THREE.Mesh(this.sharedGeometries.ball, ballMaterial);
-        ball.position.set(x, y, z);
+        ball.position.set(simBall.position.x, simBall.position.y, simBall.position.z);
         ball.castShadow = true;
         this.scene.add(ball);
         
         const ballIndex = this.balls.length;
         this.balls.push(ball);
-        this.ballVelocities.push({ ...velocity });
-        
-        // Initialize ball ownership (default to AI since balls start toward AI)
-        this.ballOwners[ballIndex] = 'ai';
-        
-        // Initialize anti-stuck system for this ball
-        this.initializeBallAntiStuck(ballIndex);
         
         // Create trail for this ball
         this.createTrailForBall(ballIndex);
@@ -2257,9 +3074,6 @@ class TronPong {
                 this.ballLights[ballIndex].color.setHex(0xff00ff);
         }
         }
-        
-        // Track ownership for this specific ball
-        this.ballOwners[ballIndex] = owner;
     }
     
     createTrail() {
@@ -2377,6 +3191,12 @@ class TronPong {
                     }
                 }
             }
+            
+            // A cloaked ball leaves no trail either (positions keep recording underneath)
+            trail.mesh.visible = ball.visible;
+            if (!ball.visible) {
+                trail.spheres.forEach(sphere => sphere.visible = false);
+            }
         }
     }
     
@@ -2535,6 +3355,10 @@ class TronPong {
         this.paddle2.userData.originalEmissiveIntensity = 0.8; // Show true color (was 2.0)
         // Store material reference for blink animations
         this.paddle2.userData.material = paddle2Material;
+        // Store paddle parts for proper scaling (bonus widening works for either side)
+        this.paddle2.userData.cylinder = cylinder2;
+        this.paddle2.userData.leftCap = leftCap2;
+        this.paddle2.userData.rightCap = rightCap2;
         this.scene.add(this.paddle2);
         
         // TEST: Comment out layer isolation to see if paddles match ball
@@ -2641,7 +3465,7 @@ class TronPong {
         const goalWidth = 24; // Match play area width
         const goalHeight = 6; // Match wall pillar height
         
-        // Shader material for animated gradient laser effect
+        // Shader material for animated gradient laser effect (kept for the SHIELD barriers)
         const goalShader = {
             uniforms: {
                 time: { value: 0 },
@@ -2725,6 +3549,7 @@ class TronPong {
         this.aiGoal.userData.originalColor = new THREE.Color(0xff3300); // Deep red/orange
         this.scene.add(this.aiGoal);
         
+        this.goalShader = goalShader;
         log('✨ Laser forcefield goals created!');
     }
     
@@ -3012,99 +3837,62 @@ class TronPong {
     
     setupEventListeners() {
         // Keyboard controls
-        window.addEventListener('keydown', (e) => {
-            this.keys[e.key.toLowerCase()] = true;
-            
-            // Start game on space
-            if (e.key === ' ' && !this.gameStarted) {
-                this.startGame();
-            }
-            
-            // Pause on ESC
-            if (e.key === 'Escape') {
-                this.togglePause();
-            }
-            
-            // Performance mode toggle on 'P' key
-            if (e.key.toLowerCase() === 'p' && !this.performanceModeKeyPressed) {
-                this.performanceModeKeyPressed = true;
-                this.togglePerformanceMode();
-            }
-            
-            
-            // FPS counter toggle on 'F' key
-            if (e.key.toLowerCase() === 'f' && !this.lastFPSTogglePress) {
-                this.lastFPSTogglePress = true;
-                this.toggleFPSCounter();
-            }
+        this.listen(window, 'keydown', (e) => {
+            const key = e.key.toLowerCase();
+            this.keys[key] = true;
             
-            // CRT effect toggle on 'C' key
-            if (e.key.toLowerCase() === 'c') {
-                this.toggleCRTEffect();
+            // Replay viewer owns Space/arrows/Escape while it is open
+            if (this.replay.active && this.handleReplayKey(key)) {
+                e.preventDefault();
+                return;
             }
             
-            
-            // Track controls
-            if (e.key === '[' || e.key === '{') {
-                this.changeTrack(-1); // Previous track
-            }
-            if (e.key === ']' || e.key === '}') {
-                this.changeTrack(1); // Next track
+            // Settings screen owns the menu keys while it is open (and catches keys being rebound)
+            if (this.settingsMenu.open) {
+                this.handleSettingsKey(key);
+                e.preventDefault();
+                return;
             }
             
-            // Reset game on 'R' key when paused
-            if (e.key.toLowerCase() === 'r' && this.isPaused && !this.lastResetPress) {
-                this.lastResetPress = true;
-                this.superHardReset();
+            // Title screen setup menu navigation (fixed keys, whatever the bindings say)
+            if (!this.gameStarted) {
+                this.handleGameSetupKey(key);
             }
             
-            // Toggle fullscreen on 'J' key
-            if (e.key.toLowerCase() === 'j' && !this.lastFullscreenTogglePress) {
-                this.lastFullscreenTogglePress = true;
-                this.toggleFullscreen();
+            // Bound actions fire once per press - held keys don't auto-repeat toggles
+            if (e.repeat) return;
+            for (const actionId of this.getKeyActions(key)) {
+                this.triggerAction(actionId);
             }
         });
         
-        window.addEventListener('keyup', (e) => {
+        this.listen(window, 'keyup', (e) => {
             this.keys[e.key.toLowerCase()] = false;
-            
-            // Reset key states
-            if (e.key.toLowerCase() === 'p') {
-                this.performanceModeKeyPressed = false;
-            }
-            if (e.key.toLowerCase() === 'f') {
-                this.lastFPSTogglePress = false;
-            }
-            if (e.key.toLowerCase() === 'j') {
-                this.lastFullscreenTogglePress = false;
-            }
-            if (e.key.toLowerCase() === 'r') {
-                this.lastResetPress = false;
-            }
         });
         
-        // Gamepad support
-        this.lastStartPress = false; // Debounce for start button
-        this.lastFPSTogglePress = false; // Debounce for FPS toggle
-        this.lastResetPress = false; // Debounce for reset
-        this.lastFullscreenTogglePress = false; // Debounce for fullscreen toggle
+        // The audio engine starts suspended - the first key, click or tap wakes it up
+        for (const type of ['keydown', 'pointerdown', 'touchstart']) {
+            this.listen(window, type, () => this.resumeAudio());
+        }
         
-        window.addEventListener('gamepadconnected', (e) => {
-            log('🎮 Gamepad connected:', e.gamepad.id);
-            this.gamepad = e.gamepad;
+        // Gamepad support (hot-plug)
+        this.listen(window, 'gamepadconnected', (e) => {
+            this.onControllerConnected(e.gamepad);
         });
         
-        window.addEventListener('gamepaddisconnected', (e) => {
-            log('🎮 Gamepad disconnected');
-            this.gamepad = null;
+        this.listen(window, 'gamepaddisconnected', (e) => {
+            this.onControllerDisconnected(e.gamepad);
         });
         
         // Window resize (consolidated single listener)
-        window.addEventListener('resize', () => {
+        this.listen(window, 'resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
             
+            // Turning a phone swaps between the landscape and portrait camera presets
+            this.updateCameraFraming();
+            
             // Resize bloom render target (FULL resolution!)
             if (this.bloomRenderTarget) {
                 this.bloomRenderTarget.setSize(window.innerWidth, window.innerHeight);
@@ -3150,57 +3938,94 @@ class TronPong {
             });
         }
         
-        // Mouse controls for paddle movement and camera tilt
-        window.addEventListener('mousemove', (e) => {
-            if (this.mouseControlsEnabled && this.gameStarted && !this.isPaused && this.deathResetPhase === 0) {
-                // Calculate mouse movement delta
-                const deltaX = e.movementX || 0;
-                
-                // Update mouse position and calculate velocity
-                this.lastMouseX = this.mouseX;
-                this.mouseX += deltaX;
-                
-                // Calculate mouse velocity for tilt
-                const mouseVelocity = deltaX * this.mouseSensitivity;
-                
-                // Apply mouse tilt with smoothing similar to keyboard
-                if (Math.abs(mouseVelocity) > 0.001) {
-                    const targetVelocity = Math.sign(mouseVelocity) * Math.min(Math.abs(mouseVelocity), this.maxMouseTiltVelocity);
-                    this.mouseTiltVelocity += (targetVelocity - this.mouseTiltVelocity) * this.mouseTiltAcceleration;
+        // Title screen setup menu (mouse: click a row to select it, arrows to change it)
+        if (this.gameSetup.element) {
+            this.gameSetup.element.addEventListener('click', (e) => {
+                const row = e.target.closest('.setup-row');
+                if (!row || this.gameStarted) return;
+                this.gameSetup.selectedRow = parseInt(row.dataset.row, 10);
+                const arrow = e.target.closest('.setup-arrow');
+                if (arrow) {
+                    this.changeGameSetupValue(parseInt(arrow.dataset.dir, 10));
                 } else {
-                    // No mouse movement - ramp down smoothly
-                    this.mouseTiltVelocity *= this.mouseTiltDecay;
-                    if (Math.abs(this.mouseTiltVelocity) < 0.001) {
-                        this.mouseTiltVelocity = 0;
-                    }
+                    this.renderGameSetup();
                 }
-                
-                // Move paddle based on mouse movement
-                if (Math.abs(deltaX) > 0) {
-                    // Calculate paddle movement speed based on mouse delta
-                    const paddleMoveSpeed = deltaX * this.mouseSensitivity * 1000; // Scale up for paddle movement
-                    
-                    // Calculate paddle half-width (accounts for bonus effect)
-                    const scaleFactor = 1.0 + (this.bonusActivePaddle === this.paddle1 ? this.paddleWidthTransition : 0);
-                    const paddleHalfWidth = 2.5 * scaleFactor;
-                    
-                    // Wall boundaries (walls are at ±11.5)
-                    const wallPosition = 11.5;
-                    const maxX = wallPosition - paddleHalfWidth;
-                    const minX = -(wallPosition - paddleHalfWidth);
-                    
-                    // Move paddle with mouse input
-                    this.paddle1.position.x += paddleMoveSpeed * this.timeScale;
-                    
-                    // Clamp to prevent wall intersection
-                    this.paddle1.position.x = Math.max(minX, Math.min(maxX, this.paddle1.position.x));
+            });
+            this.renderGameSetup();
+        }
+        
+        // Settings screen: pause menu button + mouse (same row / arrow clicks as the setup menu)
+        const settingsButton = document.getElementById('settingsButton');
+        if (settingsButton) {
+            settingsButton.addEventListener('click', () => {
+                this.openSettingsMenu();
+            });
+        }
+        if (this.settingsMenu.rowsElement) {
+            this.settingsMenu.rowsElement.addEventListener('click', (e) => {
+                const row = e.target.closest('.setup-row');
+                if (!row) return;
+                this.settingsMenu.selectedRow = parseInt(row.dataset.row, 10);
+                const arrow = e.target.closest('.setup-arrow');
+                if (arrow) {
+                    this.changeSettingsValue(parseInt(arrow.dataset.dir, 10));
+                } else {
+                    this.selectSettingsRow();
                 }
-            }
+            });
+        }
+        
+        // Rematch button on the results screen
+        const rematchButton = document.getElementById('rematchButton');
+        if (rematchButton) {
+            rematchButton.addEventListener('click', () => {
+                this.startRematch();
+            });
+        }
+        
+        // Replay viewer: results screen button + transport bar
+        if (this.domElements.replayButton) {
+            this.domElements.replayButton.addEventListener('click', () => this.startReplay());
+        }
+        if (this.domElements.replayControls) {
+            this.domElements.replayPlayButton.addEventListener('click', () => this.toggleReplayPlayback());
+            this.domElements.replaySpeedButton.addEventListener('click', () => this.changeReplaySpeed(1));
+            this.domElements.replayCameraButton.addEventListener('click', () => this.setReplayFreeCamera(!this.replay.freeCamera));
+            document.getElementById('replayExitButton').addEventListener('click', () => this.exitReplay());
+            this.domElements.replayScrubber.addEventListener('input', (e) => {
+                this.seekReplay(parseInt(e.target.value, 10));
+            });
+        }
+        
+        // Replay free camera: drag to orbit, wheel to zoom
+        this.renderer.domElement.addEventListener('mousedown', () => {
+            this.replay.dragging = this.replay.active && this.replay.freeCamera;
+        });
+        this.listen(window, 'mouseup', () => {
+            this.replay.dragging = false;
+        });
+        this.listen(window, 'wheel', (e) => {
+            if (!this.replay.active || !this.replay.freeCamera) return;
+            this.pauseCamera.radius = Math.max(12, Math.min(50, this.pauseCamera.radius + e.deltaY * 0.02));
         });
         
+        // Mouse controls for paddle movement and camera tilt
+        this.listen(window, 'mousemove', (e) => {
+            if (this.replay.dragging) {
+                this.pauseCamera.angle += (e.movementX || 0) * 0.005;
+                this.pauseCamera.height = Math.max(4, Math.min(40, this.pauseCamera.height - (e.movementY || 0) * 0.05));
+                return;
+            }
+            
+            if (this.mouseControlsEnabled && this.isPaddleSteerable()) {
+                this.addPointerDelta(e.movementX || 0);
+            }
+        });
+                
         // Enable mouse controls when game starts
-        window.addEventListener('click', (e) => {
-            if (this.gameStarted && !this.isPaused) {
+        this.listen(window, 'click', (e) => {
+            if (this.touch.enabled) return; // Taps fire a click too - no pointer lock on touch screens
+            if (this.gameStarted && !this.isPaused && !this.replay.active) {
                 // Request pointer lock for better mouse control
                 if (document.pointerLockElement !== document.body) {
                     document.body.requestPointerLock().catch(err => {
@@ -3213,7 +4038,7 @@ class TronPong {
         });
         
         // Handle pointer lock changes
-        document.addEventListener('pointerlockchange', () => {
+        this.listen(document, 'pointerlockchange', () => {
             if (document.pointerLockElement === document.body) {
                 this.mouseControlsEnabled = true;
                 } else {
@@ -3221,6 +4046,9 @@ class TronPong {
                 this.mouseTiltVelocity = 0; // Reset mouse tilt when losing pointer lock
             }
         });
+        
+        // Touch: drag steers, tap starts / pauses, button bar for everything else
+        this.setupTouchControls();
     }
     
     
@@ -3228,6 +4056,35 @@ class TronPong {
     
     
     
+    isPaddleSteerable() {
+        // Mouse and touch only move the paddle during live play
+        return this.gameStarted && !this.isPaused && !this.replay.active && !this.simulation.deathLock;
+    }
+    
+    addPointerDelta(deltaX) {
+        // Update mouse position and calculate velocity
+        this.lastMouseX = this.mouseX;
+        this.mouseX += deltaX;
+                
+        // Calculate mouse velocity for tilt
+        const mouseVelocity = deltaX * this.mouseSensitivity;
+                
+        // Apply mouse tilt with smoothing similar to keyboard
+        if (Math.abs(mouseVelocity) > 0.001) {
+            const targetVelocity = Math.sign(mouseVelocity) * Math.min(Math.abs(mouseVelocity), this.maxMouseTiltVelocity);
+            this.mouseTiltVelocity += (targetVelocity - this.mouseTiltVelocity) * this.mouseTiltAcceleration;
+        } else {
+            // No mouse movement - ramp down smoothly
+            this.mouseTiltVelocity *= this.mouseTiltDecay;
+            if (Math.abs(this.mouseTiltVelocity) < 0.001) {
+                this.mouseTiltVelocity = 0;
+            }
+        }
+                
+        // Paddle movement is applied on the next simulation tick (movePlayerPaddle)
+        this.pendingMouseDeltaX += deltaX;
+    }
+    
     startIndependentSkullAnimation() {
         if (!this.deathSkull) return;
         
@@ -3478,25 +4335,26 @@ class TronPong {
     
     updateStartMenuGamepad() {
         // Check for gamepad input during start menu
-        const gamepads = navigator.getGamepads();
-        if (gamepads[0]) {
-            this.gamepad = gamepads[0];
-        }
+        this.refreshControllers();
         
         if (!this.gamepad) return;
         
-        // X button (button 0) or any face button to start game
-        const startButton = this.gamepad.buttons[0]; // X on PlayStation, A on Xbox
-        
-        if (startButton && startButton.pressed) {
-            if (!this.lastStartPress) {
-                log('🎮 Start button pressed!');
-                this.startGame();
-                this.lastStartPress = true;
-            }
-        } else {
-            this.lastStartPress = false;
+        if (this.settingsMenu.open) {
+            this.updateSettingsMenuGamepad();
+            return;
         }
+        
+        // D-pad navigates the setup menu (12 up, 13 down, 14 left, 15 right)
+        const dpad = [12, 13, 14, 15].map(index => this.gamepad.buttons[index] && this.gamepad.buttons[index].pressed);
+        if (!this.lastSetupDpad) this.lastSetupDpad = [false, false, false, false];
+        if (dpad[0] && !this.lastSetupDpad[0]) this.moveGameSetupRow(-1);
+        if (dpad[1] && !this.lastSetupDpad[1]) this.moveGameSetupRow(1);
+        if (dpad[2] && !this.lastSetupDpad[2]) this.changeGameSetupValue(-1);
+        if (dpad[3] && !this.lastSetupDpad[3]) this.changeGameSetupValue(1);
+        this.lastSetupDpad = dpad;
+        
+        // Bound buttons - start, settings, tracks, display toggles...
+        this.updatePadActions(this.gamepad);
     }
     
     startGame() {
@@ -3505,19 +4363,17 @@ class TronPong {
         
         log('🚀 Starting game...');
         
-        // Ensure we start with normal speed
-        this.forceNormalSpeed();
-        
-        // Reset stuck ball collision system
-        this.collisionDisabled = false;
-        this.collisionDisableTimer = 0;
-        this.ballCollisionHistory = [];
+        // Nothing from the title screen carries into the match
+        this.clearCinematicEffects();
         
             this.gameStarted = true;
             this.domElements.ui.style.display = 'none';
         document.getElementById('logo').style.display = 'none';
         document.getElementById('presents').style.display = 'none';
         document.getElementById('copyright').style.display = 'none';
+        if (this.gameSetup.element) {
+            this.gameSetup.element.style.display = 'none';
+        }
         
         // Switch to game start fade-in mode
         if (document.getElementById('titleBackground')) {
@@ -3545,7 +4401,7 @@ class TronPong {
         this.undergroundLightFadeIn.startTime = performance.now();
         
             // Set camera to gameplay position once at start
-            this.camera.position.set(0, 18, 22);
+            this.camera.position.set(0, this.cameraFraming.height, this.cameraFraming.zoom);
             this.camera.lookAt(0, -4, 0);
             this.camera.fov = 75;
             this.camera.updateProjectionMatrix();
@@ -3553,182 +4409,53 @@ class TronPong {
             // Initialize camera target for normal gameplay
             this.cameraTarget.x = 0;
             this.cameraTarget.z = 0;
-            this.cameraTarget.zoom = 22;
+            this.cameraTarget.zoom = this.cameraFraming.zoom;
             
             // Camera tracking is now consistent (no ramp-up system)
         
-        // Delay ball spawn slightly to let camera transition start smoothly
-        // This prevents visual glitch where ball appears before camera moves
-        setTimeout(() => {
-        log('⚽ Ball spawning - clean start!');
-        this.spawnBall(0, 0, 0, {
-            x: 0,      // No horizontal movement initially
-            y: 0,
-            z: -0.15   // Always toward enemy/AI (negative Z)
-        });
-        }, 400); // 400ms delay for smooth camera-to-ball transition
-        
-        // Reset game state
-        this.successfulHits = 0;
-        this.nextBallThreshold = 4; // Changed from 2 to 4
-        this.playerHits = 0;
-        
-        // Reset bonus effect
-        if (this.bonusActivePaddle) {
-            // Reset paddle parts
-            const cylinder = this.bonusActivePaddle.userData.cylinder;
-            const leftCap = this.bonusActivePaddle.userData.leftCap;
-            const rightCap = this.bonusActivePaddle.userData.rightCap;
-            if (cylinder && leftCap && rightCap) {
-                cylinder.scale.x = 1.0;
-                leftCap.position.x = -2;
-                rightCap.position.x = 2;
-            }
-            this.bonusActivePaddle = null;
-        }
-        this.bonusTimer = 0;
-        this.paddleWidthTransition = 0;
-        
-        this.paddle1Pushback = 0;
-        this.paddle2Pushback = 0;
-        this.paddle1Tilt = 0;
-        this.paddle2Tilt = 0;
-        this.paddle1.position.z = 15;
-        this.paddle2.position.z = -15;
-        this.paddle1.rotation.z = 0;
-        this.paddle2.rotation.z = 0;
+        // Fresh match with the rules picked on the title screen (serves after 400ms)
+        this.prepareMatchStart();
+        log(`🏆 Mode: ${this.gameModes[this.gameModeIndex].name} - rules: ${this.matchRules.name}`);
         
         this.playSound('menuSelect');
         
-        // Select random track from music catalogue (excluding "No Music" option)
-        const availableTracks = this.musicTracks.filter(track => track.file !== null);
-        const randomIndex = Math.floor(Math.random() * availableTracks.length);
-        const randomTrack = availableTracks[randomIndex];
-        
-        // Find the index in the full musicTracks array
-        this.currentTrackIndex = this.musicTracks.findIndex(track => track.file === randomTrack.file);
-        
-        // Load the random track
-        this.sounds.music = new Audio(randomTrack.file);
-        this.sounds.music.volume = 0.67;
-        this.sounds.music.loop = true;
-        
-        // Show track name
-        this.showTrackName(randomTrack.name);
-        
-        log(`🎵 Random track selected: ${randomTrack.name}`);
-        
-        // Audio context removed - was causing issues
+        // Start is always a key / click / tap / button press - wake the audio engine up with it
+        this.resumeAudio();
             
-            // Start music
-            if (this.sounds.music) {
-            this.sounds.music.play().catch(e => log('Could not play music'));
-        }
+        // Remembered / selected track (shuffle draws one on a first visit)
+        this.startMusic();
     }
     
     updateGamepad() {
         // Get latest gamepad state (during gameplay)
-        const gamepads = navigator.getGamepads();
-        if (gamepads[0]) {
-            this.gamepad = gamepads[0];
-        }
-        
-        if (!this.gamepad || this.deathResetPhase > 0) return;
-        
-        // PS5 DualSense: Left stick horizontal axis (axis 0)
-        const leftStickX = this.gamepad.axes[0];
-        const deadzone = 0.15;
-        
-        const isGamepadMoving = Math.abs(leftStickX) > deadzone;
-        
-        if (isGamepadMoving) {
-            // Calculate paddle half-width (accounts for bonus effect)
-            const scaleFactor = 1.0 + (this.bonusActivePaddle === this.paddle1 ? this.paddleWidthTransition : 0);
-            const paddleHalfWidth = 2.5 * scaleFactor; // Normal: 2.5, Bonus: 5.0
-            
-            // Wall boundaries (walls are at ±11.5)
-            const wallPosition = 11.5;
-            const maxX = wallPosition - paddleHalfWidth;
-            const minX = -(wallPosition - paddleHalfWidth);
-            
-            const speed = this.paddleSpeed * Math.abs(leftStickX) * this.timeScale; // Apply timeScale for slow motion
-            if (leftStickX < 0 && this.paddle1.position.x > minX) {
-                this.paddle1.position.x -= speed;
-                // Clamp to prevent wall intersection
-                this.paddle1.position.x = Math.max(this.paddle1.position.x, minX);
-            } else if (leftStickX > 0 && this.paddle1.position.x < maxX) {
-                this.paddle1.position.x += speed;
-                // Clamp to prevent wall intersection
-                this.paddle1.position.x = Math.min(this.paddle1.position.x, maxX);
-            }
-        }
-        
-        
-        // Options button (button 9) to pause
-        if (this.gamepad.buttons[9] && this.gamepad.buttons[9].pressed) {
-            if (!this.lastPausePress) {
-                log('⏸️ Gamepad pause button pressed');
-                this.togglePause();
-                this.lastPausePress = true;
-            }
-        } else {
-            this.lastPausePress = false;
-        }
+        this.refreshControllers();
         
-        // LB/L1 button (button 4) - Previous track
-        if (this.gamepad.buttons[4] && this.gamepad.buttons[4].pressed) {
-            if (!this.lastLBPress) {
-                this.changeTrack(-1); // Previous track
-                this.lastLBPress = true;
-            }
-        } else {
-            this.lastLBPress = false;
+        // Versus: the second gamepad's pause button pauses for both players
+        const secondGamepad = this.gameMode === 'versus' ? this.secondGamepad : null;
+        if (secondGamepad && this.padActionPressed(secondGamepad, 'pause')) {
+            this.togglePause();
         }
         
-        // RB/R1 button (button 5) - Next track
-        if (this.gamepad.buttons[5] && this.gamepad.buttons[5].pressed) {
-            if (!this.lastRBPress) {
-                this.changeTrack(1); // Next track
-                this.lastRBPress = true;
-            }
-        } else {
-            this.lastRBPress = false;
+        if (this.replay.active) {
+            this.updateReplayGamepad();
+            return;
         }
         
-        // Triangle/Y button (button 3) - FPS counter toggle
-        if (this.gamepad.buttons[3] && this.gamepad.buttons[3].pressed) {
-            if (!this.lastTrianglePress) {
-                this.toggleFPSCounter();
-                this.lastTrianglePress = true;
-            }
-        } else {
-            this.lastTrianglePress = false;
+        if (this.settingsMenu.open) {
+            this.updateSettingsMenuGamepad();
+            return;
         }
         
-        // Circle/B button (button 1) - Performance mode toggle
-        if (this.gamepad.buttons[1] && this.gamepad.buttons[1].pressed) {
-            if (!this.lastCirclePress) {
-                this.togglePerformanceMode();
-                this.lastCirclePress = true;
-            }
-        } else {
-            this.lastCirclePress = false;
-        }
+        if (!this.gamepad || this.simulation.deathLock) return;
         
-        // Square button (button 2) to reset game when paused
-        if (this.isPaused && this.gamepad.buttons[2] && this.gamepad.buttons[2].pressed) {
-            if (!this.lastResetPress) {
-                log('🔄 Gamepad reset button pressed - super hard reset');
-                this.superHardReset();
-                this.lastResetPress = true;
-            }
-        } else {
-            this.lastResetPress = false;
-        }
+        // Bound buttons - pause, rematch, tracks, display toggles, reset...
+        this.updatePadActions(this.gamepad);
     }
     
     togglePause() {
-        if (!this.gameStarted) return;
+        if (this.replay.active) return; // The viewer has its own pause (Space)
+        if (!this.gameStarted || this.matchResultsVisible) return;
+        if (this.settingsMenu.open) return; // Close the settings screen first (back to the pause menu)
         
         this.isPaused = !this.isPaused;
         log('⏸️ Game paused:', this.isPaused);
@@ -3737,7 +4464,7 @@ class TronPong {
             this.domElements.pauseMenu.style.display = 'block';
             
             // Reset pause menu animations
-            const pauseElements = this.domElements.pauseMenu.querySelectorAll('h2, .controls-section, #resetButton');
+            const pauseElements = this.domElements.pauseMenu.querySelectorAll('h2, .controls-section, #settingsButton, #resetButton');
             pauseElements.forEach(element => {
                 element.style.animation = 'none';
                 element.offsetHeight; // Trigger reflow
@@ -3747,11 +4474,10 @@ class TronPong {
             // Hide score UI during pause
             this.domElements.ui.style.display = 'none';
             document.getElementById('score').style.display = 'none';
+            this.domElements.matchInfo.style.display = 'none';
+            this.domElements.powerUpHud.style.display = 'none';
             // Play pause sound
-            if (this.sounds.pause) {
-                this.sounds.pause.currentTime = 0;
-                this.sounds.pause.play().catch(e => log('Could not play pause sound'));
-            }
+            this.playSound('pause');
             
             // Activate pause camera - start from current position
             this.pauseCamera.active = true;
@@ -3768,43 +4494,28 @@ class TronPong {
             this.hideActiveMessage();
             
             // Mute music when paused
-            if (this.sounds.music) {
-                this.sounds.music.pause();
-            }
+            this.pauseMusic();
             
             // Stop goal alarm if playing
-            if (this.sounds.goalAlarm) {
-                this.sounds.goalAlarm.pause();
-                this.sounds.goalAlarm.currentTime = 0;
-            }
+            this.stopSound('goalAlarm');
         } else {
             this.domElements.pauseMenu.style.display = 'none';
             // Don't show UI element - it contains "PRESS SPACE TO START" text
             // Show score UI again when unpausing
             document.getElementById('score').style.display = 'block';
+            this.updateMatchInfo();
             
             // Restore any active messages when unpausing
             this.restoreActiveMessage();
             
-            // Reset stuck ball collision system when unpausing
-            this.collisionDisabled = false;
-            this.collisionDisableTimer = 0;
-            this.ballCollisionHistory = [];
             // Play unpause sound (same sound for consistency)
-            if (this.sounds.pause) {
-                this.sounds.pause.currentTime = 0;
-                this.sounds.pause.play().catch(e => log('Could not play unpause sound'));
-            }
+            this.playSound('pause');
             
             // Deactivate pause camera
             this.pauseCamera.active = false;
             
             // Resume music when unpaused (only if not "No Music")
-            if (this.sounds.music && this.musicTracks[this.currentTrackIndex].file !== null) {
-                // Ensure volume is set correctly (prevent any volume drift)
-                this.sounds.music.volume = 0.67;
-                this.sounds.music.play().catch(e => log('Could not resume music'));
-            }
+            this.resumeMusic();
         }
     }
     
@@ -3829,7 +4540,7 @@ class TronPong {
     }
     
     startMultiBallZoom() {
-        // Quick dramatic zoom on NEW ball (enemy ball) + super slow-mo
+        // Quick dramatic zoom on NEW ball (enemy ball)
         log('🎬 MULTI-BALL CAMERA ZOOM STARTING!');
         
         // Record current camera position
@@ -3859,13 +4570,9 @@ class TronPong {
         this.multiBallZoom.active = true;
         this.multiBallZoom.startTime = performance.now();
         
-        // SUPER SLOW-MO!
-        this.timeScale = 0.15; // Very slow (15% speed)
-        
-        // After full sequence (zoom + hold + flyback), deactivate and restore speed
+        // After full sequence (zoom + hold + flyback), deactivate
         const multiBallTimeout = setTimeout(() => {
             this.multiBallZoom.active = false;
-            this.timeScale = 1.0; // Back to normal speed
             
             // Ensure FOV is back to normal
             this.camera.fov = this.multiBallZoom.originalFOV;
@@ -3942,7 +4649,7 @@ class TronPong {
             const eased = this.easeInOutCubic(progress);
             
             // Default gameplay camera position (same as after Press Start)
-            const finalPos = { x: 0, y: 18, z: 22 };
+            const finalPos = { x: 0, y: this.cameraFraming.height, z: this.cameraFraming.zoom };
             const finalLookAt = { x: 0, y: -4, z: 0 };
             
             // Smooth interpolate back to default gameplay position
@@ -4159,86 +4866,46 @@ class TronPong {
         }
     }
     
-    updateBonusEffect(deltaTime) {
-        // Handle bonus paddle width effect
-        if (this.bonusActivePaddle) {
-            const cylinder = this.bonusActivePaddle.userData.cylinder;
-            const leftCap = this.bonusActivePaddle.userData.leftCap;
-            const rightCap = this.bonusActivePaddle.userData.rightCap;
-            
-            // Timer expired - start contracting
-            if (this.bonusTimer <= 0) {
-                // Quick contract (0.3 seconds)
-                this.paddleWidthTransition -= deltaTime * 5;
-                this.paddleWidthTransition = Math.max(0, this.paddleWidthTransition);
-                
-                // Calculate scale factor during contraction
-                const scaleFactor = 1.0 + this.paddleWidthTransition;
-                
-                if (cylinder && leftCap && rightCap) {
-                    cylinder.scale.x = scaleFactor;
-                    leftCap.position.x = -2 * scaleFactor;
-                    rightCap.position.x = 2 * scaleFactor;
-                }
-                
-                // Fully contracted - deactivate bonus
-                if (this.paddleWidthTransition <= 0) {
-                    // Reset to normal
-                    if (cylinder && leftCap && rightCap) {
-                        cylinder.scale.x = 1.0;
-                        leftCap.position.x = -2;
-                        rightCap.position.x = 2;
-                    }
-                    
-                    // RESET PADDLE TO NORMAL COLORS
-                    if (this.bonusActivePaddle === this.paddle1 && this.paddle1.material) {
-                        if (this.paddle1.material.color) {
-                            this.paddle1.material.color.setHex(0x00FEFC); // Back to cyan
-                        }
-                        if (this.paddle1.material.emissive) {
-                            this.paddle1.material.emissive.setHex(0x00FEFC); // Back to cyan emissive
-                        }
-                        if (this.paddle1.material.emissiveIntensity !== undefined) {
-                            this.paddle1.material.emissiveIntensity = 0.2; // Normal emissive intensity
-                        }
-                        
-                        // Reset overhead light to normal
-                        if (this.overheadLight1) {
-                            this.overheadLight1.color.setHex(0x00FEFC); // Back to cyan
-                            this.overheadLight1.intensity = 6.75; // Back to normal intensity
-                        }
-                    }
-                    
-                    this.bonusActivePaddle = null;
-                    this.bonusTimer = 0;
-                    log('⏱️ BONUS EXPIRED - Paddle back to normal');
-                }
-            }
-            // Widening or staying wide
-            else {
-            // Quick widen (0.3 seconds)
-            if (this.paddleWidthTransition < 1.0) {
-                this.paddleWidthTransition += deltaTime * 5; // Fast transition (5x speed)
-                this.paddleWidthTransition = Math.min(1.0, this.paddleWidthTransition);
-                } else {
-                    // Only countdown timer AFTER paddle is fully widened
-                    this.bonusTimer -= deltaTime;
-            }
+    updatePaddleWidths() {
+        // 2X WIDTH power-up - follows the simulation's widening/contracting transition
+        const paddles = { player1: this.paddle1, player2: this.paddle2 };
+        for (const side in paddles) {
+            const cylinder = paddles[side].userData.cylinder;
+            const leftCap = paddles[side].userData.leftCap;
+            const rightCap = paddles[side].userData.rightCap;
+            if (!cylinder || !leftCap || !rightCap) continue;
             
             // Calculate scale factor (1.0 = normal, 2.0 = double)
-            const scaleFactor = 1.0 + this.paddleWidthTransition;
+            const scaleFactor = 1.0 + this.simulation.getPowerUpTransition('wide', side);
             
             // PROPER SCALING: Only extend cylinder, move caps outward
-            if (cylinder && leftCap && rightCap) {
-                // Scale cylinder in X (extends the body)
-                cylinder.scale.x = scaleFactor;
-                
-                // Move caps outward to match extended cylinder
-                leftCap.position.x = -2 * scaleFactor; // Move left cap
-                rightCap.position.x = 2 * scaleFactor; // Move right cap
-                }
+            cylinder.scale.x = scaleFactor;
+            leftCap.position.x = -2 * scaleFactor;
+            rightCap.position.x = 2 * scaleFactor;
+        }
+    }
+    
+    onBonusExpired(side) {
+        // RESET PADDLE TO NORMAL COLORS
+        if (side === 'player1' && this.paddle1.material) {
+            if (this.paddle1.material.color) {
+                this.paddle1.material.color.setHex(0x00FEFC); // Back to cyan
+            }
+            if (this.paddle1.material.emissive) {
+                this.paddle1.material.emissive.setHex(0x00FEFC); // Back to cyan emissive
+            }
+            if (this.paddle1.material.emissiveIntensity !== undefined) {
+                this.paddle1.material.emissiveIntensity = 0.2; // Normal emissive intensity
+            }
+            
+            // Reset overhead light to normal
+            if (this.overheadLight1) {
+                this.overheadLight1.color.setHex(0x00FEFC); // Back to cyan
+                this.overheadLight1.intensity = 6.75; // Back to normal intensity
             }
         }
+        
+        log('⏱️ BONUS EXPIRED - Paddle back to normal');
     }
     
     triggerLensFlare() {
@@ -4384,6 +5051,26 @@ class TronPong {
                 white-space: nowrap;
                 animation: hardBlinkEnter 0.6s ease-out forwards;
             `;
+        } else if (message.style === 'enemyBonus') {
+            messageElement.style.cssText = `
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                font-size: 173px;
+                font-weight: bold;
+                color: #ffffff;
+                text-shadow: 
+                    0 0 40px #ff00ff,
+                    0 0 80px #ff00ff,
+                    0 0 120px #ff00ff;
+                font-family: 'Terminal Grotesque', monospace;
+            text-transform: uppercase;
+                z-index: 1000;
+                pointer-events: none;
+                white-space: nowrap;
+                animation: hardBlinkEnter 0.6s ease-out forwards;
+            `;
         } else {
             // Default style
             messageElement.style.cssText = `
@@ -4553,58 +5240,6 @@ class TronPong {
     updateBonusCube(deltaTime) {
         if (!this.bonusCube) return;
         
-        // RED FLICKER ANIMATION (enemy hit) - matches AWESOME text timing
-        if (this.bonusCubeFlickerActive) {
-            this.bonusCubeFlickerTimer += deltaTime;
-            
-            // Timeline: Immediate red blinks (no yellow delay)
-            let color = 0x000000;
-            let intensity = 0.0;
-            
-            // Immediate red blinking - no yellow delay
-            const blinkCycle = (this.bonusCubeFlickerTimer % 0.15) / 0.15; // 0-1 per blink
-            if (blinkCycle < 0.6) { // 60% on, 40% off
-                    color = 0xff0000; // Red
-                    intensity = 8.0;
-                } else {
-                    color = 0x000000; // Off
-                    intensity = 0.0;
-            }
-            
-            if (this.bonusCube.userData.material && this.bonusCube.userData.material.uniforms) {
-                this.bonusCube.userData.material.uniforms.baseColor.value.setHex(color);
-                this.bonusCube.userData.material.uniforms.emissiveIntensity.value = intensity;
-            }
-            
-            // After 1.4s total (0.6s blinks + 0.8s hold), remove cube
-            if (this.bonusCubeFlickerTimer >= this.bonusCubeFlickerDuration) {
-                // Remove ambient light
-                if (this.bonusCube.userData.ambientLight) {
-                    this.scene.remove(this.bonusCube.userData.ambientLight);
-                }
-                this.scene.remove(this.bonusCube);
-                this.bonusCube = null;
-                this.bonusCubeActive = false;
-                this.bonusCubeFlickerActive = false;
-                this.bonusCubeFlickerTimer = 0;
-                
-                // Fade out highlight particles when bonus is denied and removed
-                this.fadeOutItemHighlightParticles(500);
-                
-                // Clean up bonus denied light when cube is removed
-                if (this.bonusLight && this.bonusLight.light) {
-                    this.scene.remove(this.bonusLight.light);
-                    this.bonusLight = null;
-                    log('🔴 Bonus denied light cleaned up with cube');
-                } else {
-                    log('🔴 No bonus light to clean up when cube removed');
-                }
-                
-                log('🔴 BONUS CUBE REMOVED after red flicker');
-            }
-            return;
-        }
-        
         // Spin the icosahedron around its own axis (1 revolution per second)
         this.bonusCube.rotation.y += deltaTime * (2 * Math.PI * 1); // 1 revolution per second
         
@@ -4631,14 +5266,6 @@ class TronPong {
             this.bonusCube.userData.material.uniforms.emissiveIntensity.value = blinkIntensity;
         }
         
-        // Update bonus light blinking (same timing as mesh)
-        if (this.bonusLight && this.bonusLight.active && this.bonusCubeFlickerActive) {
-            // Blink light with same timing as mesh
-            const blinkCycle = (this.bonusCubeFlickerTimer % 0.15) / 0.15; // Match cube timing exactly
-            const isOn = blinkCycle < 0.6; // 60% on, 40% off - same as mesh
-            this.bonusLight.light.intensity = isOn ? 8.0 : 0.0;
-        }
-        
         // Safety check: If bonus cube is gone but light still exists, clean it up
         if (this.bonusLight && !this.bonusCube) {
                 this.scene.remove(this.bonusLight.light);
@@ -4767,7 +5394,6 @@ class TronPong {
         // Start celebration - begin smooth transition to cyan
         this.isCelebrating = true;
         this.celebrationTimer = 2000; // 2.0 seconds celebration
-        this.scoreSequenceActive = true; // Mark score sequence as active
         
         // Start smooth color transition to cyan
         this.undergroundLightTransition.active = true;
@@ -4777,7 +5403,8 @@ class TronPong {
         // Create traveling celebration light
         this.createCelebrationLight();
         
-        // Wave sound is now handled in startWallWaveAnimation() - no need for duplicate sound
+        // Wave sound is now handled in startWallWaveAnimation() - the music gets a stinger on its next beat
+        this.playMusicStinger();
         
         log('🎉 CELEBRATORY WAVE TRIGGERED!');
     }
@@ -4876,11 +5503,7 @@ class TronPong {
                 // Celebration ended
                 this.isCelebrating = false;
                 this.waveSoundPlayed = false; // Reset sound flag for next celebration
-                this.scoreSequenceActive = false; // Reset score sequence flag
-                
-                // UNFREEZE GAME: Resume normal gameplay after win celebration
-                this.gameSpeed = 1.0; // Restore normal game speed
-                this.isGameFrozen = false; // Unfreeze game
+                // Unfreezing is on the simulation clock (scheduled by the goal) so replays stay in step
                 
                 this.undergroundLightTransition.active = false;
                 this.undergroundLightTransition.direction = 1; // Reset for next celebration
@@ -4894,16 +5517,6 @@ class TronPong {
                 
                 // Cyan vignette fades out automatically via CSS animation
                 
-                // UNFREEZE GAME: Resume normal gameplay after win sequence
-                this.gameSpeed = 1.0;
-                this.isGameFrozen = false;
-                
-                // Reset stuck ball collision system after win
-                this.collisionDisabled = false;
-                this.collisionDisableTimer = 0;
-                this.ballCollisionHistory = [];
-                
-                
                 // NO CAMERA RESET - just let normal gameplay camera continue
                 // Camera will naturally return to normal gameplay behavior
                 
@@ -4914,9 +5527,7 @@ class TronPong {
                     this.celebrationLightActive = false;
                 }
                 
-                // CRITICAL: Reset game speed to normal after celebration
-                this.timeScale = 1.0;
-                log('🎉 Celebration ended - underground light back to purple, speed reset to normal');
+                log('🎉 Celebration ended - underground light back to purple');
             }
         }
     }
@@ -5009,7 +5620,6 @@ class TronPong {
         // Start celebration - begin smooth transition to magenta
         this.isCelebrating = true;
         this.celebrationTimer = 2000; // 2.0 seconds celebration
-        this.scoreSequenceActive = true; // Mark score sequence as active
         
         // Start smooth color transition to magenta
         this.undergroundLightTransition.active = true;
@@ -5277,7 +5887,7 @@ class TronPong {
     }
 
     clearAllTimeouts() {
-        // Clear all active timeouts to prevent race conditions with timeScale resets
+        // Clear all active timeouts so nothing from the last rally fires into the next one
         for (let timeoutId of this.activeTimeouts) {
             if (timeoutId) {
                 clearTimeout(timeoutId);
@@ -5293,121 +5903,22 @@ class TronPong {
         }
         this.activeIntervals = [];
         
-        // Also clear specific known timeouts
-        if (this.comboTimeout) {
-            clearTimeout(this.comboTimeout);
-            this.comboTimeout = null;
-        }
+        // Also clear specific known timeouts (the combo timeout runs on the simulation clock - resetCombo owns it)
         if (this.trackNameTimeout) {
             clearTimeout(this.trackNameTimeout);
             this.trackNameTimeout = null;
         }
         
-        log('🧹 All timeouts cleared to prevent timeScale interference');
+        log('🧹 All timeouts cleared');
     }
     
-    forceNormalSpeed() {
-        // Aggressive timeScale reset - call this whenever we need to ensure normal speed
-        this.timeScale = 1.0;
-        log('🚀 FORCED normal speed reset');
-        
-        // CRITICAL: Reset ball speed multiplier to ensure consistent ball speed
-        this.ballSpeedMultiplier = 1.0;
-        log('⚽ Ball speed multiplier reset to 1.0');
-        
-        // Clear any lingering effects
+    clearCinematicEffects() {
+        // Stop a goal blink or multi-ball zoom that's still running
         this.goalBlinkTimer = 0;
         this.goalBlinkTarget = null;
         this.multiBallZoom.active = false;
     }
     
-    initializeBallAntiStuck(ballIndex) {
-        // Initialize anti-stuck tracking for a new ball
-        this.ballCollisionCooldowns[ballIndex] = {
-            wall: 0,
-            paddle: 0,
-            obstacle: 0
-        };
-        this.ballLastPositions[ballIndex] = { x: 0, z: 0 };
-        this.ballStuckFrames[ballIndex] = 0;
-    }
-    
-    isCollisionOnCooldown(ballIndex, collisionType) {
-        // Check if this collision type is on cooldown for this ball
-        return this.ballCollisionCooldowns[ballIndex][collisionType] > 0;
-    }
-    
-    setCollisionCooldown(ballIndex, collisionType) {
-        // Set cooldown for this collision type
-        this.ballCollisionCooldowns[ballIndex][collisionType] = this.collisionCooldownTime;
-    }
-    
-    updateCollisionCooldowns() {
-        // Decrease all collision cooldowns
-        for (let i = 0; i < this.ballCollisionCooldowns.length; i++) {
-            const cooldowns = this.ballCollisionCooldowns[i];
-            if (cooldowns) {
-                cooldowns.wall = Math.max(0, cooldowns.wall - 1);
-                cooldowns.paddle = Math.max(0, cooldowns.paddle - 1);
-                cooldowns.obstacle = Math.max(0, cooldowns.obstacle - 1);
-            }
-        }
-    }
-    
-    checkBallStuck(ballIndex, ball) {
-        // Check if ball is stuck (not moving much)
-        const lastPos = this.ballLastPositions[ballIndex];
-        const currentPos = { x: ball.position.x, z: ball.position.z };
-        
-        const distance = Math.sqrt(
-            (currentPos.x - lastPos.x) ** 2 + 
-            (currentPos.z - lastPos.z) ** 2
-        );
-        
-        if (distance < 0.1) { // Ball moved less than 0.1 units
-            this.ballStuckFrames[ballIndex]++;
-            
-            if (this.ballStuckFrames[ballIndex] >= this.maxStuckFrames) {
-                log(`🚨 Ball ${ballIndex} stuck for ${this.maxStuckFrames} frames - resetting!`);
-                this.emergencyResetBall(ballIndex);
-                return true;
-            }
-        } else {
-            this.ballStuckFrames[ballIndex] = 0; // Reset stuck counter
-        }
-        
-        this.ballLastPositions[ballIndex] = currentPos;
-        return false;
-    }
-    
-    emergencyResetBall(ballIndex) {
-        // Emergency reset for stuck ball
-        const ball = this.balls[ballIndex];
-        const velocity = this.ballVelocities[ballIndex];
-        
-        if (!ball || !velocity) return;
-        
-        // Reset position to center
-        ball.position.set(0, 0, 0);
-        
-        // Give ball strong velocity toward AI (away from player)
-        velocity.x = (Math.random() - 0.5) * 0.1; // Small random X
-        velocity.z = -this.baseBallSpeed * 1.5; // Strong toward AI
-        
-        // Reset anti-stuck tracking
-        this.ballStuckFrames[ballIndex] = 0;
-        this.ballLastPositions[ballIndex] = { x: 0, z: 0 };
-        
-        // Clear all cooldowns
-        this.ballCollisionCooldowns[ballIndex] = {
-            wall: 0,
-            paddle: 0,
-            obstacle: 0
-        };
-        
-        log(`🔄 Emergency reset ball ${ballIndex} - unstuck!`);
-    }
-    
     performMemoryCleanse() {
         log('🧹 Starting light memory cleanse...');
         
@@ -5480,14 +5991,41 @@ class TronPong {
         this.fpsCounter.element.textContent = 'FPS: 60';
         document.body.appendChild(this.fpsCounter.element);
         
-        log('📊 FPS counter created');
-    }
-    
-    toggleFPSCounter() {
+        // Adaptive AI debug readout - sits under the FPS counter, shown/hidden with it
+        this.adaptiveAI.readout = document.createElement('div');
+        this.adaptiveAI.readout.id = 'adaptive-ai-readout';
+        this.adaptiveAI.readout.style.cssText = `
+            position: fixed;
+            top: 66px;
+            right: 20px;
+            color: #00FEFC;
+            font-family: 'Terminal Grotesque', monospace;
+            text-transform: uppercase;
+            font-size: 14px;
+            text-align: right;
+            line-height: 1.3;
+            background: rgba(0, 0, 0, 0.7);
+            padding: 6px 12px;
+            border-radius: 4px;
+            border: 1px solid #00FEFC;
+            z-index: 1000;
+            display: none;
+        `;
+        this.adaptiveAI.readout.textContent = 'AI ADAPT +0.00';
+        document.body.appendChild(this.adaptiveAI.readout);
+        
+        log('📊 FPS counter created');
+    }
+    
+    toggleFPSCounter() {
         this.fpsCounter.visible = !this.fpsCounter.visible;
         if (this.fpsCounter.element) {
             this.fpsCounter.element.style.display = this.fpsCounter.visible ? 'block' : 'none';
         }
+        if (this.adaptiveAI.readout) {
+            this.adaptiveAI.readout.style.display = this.fpsCounter.visible ? 'block' : 'none';
+            this.adaptiveAI.readoutTimer = 0; // Refresh right away
+        }
         log(`📊 FPS counter ${this.fpsCounter.visible ? 'shown' : 'hidden'}`);
     }
     
@@ -5591,36 +6129,42 @@ class TronPong {
         log('🏗️ Wall heights reset to normal');
     }
     
-    spawnBonusCube() {
-        // Don't spawn if one already exists
-        if (this.bonusCubeActive || this.bonusCube) {
-            return;
+    removeBonusCube() {
+        // Cube and its lights all go together
+        if (this.bonusCube) {
+            if (this.bonusCube.userData.ambientLight) {
+                this.scene.remove(this.bonusCube.userData.ambientLight);
+            }
+            this.scene.remove(this.bonusCube);
+            this.fadeOutItemHighlightParticles(500);
+        }
+        this.bonusCube = null;
+        this.bonusCubeActive = false;
+        
+        // Clean up the pickup light with the cube
+        if (this.bonusLight && this.bonusLight.light) {
+            this.scene.remove(this.bonusLight.light);
+        }
+        this.bonusLight = null;
+    }
+    
+    spawnBonusCubeMesh(cube) {
+        // Mesh for the simulation's new bonus cube ('bonusSpawned') - the simulation picked the tile
+        if (this.bonusCube) {
+            this.removeBonusCube();
         }
         
         // Play bonus appear sound
         log('🎵 Playing bonus appear sound...');
-        this.playSound('bonusAppear');
-        
-        // Filter floor tiles to only playable arena area
-        // Exclude tiles near walls (X) and behind players (Z)
-        const validTiles = this.floorCubes.filter(cube => {
-            const x = cube.position.x;
-            const z = cube.position.z;
-            // Keep tiles in central play area only
-            // X: -10 to 10 (away from walls at ±11.5)
-            // Z: -12 to 12 (not behind players at ±15)
-            return Math.abs(x) < 10 && Math.abs(z) < 12;
-        });
+        this.playSound('bonusAppear', cube);
         
-        // Choose random valid tile
-        const randomTile = validTiles[Math.floor(Math.random() * validTiles.length)];
-        
-        // Create spinning icosahedron - strong orange/yellow!
+        // Create spinning icosahedron in the power-up's color
+        const color = this.powerUpVisuals[cube.type].color;
         const cubeGeometry = new THREE.IcosahedronGeometry(1.2, 0);
         const cubeMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 time: { value: 0 },
-                baseColor: { value: new THREE.Color(0xFF8C00) }, // Strong orange/yellow!
+                baseColor: { value: new THREE.Color(color) },
                 emissiveIntensity: { value: 5.0 },
                 opacity: { value: 1.0 }
             },
@@ -5664,15 +6208,11 @@ class TronPong {
         });
         
         this.bonusCube = new THREE.Mesh(cubeGeometry, cubeMaterial);
-        this.bonusCube.position.set(
-            randomTile.position.x,
-            randomTile.position.y + 1.2, // Slightly elevated above tile
-            randomTile.position.z
-        );
+        this.bonusCube.position.set(cube.x, cube.y, cube.z); // Slightly elevated above tile
         
         // Store shader reference and base position for animation
         this.bonusCube.userData.material = cubeMaterial;
-        this.bonusCube.userData.baseY = randomTile.position.y + 1.2; // Store base Y for swaying
+        this.bonusCube.userData.baseY = cube.y; // Store base Y for swaying
         
         // Blink animation on spawn
         this.bonusCube.userData.blinkTimer = 0;
@@ -5682,8 +6222,8 @@ class TronPong {
         // Mark as active
         this.bonusCubeActive = true;
         
-        // Add ambient orange/yellow light to illuminate the spinning bonus
-        this.bonusCube.userData.ambientLight = new THREE.PointLight(0xFF8C00, 3.0, 12);
+        // Add ambient light in the same color to illuminate the spinning bonus
+        this.bonusCube.userData.ambientLight = new THREE.PointLight(color, 3.0, 12);
         this.bonusCube.userData.ambientLight.position.copy(this.bonusCube.position);
         this.bonusCube.userData.ambientLight.castShadow = false;
         this.scene.add(this.bonusCube.userData.ambientLight);
@@ -5691,102 +6231,88 @@ class TronPong {
         this.scene.add(this.bonusCube);
         
         // Create highlight particles around the bonus cube
-        this.createItemHighlightParticles(this.bonusCube.position, { r: 1.0, g: 1.0, b: 0.0 }, 2.0);
+        const highlight = new THREE.Color(color);
+        this.createItemHighlightParticles(this.bonusCube.position, { r: highlight.r, g: highlight.g, b: highlight.b }, 2.0);
         
         // Play bonus spawn sound
-        this.playSound('bonusSpawn');
+        this.playSound('bonusSpawn', this.bonusCube.position);
         
-        log('🟢 BONUS CUBE SPAWNED!');
+        log('🟢 BONUS CUBE SPAWNED:', POWER_UPS[cube.type].name);
     }
     
-    checkBonusCubeCollision() {
-        if (!this.bonusCube || !this.bonusCubeActive || this.bonusCubeFlickerActive) return;
+    onBonusCollected(side, type) {
+        // The simulation handed out the cube's power-up - celebrate, then the cube goes
+        const paddle = side === 'player1' ? this.paddle1 : this.paddle2;
+        log(`✅ ${paddle === this.paddle1 ? 'Player 1' : 'Player 2'} gets bonus!`);
         
-        // Check all balls for collision with bonus cube
-        for (let i = 0; i < this.balls.length; i++) {
-            const ball = this.balls[i];
-            const distance = ball.position.distanceTo(this.bonusCube.position);
-            
-            // Collision detected!
-            if (distance < 1.5) {
-                // Check who hit it based on this specific ball's ownership
-                log(`🎯 Bonus collision: Ball ${i} owner = ${this.ballOwners[i]}`);
-                if (this.ballOwners[i] === 'player') {
-                    log('✅ Player gets bonus!');
-                    
-                    // Prevent multiple triggers by immediately deactivating
-                    this.bonusCubeActive = false;
-                    
-                    this.triggerBonus();
-                    // this.triggerRGBSplitBonus(); // RGB split effect for bonus pickup! - COMMENTED OUT
-                    // Remove bonus cube immediately on player hit
-                    // Remove ambient light
-                    if (this.bonusCube.userData.ambientLight) {
-                        this.scene.remove(this.bonusCube.userData.ambientLight);
-                    }
-                    this.scene.remove(this.bonusCube);
-                    this.bonusCube = null;
-                    this.bonusCubeActive = false;
-                    // Remove any existing bonus light
-                    if (this.bonusLight && this.bonusLight.light) {
-                        this.scene.remove(this.bonusLight.light);
-                        this.bonusLight = null;
-                    }
-                } else {
-                    log('❌ AI gets bonus denied!');
-                    
-                    // Prevent multiple triggers by immediately deactivating
-                    this.bonusCubeActive = false;
-                    
-                    this.triggerBonusLoss();
-                    // Start flicker animation (cube removed after flicker)
-                }
-                return;
-            }
+        this.bonusCubeActive = false;
+        this.triggerBonus(paddle, type);
+        // this.triggerRGBSplitBonus(); // RGB split effect for bonus pickup! - COMMENTED OUT
+        
+        // Remove bonus cube immediately on player hit
+        if (this.bonusCube.userData.ambientLight) {
+            this.scene.remove(this.bonusCube.userData.ambientLight);
+        }
+        this.scene.remove(this.bonusCube);
+        this.bonusCube = null;
+        // Remove any existing bonus light
+        if (this.bonusLight && this.bonusLight.light) {
+            this.scene.remove(this.bonusLight.light);
+            this.bonusLight = null;
         }
     }
     
-    triggerBonus() {
-        log('🎁 BONUS COLLECTED BY PLAYER!');
+    triggerBonus(paddle = this.paddle1, type = 'wide') {
+        // The AI / player 2 gets the same celebration in magenta
+        const enemy = paddle === this.paddle2;
+        log(`🎁 ${POWER_UPS[type].name} COLLECTED BY ${enemy ? (this.gameMode === 'versus' ? 'PLAYER 2' : 'AI') : 'PLAYER'}!`);
+        const visuals = this.powerUpVisuals[type];
+        const color = enemy ? this.powerUpEnemyColor : visuals.color;
         
-        // Play success sound
-        this.playSound('multiBall'); // Nice uplifting sound!
+        // Play the power-up's pickup sound
+        this.playSound(visuals.sound);
         
-        // Trigger yellow particle color shift for bonus pickup
-        this.boostParticleOpacity('bonus');
+        // Trigger yellow (magenta) particle color shift for bonus pickup
+        this.boostParticleOpacity(enemy ? 'enemy' : 'bonus');
         
         // Fade out highlight particles when bonus is picked up
         this.fadeOutItemHighlightParticles(800);
         
-        // Flash yellow vignette for bonus pickup (CSS animation handles fade-out)
+        // Flash yellow (magenta) vignette for bonus pickup (CSS animation handles fade-out)
         const vignette = document.getElementById('vignette');
-        vignette.classList.add('bonus');
+        const vignetteClass = enemy ? 'enemyBonus' : 'bonus';
+        vignette.classList.add(vignetteClass);
         setTimeout(() => {
-            vignette.classList.remove('bonus');
+            vignette.classList.remove(vignetteClass);
         }, 1200);
         
-        // Flash underground light orange for bonus pickup
+        // Flash underground light in the power-up's color for bonus pickup
         if (this.undergroundLight) {
             const originalColor = this.undergroundLight.color.clone();
             const originalIntensity = this.undergroundLight.intensity;
             
-            // Flash to orange
-            this.undergroundLight.color.setHex(0xFF6600); // Orange
+            // Flash to the power-up color
+            this.undergroundLight.color.setHex(color);
             this.undergroundLight.intensity = originalIntensity * 1.5; // Boost intensity briefly
             
             // Start smooth transition back to purple after 1200ms (when vignette ends)
             setTimeout(() => {
                 if (this.undergroundLight) {
-                    this.startUndergroundLightTransition(0xFF6600, 0x6600cc, originalIntensity, 1200);
+                    this.startUndergroundLightTransition(color, 0x6600cc, originalIntensity, 1200);
                 }
             }, 1200);
         }
         
-        // Show 2X WIDTH text
-        this.showBonusText();
+        // Show the power-up's name (whose it is when it's the opponent's)
+        const name = POWER_UPS[type].name;
+        if (enemy) {
+            this.showBonusText(`${this.gameMode === 'versus' ? 'P2' : 'AI'} ${name}`, 'enemyBonus');
+        } else {
+            this.showBonusText(name);
+        }
         
-        // Spawn orange point light at bonus position
-        const bonusLight = new THREE.PointLight(0xFF8C00, 8.0, 15);
+        // Spawn point light in the power-up color at bonus position
+        const bonusLight = new THREE.PointLight(color, 8.0, 15);
         bonusLight.position.copy(this.bonusCube.position);
         bonusLight.castShadow = false;
         this.scene.add(bonusLight);
@@ -5801,51 +6327,13 @@ class TronPong {
         
         // Keep original green paddle - just focus on width expansion
         // (Golden transformation removed - keeping original working system)
-        
-        // BONUS EFFECT: 2x Paddle Width for 5 seconds!
-        this.bonusActivePaddle = this.paddle1; // Player paddle
-        this.bonusTimer = this.bonusDuration;
-        this.paddleWidthTransition = 0; // Start transition
-        
-        log('✨ PLAYER PADDLE WIDENING!');
-    }
-    
-    triggerBonusLoss() {
-        log('💀 ENEMY HIT BONUS - Red flicker then disappear!');
-        
-        // Play denied sound
-        this.playSound('bonusDenied');
-        
-        // Change highlight particles to red when bonus is denied
-        this.setItemHighlightColor({ r: 1.0, g: 0.0, b: 0.0 }); // Red
-        
-        // Spawn red point light at bonus position
-        const bonusLight = new THREE.PointLight(0xff0000, 8.0, 15);
-        bonusLight.position.copy(this.bonusCube.position);
-        bonusLight.castShadow = false;
-        this.scene.add(bonusLight);
-        
-        // Store light for blinking animation
-        this.bonusLight = {
-            light: bonusLight,
-            startTime: performance.now(),
-            duration: 1000, // 1 second - match cube flicker duration
-            active: true
-        };
-        
-        // Start red flicker animation immediately
-        this.bonusCubeFlickerActive = true;
-        this.bonusCubeFlickerTimer = 0;
-        
-        // Force immediate first frame of flicker animation
-        this.updateBonusCube(0);
-        
-        // Enemy gets nothing - cube just flickers and disappears
+        // The effect itself is simulation state - updatePaddleWidths(), syncSimulation() and
+        // updatePowerUps() follow it
     }
     
-    showBonusText() {
+    showBonusText(text = '2X WIDTH', style = 'bonus') {
         // Use message queue system to prevent overlapping
-        this.queueMessage('2X WIDTH', 1200, 'bonus');
+        this.queueMessage(text, 1200, style);
     }
     
     updateParticles() {
@@ -5965,134 +6453,61 @@ class TronPong {
         }
     }
     
-    updateObstacles() {
-        if (!this.gameStarted || this.isPaused || !this.floorCubes || this.floorCubes.length === 0) return;
-        
-        const deltaTime = this.clock.getDelta();
-        
-        // Timer for spawning new obstacles
-        this.obstacleTimer += deltaTime;
-        
-        // Spawn new obstacle if it's time and no active obstacle
-        if (this.obstacleTimer >= this.obstacleInterval && !this.activeObstacle) {
-            this.spawnRandomObstacle();
-            this.obstacleTimer = 0;
-        }
+    onObstacleSpawned(obstacle) {
+        // Make it VERY visible - change base color too
+        this.floorCubes[obstacle.tile].material.color.setHex(0xff0033);
         
-        // Update active obstacle
-        if (this.activeObstacle) {
-            this.activeObstacle.lifetime += deltaTime;
-            
-            const cube = this.activeObstacle.cube;
-            const targetHeight = this.obstacleHeight / 2 - 2; // Center at wall height
-            
-            // Rising phase (first 0.5 seconds)
-            if (this.activeObstacle.lifetime < 0.5) {
-                const riseProgress = this.activeObstacle.lifetime / 0.5;
-                const easeOut = 1 - Math.pow(1 - riseProgress, 3);
-                cube.position.y = cube.userData.originalY + (targetHeight - cube.userData.originalY) * easeOut;
-                
-                // Scale height up as it rises
-                const heightScale = 1 + (29 * easeOut); // From 0.2 to 6 height (30x)
-                cube.scale.y = heightScale;
-                
-                // Make it BRIGHT RED!
-                cube.material.color.setHex(0xff0033);
-                cube.material.emissive.setHex(0xff0033);
-                cube.material.emissiveIntensity = riseProgress * 1.5; // Brighter!
-            }
-            // Staying up phase
-            else if (this.activeObstacle.lifetime < this.obstacleDuration) {
-                cube.position.y = targetHeight;
-                cube.scale.y = 30; // Full height
-                cube.material.color.setHex(0xff0033); // Bright RED base
-                cube.material.emissive.setHex(0xff0033); // Keep it RED
-                // Pulsing red glow while up (more intense)
-                const pulse = Math.sin(this.activeObstacle.lifetime * 3) * 0.3 + 1.0;
-                cube.material.emissiveIntensity = pulse;
-            }
-            // Lowering phase (last 0.5 seconds)
-            else if (this.activeObstacle.lifetime < this.obstacleDuration + 0.5) {
-                const lowerProgress = (this.activeObstacle.lifetime - this.obstacleDuration) / 0.5;
-                const easeIn = Math.pow(lowerProgress, 3);
-                cube.position.y = targetHeight + (cube.userData.originalY - targetHeight) * easeIn;
-                
-                // Scale height down as it lowers
-                const heightScale = 30 - (29 * easeIn); // From 6 back to 0.2 height
-                cube.scale.y = heightScale;
-                
-                cube.material.emissive.setHex(0xff0033); // Stay RED while lowering
-                // Fade out red light
-                cube.material.emissiveIntensity = (1 - lowerProgress) * 0.8;
-            }
-            // Remove obstacle
-            else {
-                cube.position.y = cube.userData.originalY;
-                cube.scale.y = 1; // Reset scale
-                cube.material.color.setHex(cube.userData.originalColor); // Reset base color
-                cube.material.emissive.setHex(cube.userData.originalEmissive);
-                cube.material.emissiveIntensity = cube.userData.originalEmissiveIntensity;
-                this.activeObstacle = null;
-            }
-        }
+        log('🔴 RED OBSTACLE SPAWNED at:', obstacle.x, obstacle.z);
     }
     
-    spawnRandomObstacle() {
-        // Only spawn in the play area (center of the floor)
-        const playAreaCubes = this.floorCubes.filter(cube => {
-            return Math.abs(cube.position.x) < 8 && Math.abs(cube.position.z) < 12;
-        });
-        
-        if (playAreaCubes.length === 0) return;
-        
-        // Pick random cube
-        const randomCube = playAreaCubes[Math.floor(Math.random() * playAreaCubes.length)];
-        
-        this.activeObstacle = {
-            cube: randomCube,
-            lifetime: 0
-        };
-        
-        // Make it VERY visible - change base color too
-        randomCube.material.color.setHex(0xff0033);
-        
-        log('🔴 RED OBSTACLE SPAWNED at:', randomCube.position.x, randomCube.position.z);
+    onObstacleCleared(obstacle) {
+        // Lower the obstacle tile back into the floor
+        const cube = this.floorCubes[obstacle.tile];
+        cube.position.y = cube.userData.originalY;
+        cube.scale.y = 1; // Reset scale
+        cube.material.color.setHex(cube.userData.originalColor); // Reset base color
+        cube.material.emissive.setHex(cube.userData.originalEmissive);
+        cube.material.emissiveIntensity = cube.userData.originalEmissiveIntensity;
     }
     
-    updatePlayerPaddle() {
-        if (this.isPaused || this.isGameFrozen || this.deathResetPhase > 0) return;
-        
-        // Store previous position for tilt calculation
-        const previousX = this.paddle1.position.x;
+    updateObstacleMesh() {
+        // The simulation owns the obstacle's lifetime - the tile just follows its rise
+        const obstacle = this.simulation.obstacle;
+        if (!obstacle) return;
         
+        const cube = this.floorCubes[obstacle.tile];
+        const targetHeight = this.simulation.obstacleHeight / 2 - 2; // Center at wall height
+        const rise = this.simulation.getObstacleRise();
         
-        // Calculate paddle half-width (accounts for bonus effect)
-        const scaleFactor = 1.0 + (this.bonusActivePaddle === this.paddle1 ? this.paddleWidthTransition : 0);
-        const paddleHalfWidth = 2.5 * scaleFactor; // Normal: 2.5, Bonus: 5.0
+        // Height scales with the rise - from 0.2 to 6 height (30x)
+        cube.position.y = cube.userData.originalY + (targetHeight - cube.userData.originalY) * rise;
+        cube.scale.y = 1 + 29 * rise;
         
-        // Wall boundaries (walls are at ±11.5)
-        const wallPosition = 11.5;
-        const maxX = wallPosition - paddleHalfWidth; // Dynamic based on paddle width
-        const minX = -(wallPosition - paddleHalfWidth);
-        
-        // Player controls (A/D or Arrow keys) - apply timeScale for slow motion
-        if ((this.keys['a'] || this.keys['arrowleft']) && this.paddle1.position.x > minX) {
-            this.paddle1.position.x -= this.paddleSpeed * this.timeScale;
-            // Clamp to prevent wall intersection
-            this.paddle1.position.x = Math.max(this.paddle1.position.x, minX);
-        }
-        if ((this.keys['d'] || this.keys['arrowright']) && this.paddle1.position.x < maxX) {
-            this.paddle1.position.x += this.paddleSpeed * this.timeScale;
-            // Clamp to prevent wall intersection
-            this.paddle1.position.x = Math.min(this.paddle1.position.x, maxX);
+        // BRIGHT RED the whole way
+        cube.material.color.setHex(0xff0033);
+        cube.material.emissive.setHex(0xff0033);
+        if (obstacle.lifetime < 0.5) {
+            // Rising phase (first 0.5 seconds)
+            cube.material.emissiveIntensity = (obstacle.lifetime / 0.5) * 1.5; // Brighter!
+        } else if (obstacle.lifetime < this.simulation.obstacleDuration) {
+            // Pulsing red glow while up (more intense)
+            cube.material.emissiveIntensity = Math.sin(obstacle.lifetime * 3) * 0.3 + 1.0;
+        } else {
+            // Lowering phase (last 0.5 seconds) - fade out red light
+            const lowerProgress = (obstacle.lifetime - this.simulation.obstacleDuration) / 0.5;
+            cube.material.emissiveIntensity = (1 - lowerProgress) * 0.8;
         }
-        
+    }
+    
+    updateCameraTilt(input, previousX) {
+        // Camera leans with the player paddle - previousX is where it was before this tick's move
+        const paddleX = this.simulation.paddles.player1.x;
         
         // Calculate paddle velocity for camera tilt
-        const paddleVelocity = this.paddle1.position.x - previousX;
+        const paddleVelocity = paddleX - previousX;
         
         // Detect if keyboard input is being used (binary on/off)
-        const isKeyboardInput = (this.keys['a'] || this.keys['arrowleft'] || this.keys['d'] || this.keys['arrowright']);
+        const isKeyboardInput = (input.left || input.right);
         
         // Calculate target tilt based on paddle movement (increased for more noticeable effect)
         let targetTilt = paddleVelocity * -0.3; // Doubled intensity (was -0.15)
@@ -6121,672 +6536,407 @@ class TronPong {
         this.cameraTilt += (targetTilt - this.cameraTilt) * this.cameraTiltSmooth;
         
         // Target camera look offset based on paddle position
-        const targetLookOffset = this.paddle1.position.x * 0.4; // Camera looks in paddle direction
+        const targetLookOffset = paddleX * 0.4; // Camera looks in paddle direction
         
         // Smoothly interpolate camera look
         this.cameraLookOffset += (targetLookOffset - this.cameraLookOffset) * this.cameraLookSmooth;
-        
-        // Apply paddle pushback (HEAVY weighty impact feel)
-        if (this.paddle1Pushback > 0) {
-            this.paddle1.position.z = 15 + this.paddle1Pushback; // Base position + pushback
-            // VERY slow ease back for maximum weight (takes ~3 seconds)
-            this.paddle1Pushback *= 0.96; // Even slower decay (was 0.97)
-            if (this.paddle1Pushback < 0.005) {
-                this.paddle1Pushback = 0;
-                this.paddle1.position.z = 15; // Reset to exact position
-            }
-        }
     }
     
-    updateAIPaddle() {
-        if (!this.gameStarted || this.isPaused || this.isGameFrozen || this.balls.length === 0) return;
+    // ===== POWER-UPS =====
+    
+    createShieldBarriers() {
+        // A wall-to-wall laser forcefield per side at the SHIELD line, between the paddle and the goal -
+        // the goals' shader in the shield color. The geometry sits on the floor so scaling y raises it
+        const settings = this.shieldBarrier;
+        for (const side of ['player1', 'player2']) {
+            const material = new THREE.ShaderMaterial({
+                uniforms: THREE.UniformsUtils.clone(this.goalShader.uniforms),
+                vertexShader: this.goalShader.vertexShader,
+                fragmentShader: this.goalShader.fragmentShader,
+                transparent: true,
+                side: THREE.DoubleSide,
+                blending: THREE.AdditiveBlending
+            });
+            material.uniforms.baseColor.value.setHex(side === 'player1' ? this.powerUpVisuals.shield.color : this.powerUpEnemyColor);
+            material.uniforms.opacity.value = 0;
+            
+            const geometry = new THREE.PlaneGeometry(ARENA.wallX * 2 + 1, settings.height);
+            geometry.translate(0, settings.height / 2, 0);
+            const barrier = new THREE.Mesh(geometry, material);
+            barrier.position.set(0, ARENA.floorY, side === 'player1' ? ARENA.shieldZ : -ARENA.shieldZ);
+            barrier.scale.y = 0.001;
+            barrier.visible = false;
+            barrier.userData.raise = 0; // 0 = sunk into the floor, 1 = fully up
+            this.scene.add(barrier);
+            this.shieldBarriers[side] = barrier;
+        }
+    }
+    
+    updatePowerUps(deltaTime) {
+        // Barriers rise while their side has the SHIELD and sink when it runs out (a hit shatters them instead)
+        const settings = this.shieldBarrier;
+        for (const side in this.shieldBarriers) {
+            const barrier = this.shieldBarriers[side];
+            const target = this.simulation.paddles[side].shield ? 1 : 0;
+            const step = deltaTime / settings.raiseTime;
+            const raise = barrier.userData.raise;
+            barrier.userData.raise = target > raise ? Math.min(target, raise + step) : Math.max(target, raise - step);
+            
+            barrier.visible = barrier.userData.raise > 0;
+            barrier.scale.y = Math.max(0.001, barrier.userData.raise);
+            barrier.material.uniforms.opacity.value = settings.opacity * barrier.userData.raise;
+            barrier.material.uniforms.time.value = this.goalAnimationTime;
+        }
+        this.updatePowerUpHud();
+    }
+    
+    updatePowerUpHud() {
+        // One row per running power-up: name + a bar that empties with its timer (player 2's rows in magenta)
+        const hud = this.domElements.powerUpHud;
+        if (!hud) return;
+        
+        const entries = this.simulation.powerUps;
+        const key = entries.map(entry => `${entry.type}:${entry.side}`).join(',');
+        if (key !== this.powerUpHud.key) {
+            this.powerUpHud.key = key;
+            hud.innerHTML = '';
+            this.powerUpHud.bars = entries.map(entry => {
+                const row = document.createElement('div');
+                row.className = entry.side === 'player2' ? 'powerUp player2' : 'powerUp';
+                row.textContent = POWER_UPS[entry.type].name;
+                const bar = document.createElement('div');
+                bar.className = 'powerUpBar';
+                row.appendChild(bar);
+                hud.appendChild(row);
+                return bar;
+            });
+        }
         
-        // Store previous position for tilt calculation
-        const previousX = this.paddle2.position.x;
+        entries.forEach((entry, index) => {
+            const fraction = Math.max(0, Math.min(1, entry.timer / POWER_UPS[entry.type].duration));
+            this.powerUpHud.bars[index].style.width = `${fraction * 100}%`;
+        });
+        hud.style.display = this.gameStarted && !this.isPaused && entries.length > 0 ? 'block' : 'none';
+    }
+    
+    onShieldHit(event) {
+        // The barrier took the ball (the simulation already removed the SHIELD) - it shatters on the spot
+        log(`🛡️ SHIELD saved ${event.side === 'player1' ? 'Player 1' : 'Player 2'}!`);
+        const color = event.side === 'player1' ? this.powerUpVisuals.shield.color : this.powerUpEnemyColor;
+        const barrier = this.shieldBarriers[event.side];
+        barrier.userData.raise = 0;
+        barrier.visible = false;
+        
+        // Full burst where the ball hit + smaller shards spread along the barrier
+        this.createImpactEffect(new THREE.Vector3().copy(event.position), color);
+        const shards = this.shieldBarrier.shards;
+        for (let i = 0; i < shards; i++) {
+            const x = (i / (shards - 1) - 0.5) * ARENA.wallX * 2;
+            if (Math.abs(x - event.position.x) < 3) continue; // The main burst covers it
+            this.createImpactEffect(new THREE.Vector3(x, 0, barrier.position.z), color);
+        }
+        
+        this.playSound('wallHit', event.position);
+        this.playSound('bonusDenied', event.position);
+        this.triggerCameraShake(0.3);
+    }
+    
+    // ===== SIMULATION EVENTS =====
+    // GridZoneSimulation (simulation.js) decides everything - these handlers only turn what it
+    // reports into meshes, lights, sound and UI. They must never change simulation state.
+    
+    bindSimulationEvents() {
+        const simulation = this.simulation;
+        simulation.on('ballSpawned', event => this.spawnBallMesh(event.ball));
+        simulation.on('ballRemoved', event => this.removeBallMesh(event.index));
+        simulation.on('ballsCleared', () => this.removeAllBalls());
+        simulation.on('wallHit', event => this.onWallHit(event));
+        simulation.on('obstacleHit', event => this.onObstacleHit(event));
+        simulation.on('paddleHit', event => this.onPaddleHit(event));
+        simulation.on('multiBall', (event) => this.onMultiBall(event));
+        simulation.on('combo', event => this.updateCombo(event.combo));
+        simulation.on('comboReset', () => this.resetCombo());
+        simulation.on('bonusSpawned', event => this.spawnBonusCubeMesh(event.cube));
+        simulation.on('bonusCollected', event => this.onBonusCollected(event.side, event.type));
+        simulation.on('bonusRemoved', () => this.removeBonusCube());
+        simulation.on('bonusExpired', event => this.onBonusExpired(event.side));
+        simulation.on('shieldHit', event => this.onShieldHit(event));
+        simulation.on('obstacleSpawned', event => this.onObstacleSpawned(event.obstacle));
+        simulation.on('obstacleCleared', event => this.onObstacleCleared(event.obstacle));
+        simulation.on('goal', event => this.onGoal(event));
+        simulation.on('unfrozen', event => this.onUnfrozen(event.reason));
+        simulation.on('rallyReset', () => this.onRallyReset());
+        simulation.on('serve', () => this.onServe());
+    }
+    
+    removeBallMesh(index) {
+        // A ball left the field (goal) - its mesh, trail and light go with it
+        this.disposeBall(this.balls[index]);
+        
+        // Clean up trail for this ball (spliced out below - nothing reuses it)
+        this.disposeTrail(this.trails[index]);
+        
+        // Turn off ball light for this ball (will be restored when ball respawns)
+        if (this.ballLights[index]) {
+            this.ballLights[index].intensity = 0;
+            log(`💡 Ball light ${index} turned off (ball removed)`);
+        }
+        
+        this.balls.splice(index, 1);
+        this.trails.splice(index, 1);
+    }
+    
+    onWallHit(event) {
+        // No wall feedback while celebrations own the screen
+        if (this.isCelebrating) return;
+        
+        const side = event.side;
+        this.triggerCameraShake(0.4, false, false, side);
+        this.triggerWallBlink(side < 0 ? this.leftWallCubes : this.rightWallCubes, event.position.z);
+        this.triggerRumble(0.2, 80);
+        this.createImpactEffect(new THREE.Vector3().copy(event.position), 0x00FEFC);
+        this.worldLightBoost = 12.0;
+        this.playStereoWallHit(event.position);
+        this.triggerLensFlare();
+    }
+    
+    onObstacleHit(event) {
+        // Visual/audio feedback
+        this.triggerCameraShake(0.6, false, false);
+        this.triggerRumble(0.3, 100);
+        this.createImpactEffect(new THREE.Vector3().copy(event.position), 0xff0033); // RED impact!
+        this.worldLightBoost = 15.0;
+        this.playStereoWallHit(event.position);
+        this.triggerLensFlare(); // Lens flare on obstacle impact!
+        this.boostParticleOpacity(); // Boost particles on obstacle impact
+        
+        // Flash the obstacle BRIGHT RED
+        this.floorCubes[this.simulation.obstacle.tile].material.emissiveIntensity = 1.2;
+    }
+    
+    onPaddleHit(event) {
+        const impactPosition = new THREE.Vector3().copy(event.position);
+        
+        if (event.side === 'player2') {
+            this.triggerCameraShake(0.3, true);
+            this.triggerPaddleBlink(this.paddle2, 'paddle2');
+            this.triggerRumble(0.3, 100);
+            this.createImpactEffect(impactPosition, 0xff00ff);
+            this.setBallColor(event.index, 'ai');
+            this.worldLightBoost = 12.0;
+            this.playSound('paddleHit', event.position);
+            this.triggerLensFlare(); // Lens flare on impact!
+            this.boostParticleOpacity('enemy'); // Boost particles on enemy paddle hit
+            return;
+        }
         
+        this.triggerCameraShake(0.8, true, true);
+        this.triggerPaddleBlink(this.paddle1, 'paddle1');
+        this.triggerRumble(0.4, 120);
+        this.createImpactEffect(impactPosition, 0x00FEFC); // Lime green
+        this.playSound('paddleHit', event.position);
+        this.boostParticleOpacity('player'); // Boost particles on player paddle hit
         
-        // Track closest ball moving towards AI
-        let closestBall = null;
-        let closestDist = Infinity;
+        // Adaptive difficulty: count the return toward this rally
+        this.recordAdaptiveReturn();
         
-        for (let i = 0; i < this.balls.length; i++) {
-            if (this.ballVelocities[i].z < 0) { // Moving towards AI
-                const dist = Math.abs(this.balls[i].position.z + 15);
-                if (dist < closestDist) {
-                    closestDist = dist;
-                    closestBall = this.balls[i];
-                }
-            }
+        // Time Attack: every return is worth points (x combo multiplier - 'combo' fires before the hit)
+        if (this.gameMode === 'timeAttack') {
+            this.addTimeAttackPoints(this.timeAttack.hitPoints);
         }
         
-        if (!closestBall && this.balls.length > 0) {
-            closestBall = this.balls[0]; // Default to first ball
+        this.setBallColor(event.index, 'player');
+        this.worldLightBoost = 12.0;
+        this.triggerLensFlare(); // Lens flare on impact!
+    }
+    
+    onMultiBall(event) {
+        // The extra ball's mesh came with 'ballSpawned' - just no camera tricks, no slow-mo
+        this.showMultiBallText();
+        
+        // Flash underground light cyan for multiball pickup
+        if (this.undergroundLight) {
+            const originalIntensity = this.undergroundLight.intensity;
+            
+            // Flash to cyan
+            this.undergroundLight.color.setHex(0x00FFFF); // Cyan
+            this.undergroundLight.intensity = originalIntensity * 1.5; // Boost intensity briefly
+            
+            // Start smooth transition back to purple after 1200ms
+            setTimeout(() => {
+                if (this.undergroundLight) {
+                    this.startUndergroundLightTransition(0x00FFFF, 0x6600cc, originalIntensity, 1200);
+                }
+            }, 1200);
+        }
+        this.playSound('multiBall', event.ball.position);
+    }
+    
+    onGoal(event) {
+        if (event.scorer === 'player2') {
+            // Player died - the simulation froze the field; death screen first so the camera locks
+            // Deactivate ALL camera systems
+            this.multiBallZoom.active = false;
+            this.startMenuCamera.active = false;
+            this.pauseCamera.active = false;
+            
+            this.showDeathScreen();
+            this.playSound('death');
+            
+            // CLEANUP AFTER DEATH: Clear all accumulated effects
+            const deathCleanupTimeout = setTimeout(() => {
+                log('🧹 Post-death cleanup triggered');
+                this.cleanupImpactEffects();
+            }, 800); // Clean up 0.8 seconds after death sequence starts
+            this.activeTimeouts.push(deathCleanupTimeout);
+            
+            // Flash player goal MAGENTA (ball went past player - enemy scored!)
+            this.flashGoalMagenta(this.playerGoal);
+            
+            // Trigger enemy celebratory wave (inverse direction with magenta colors)
+            this.triggerEnemyCelebratoryWave();
+            
+            this.updateScore();
+            return;
         }
         
-        if (!closestBall) return;
+        // Player scored - frozen for the celebration
+        this.gameSpeed = 0; // Freeze game speed
+        
+        // Flash AI goal GREEN (ball went past AI) - WIN!
+        this.flashGoalGreen(this.aiGoal);
         
-        // AI logic
-        const targetX = closestBall.position.x;
-        const currentX = this.paddle2.position.x;
+        // Add cyan vignette for win celebration (starts fading out immediately)
+        const vignette = document.getElementById('vignette');
+        vignette.classList.add('win');
         
-        const error = (Math.random() - 0.5) * (1 - this.aiDifficulty) * 2;
-        const targetWithError = targetX + error;
+        // Clean up vignette class after animation completes
+        setTimeout(() => {
+            vignette.classList.remove('win');
+        }, 3000); // Match CSS animation duration
         
-        // Calculate AI paddle half-width (always normal width - no bonus for AI)
-        const paddleHalfWidth = 2.5; // AI paddle is always normal size
+        this.triggerCelebratoryWave(); // CELEBRATORY WAVE!
+        this.playSound('score');
+        this.showAwesomeText();
         
-        // Wall boundaries (walls are at ±11.5)
-        const wallPosition = 11.5;
-        const maxX = wallPosition - paddleHalfWidth; // = 9.0
-        const minX = -(wallPosition - paddleHalfWidth); // = -9.0
+        // CLEANUP AFTER WIN: Clear all accumulated effects
+        const winCleanupTimeout = setTimeout(() => {
+            log('🧹 Post-win cleanup triggered');
+            this.cleanupImpactEffects();
+        }, 1000); // Clean up 1 second after win sequence starts
+        this.activeTimeouts.push(winCleanupTimeout);
         
-        // Move towards target (apply timeScale for slow motion)
-            if (currentX < targetWithError - 0.5 && this.paddle2.position.x < maxX) {
-                this.paddle2.position.x += this.aiSpeed * this.timeScale;
-                // Clamp to prevent wall intersection
-                this.paddle2.position.x = Math.min(this.paddle2.position.x, maxX);
-            } else if (currentX > targetWithError + 0.5 && this.paddle2.position.x > minX) {
-                this.paddle2.position.x -= this.aiSpeed * this.timeScale;
-                // Clamp to prevent wall intersection
-                this.paddle2.position.x = Math.max(this.paddle2.position.x, minX);
-            }
+        this.updateScore();
+    }
+    
+    onUnfrozen(reason) {
+        // UNFREEZE GAME: Resume normal gameplay
+        this.gameSpeed = 1.0;
+        if (reason !== 'death') return;
         
+        // Death screen starts its exit (1.2s in, total 2.0s)
+        // Start FOV restoration when game unfreezes
+        this.startFOVRestoration(75, 1200); // Restore from 50 to 75 over 1.2s
         
-        // Calculate paddle velocity for tilt
-        const paddleVelocity = this.paddle2.position.x - previousX;
+        // Reset chromatic aberration to normal gradually
+        this.resetChromaticAberration();
+        this.setMusicDuck(false);
         
-        // Apply paddle pushback (HEAVY weighty impact feel)
-        if (this.paddle2Pushback > 0) {
-            this.paddle2.position.z = -15 - this.paddle2Pushback; // Base position - pushback (opposite direction)
-            // VERY slow ease back for maximum weight (takes ~3 seconds)
-            this.paddle2Pushback *= 0.96; // Even slower decay (was 0.97)
-            if (this.paddle2Pushback < 0.005) {
-                this.paddle2Pushback = 0;
-                this.paddle2.position.z = -15; // Reset to exact position
-            }
-        }
+        // Clean up death vignette class after animation completes
+        const vignette = document.getElementById('vignette');
+        setTimeout(() => {
+            vignette.classList.remove('death');
+        }, 1800); // Match updated timing (1.2s display + 0.6s exit = 1.8s)
     }
     
-    updateBall() {
-        if (!this.gameStarted || this.isPaused || this.isGameFrozen || this.scoreSequenceActive) return;
+    onRallyReset() {
+        // After a death the simulation cleared the field and is about to serve - reset the show with it
+        log('🔄 Death reset...');
         
-        // Frame skipping for collision detection in performance mode
-        if (this.performanceMode) {
-            this._ballUpdateFrame = (this._ballUpdateFrame || 0) + 1;
-            if (this._ballUpdateFrame % 2 !== 0) {
-                // Skip collision detection every other frame in performance mode
-                // Still update ball positions and lights
-                for (let i = 0; i < this.balls.length; i++) {
-                    const ball = this.balls[i];
-                    const velocity = this.ballVelocities[i];
-                    ball.position.x += velocity.x * this.timeScale;
-                    ball.position.z += velocity.z * this.timeScale;
-                }
-                
-                // Update ball lights
-                for (let i = 0; i < this.balls.length && i < this.ballLights.length; i++) {
-                    if (this.ballLights[i]) {
-                        // Ensure light is in scene and has proper intensity
-                        if (!this.scene.children.includes(this.ballLights[i])) {
-                            this.scene.add(this.ballLights[i]);
-                            log(`💡 Re-added missing ball light ${i} to scene during performance update`);
-                        }
-                        if (this.ballLights[i].intensity === 0) {
-                            this.ballLights[i].intensity = 0.15;
-                            log(`💡 Restored ball light ${i} intensity during performance update`);
-                        }
-                    this.ballLights[i].position.copy(this.balls[i].position);
-                    this.ballLights[i].position.y += 2;
-                    }
-                }
-                return;
-            }
+        // A denied cube may still be flickering out
+        this.removeBonusCube();
+        
+        // Clean up wave lights
+        for (let waveLight of this.waveLights) {
+            this.scene.remove(waveLight.light);
         }
+        this.waveLights = [];
         
-        // Update trail every frame (keep smooth for gameplay)
-        this.updateTrail();
+        this.paddle1.rotation.z = 0;
+        this.paddle2.rotation.z = 0;
         
-        // Update ball lights to follow their respective balls
-        for (let i = 0; i < this.balls.length && i < this.ballLights.length; i++) {
-            if (this.ballLights[i]) {
-                // Ensure light is in scene and has proper intensity
-                if (!this.scene.children.includes(this.ballLights[i])) {
-                    this.scene.add(this.ballLights[i]);
-                    log(`💡 Re-added missing ball light ${i} to scene during update`);
-                }
-                if (this.ballLights[i].intensity === 0) {
-                    this.ballLights[i].intensity = 0.15;
-                    log(`💡 Restored ball light ${i} intensity during update`);
-                }
-            this.ballLights[i].position.copy(this.balls[i].position);
-            this.ballLights[i].position.y += 2;
-            }
+        // Drop any goal blink / zoom still running
+        this.clearCinematicEffects();
+        
+        // PERFORMANCE: Comprehensive memory cleanse after death
+        this.performMemoryCleanse();
+        
+        // Clear all active timeouts that might interfere
+        this.clearAllTimeouts();
+        
+        // Clear any lingering goal blink effects
+        this.goalBlinkTimer = 0;
+        this.goalBlinkTarget = null;
+        
+        // Reset goal colors to original state
+        if (this.playerGoal) {
+            this.playerGoal.material.uniforms.baseColor.value.copy(this.playerGoal.userData.originalColor);
+            this.playerGoal.material.uniforms.emissiveIntensity.value = 7.8125;
+            this.playerGoal.material.uniforms.opacity.value = 0.3;
+        }
+        if (this.aiGoal) {
+            this.aiGoal.material.uniforms.baseColor.value.copy(this.aiGoal.userData.originalColor);
+            this.aiGoal.material.uniforms.emissiveIntensity.value = 7.8125;
+            this.aiGoal.material.uniforms.opacity.value = 0.3;
         }
         
-        // Update spatial audio volume based on distance to player
-        for (let i = 0; i < this.balls.length && i < this.ballSounds.length; i++) {
-            const ball = this.balls[i];
-            const sound = this.ballSounds[i];
-            
-            if (sound && ball) {
-                // Calculate distance from ball to player paddle (z-axis)
-                const distanceToPlayer = Math.abs(ball.position.z - this.paddle1.position.z);
-                
-                // Map distance to volume: closer = louder
-                // Max distance = 30 (full field), Min distance = 0
-                const maxDistance = 30;
-                const minDistance = 0;
-                
-                // Inverse square falloff for more realistic spatial audio
-                const normalizedDist = Math.max(0, Math.min(1, distanceToPlayer / maxDistance));
-                const falloff = 1 - (normalizedDist * normalizedDist);
-                
-                // Volume range: 0.05 (far) to 0.5 (very close)
-                sound.volume = 0.05 + (falloff * 0.45);
-            }
+        // Clear any lingering multi-ball zoom effects
+        this.multiBallZoom.active = false;
+        
+        // Restore paddle lights (energy restored!)
+        this.fadePaddleLights(1.0, 500);
+        
+        log('✅ Death reset complete!');
+    }
+    
+    onServe() {
+        // Clean up celebration light before the new ball appears
+        if (this.celebrationLight && this.celebrationLightActive) {
+            this.scene.remove(this.celebrationLight);
+            this.celebrationLight = null;
+            this.celebrationLightActive = false;
+            log('✨ Celebration light cleaned up before new ball spawn');
         }
+    }
+    
+    showAwesomeText() {
+        // Use message queue system to prevent overlapping
+        this.queueMessage('AWESOME', 1200, 'awesome');
+    }
+    
+    showMultiBallText() {
+        // Use message queue system to prevent overlapping
+        this.queueMessage('MULTI-BALL', 1200, 'default');
+    }
+    
+    showDeathScreen() {
+        // MESSAGE OVERRIDE: Clear any existing messages when "YOU DIED!" takes priority
+        this.clearCurrentMessage();
         
-        // Track balls that scored (to remove after loop)
-        let ballsToRemove = [];
+        // The simulation froze the field (and locks the paddle) - onUnfrozen('death') ends the hold
+        this.gameSpeed = 0; // Freeze game speed
         
-        // Multi-ball spawn flag (prevent multiple spawns in same frame)
-        let multiBallSpawnedThisFrame = false;
+        // Start FOV zoom animation (part of death sequence, not skull)
+        this.startFOVZoomAnimation();
         
-        // Cache paddle positions (avoid repeated property lookups)
-        const paddle1X = this.paddle1.position.x;
-        const paddle1Z = this.paddle1.position.z;
-        const paddle2X = this.paddle2.position.x;
-        const paddle2Z = this.paddle2.position.z;
+        // Trigger noticeable camera shake on every death
+        this.triggerCameraShake(0.5, true, false, 0); // Subtle shake with rotation
         
-        // Update collision cooldowns
-        this.updateCollisionCooldowns();
+        // Boost chromatic aberration 8x during death moment
+        this.triggerChromaticAberrationBoost();
         
-        // Update each ball
-        for (let i = 0; i < this.balls.length; i++) {
-            const ball = this.balls[i];
-            const velocity = this.ballVelocities[i];
-            
-            // Check if ball is stuck (before moving)
-            if (this.checkBallStuck(i, ball)) {
-                continue; // Skip this ball if it was reset
-            }
-            
-            // Move ball (apply timeScale for slow motion effects!)
-            ball.position.x += velocity.x * this.timeScale;
-            ball.position.z += velocity.z * this.timeScale;
-            
-            // BONUS CUBE COLLISION CHECK
-            this.checkBonusCubeCollision();
-        
-        // Wall collisions - ANTI-STUCK system prevents sound/effect spam
-            if (ball.position.x <= -11.5 && !this.isCollisionOnCooldown(i, 'wall') && velocity.x < 0 && !this.isCelebrating && !this.deathResetPhase && !this.scoreSequenceActive) {
-                // Set cooldown to prevent rapid-fire collisions
-                this.setCollisionCooldown(i, 'wall');
-                
-                velocity.x = Math.abs(velocity.x); // Force positive (bounce right)
-                ball.position.x = -11.5; // Push ball back to exact wall boundary
-                
-                // ENHANCED ANTI-STUCK: Stronger randomness to break shallow angles
-                velocity.z += (Math.random() - 0.5) * 0.08; // Doubled randomness
-                
-                // ENHANCED ANTI-STUCK: Enforce stronger minimum Z velocity
-                const minZVelocity = 0.12; // Increased from 0.08
-                if (Math.abs(velocity.z) < minZVelocity) {
-                    velocity.z = velocity.z > 0 ? minZVelocity : -minZVelocity;
-                }
-                
-                // Trigger effects only once per cooldown period
-                this.triggerCameraShake(0.4, false, false, -1);
-                this.triggerWallBlink(this.leftWallCubes, ball.position.z);
-                this.triggerRumble(0.2, 80);
-                this.createImpactEffect(ball.position.clone(), 0x00FEFC);
-                this.worldLightBoost = 12.0;
-                this.playStereoWallHit('left');
-                this.triggerLensFlare();
-                
-                // Record collision for stuck ball detection
-                this.recordBallCollision(ball.position.clone());
-            }
-        
-            if (ball.position.x >= 11.5 && !this.isCollisionOnCooldown(i, 'wall') && velocity.x > 0 && !this.isCelebrating && !this.deathResetPhase && !this.scoreSequenceActive) {
-                // Set cooldown to prevent rapid-fire collisions
-                this.setCollisionCooldown(i, 'wall');
-                
-                velocity.x = -Math.abs(velocity.x); // Force negative (bounce left)
-                ball.position.x = 11.5; // Push ball back to wall boundary
-                
-                // ENHANCED ANTI-STUCK: Stronger randomness to break shallow angles
-                velocity.z += (Math.random() - 0.5) * 0.08; // Doubled randomness
-                
-                // ENHANCED ANTI-STUCK: Enforce stronger minimum Z velocity
-                const minZVelocity = 0.12; // Increased from 0.08
-                if (Math.abs(velocity.z) < minZVelocity) {
-                    velocity.z = velocity.z > 0 ? minZVelocity : -minZVelocity;
-                }
-                
-                // Trigger effects only once per cooldown period
-                this.triggerCameraShake(0.4, false, false, 1);
-                this.triggerWallBlink(this.rightWallCubes, ball.position.z);
-                this.triggerRumble(0.2, 80);
-                this.createImpactEffect(ball.position.clone(), 0x00FEFC);
-                this.worldLightBoost = 12.0;
-                this.playStereoWallHit('right');
-                this.triggerLensFlare();
-                
-                // Record collision for stuck ball detection
-                this.recordBallCollision(ball.position.clone());
-            }
-        
-            // Obstacle collision (raised floor tile)
-            if (this.activeObstacle && this.activeObstacle.lifetime > 0.5) {
-                const obstacleCube = this.activeObstacle.cube;
-                const cubeSize = 1.8;
-                
-                // Check if ball is within obstacle bounds (3D collision)
-                const dx = Math.abs(ball.position.x - obstacleCube.position.x);
-                const dy = Math.abs(ball.position.y - obstacleCube.position.y);
-                const dz = Math.abs(ball.position.z - obstacleCube.position.z);
-                
-                const collisionRadius = 0.5; // Ball radius
-                const halfCubeSize = cubeSize / 2;
-                const halfHeight = this.obstacleHeight / 2;
-                
-                // AABB collision detection
-                if (dx < halfCubeSize + collisionRadius && 
-                    dz < halfCubeSize + collisionRadius &&
-                    dy < halfHeight + collisionRadius) {
-                    
-                    // Determine which face was hit
-                    const overlapX = (halfCubeSize + collisionRadius) - dx;
-                    const overlapZ = (halfCubeSize + collisionRadius) - dz;
-                    
-                    // Bounce based on smallest overlap (hit that face)
-                    if (overlapX < overlapZ) {
-                        // Hit left/right face
-                        velocity.x *= -1;
-                        ball.position.x += velocity.x > 0 ? 1 : -1; // Push out
-                        
-                        // ANTI-STUCK: Enforce minimum Z velocity
-                        const minZVelocity = 0.08;
-                        if (Math.abs(velocity.z) < minZVelocity) {
-                            velocity.z = velocity.z > 0 ? minZVelocity : -minZVelocity;
-                        }
-                    } else {
-                        // Hit front/back face
-                        velocity.z *= -1;
-                        ball.position.z += velocity.z > 0 ? 1 : -1; // Push out
-                        
-                        // ANTI-STUCK: Enforce minimum X velocity
-                        const minXVelocity = 0.08;
-                        if (Math.abs(velocity.x) < minXVelocity) {
-                            velocity.x = velocity.x > 0 ? minXVelocity : -minXVelocity;
-                        }
-                    }
-                    
-                    // Visual/audio feedback
-                    this.triggerCameraShake(0.6, false, false);
-                    this.triggerRumble(0.3, 100);
-                    this.createImpactEffect(ball.position.clone(), 0xff0033); // RED impact!
-                    this.worldLightBoost = 15.0;
-                    this.playStereoWallHit('left');
-                    this.triggerLensFlare(); // Lens flare on obstacle impact!
-                    this.boostParticleOpacity(); // Boost particles on obstacle impact
-                    
-                    // Flash the obstacle BRIGHT RED
-                    obstacleCube.material.emissiveIntensity = 1.2;
-                }
-        }
-        
-        // Player paddle collision (bottom) - ANTI-STUCK system
-            // Calculate paddle width (accounts for bonus effect)
-            const paddle1HalfWidth = 2.5 * (1.0 + (this.bonusActivePaddle === this.paddle1 ? this.paddleWidthTransition : 0));
-            if (ball.position.z >= 14.5 && 
-                Math.abs(ball.position.x - paddle1X) < paddle1HalfWidth &&
-                !this.isCollisionOnCooldown(i, 'paddle') &&
-                !this.collisionDisabled) {
-                
-                // Set cooldown to prevent rapid-fire collisions
-                this.setCollisionCooldown(i, 'paddle');
-                
-                // Increase ball speed multiplier
-                this.ballSpeedMultiplier *= 1.05;
-                velocity.z *= -1.05;
-                velocity.x += (ball.position.x - paddle1X) * 0.1;
-                
-                // ENHANCED ANTI-STUCK: Add randomness to break shallow angles
-                velocity.x += (Math.random() - 0.5) * 0.06;
-                this.triggerCameraShake(0.8, true, true);
-            this.triggerPaddleBlink(this.paddle1, 'paddle1');
-                this.triggerRumble(0.4, 120);
-                this.createImpactEffect(ball.position.clone(), 0x00FEFC); // Lime green
-                this.playSound('paddleHit');
-                this.boostParticleOpacity('player'); // Boost particles on player paddle hit
-                
-                // Update ball ownership to player
-                this.ballOwners[i] = 'player';
-                
-                // Record collision for stuck ball detection
-                this.recordBallCollision(ball.position.clone());
-                
-                // Paddle pushback!
-                this.paddle1Pushback = 1.5; // Push back 1.5 units (increased from 0.8)
-                
-                // Track successful hits for multi-ball
-                this.successfulHits++;
-                
-                // BONUS CUBE - spawn every 5th PLAYER hit!
-                this.playerHits++;
-                if (this.playerHits >= this.bonusCubeSpawnInterval && !this.bonusCubeActive) {
-                    this.spawnBonusCube();
-                    this.playerHits = 0; // Reset counter
-                }
-                
-                // Spawn additional ball every 4 hits (max 2 balls)
-                // SAFETY: Only spawn once per frame, even if multiple balls hit paddle
-                if (!multiBallSpawnedThisFrame && 
-                    this.successfulHits >= this.nextBallThreshold && 
-                    this.balls.length < this.maxBalls) {
-                    // SIMPLE SPAWN: Near AI paddle, heading toward player
-                    // No camera tricks, no slow-mo, just clean gameplay
-                    this.spawnBall(0, 0, -10, {  // Spawn near AI (z=-10)
-                        x: 0,      // Straight down middle
-                        y: 0, 
-                        z: 0.15    // Toward player (simple & clean)
-                    });
-                    this.nextBallThreshold += 2; // Next ball at +2 hits
-                    this.showMultiBallText(); // Show text
-                    
-                    // Flash underground light cyan for multiball pickup
-                    if (this.undergroundLight) {
-                        const originalColor = this.undergroundLight.color.clone();
-                        const originalIntensity = this.undergroundLight.intensity;
-                        
-                        // Flash to cyan
-                        this.undergroundLight.color.setHex(0x00FFFF); // Cyan
-                        this.undergroundLight.intensity = originalIntensity * 1.5; // Boost intensity briefly
-                        
-                        // Start smooth transition back to purple after 1200ms
-                        setTimeout(() => {
-                            if (this.undergroundLight) {
-                                this.startUndergroundLightTransition(0x00FFFF, 0x6600cc, originalIntensity, 1200);
-                            }
-                        }, 1200);
-                    }
-                    this.playSound('multiBall'); // Play sound
-                    multiBallSpawnedThisFrame = true; // Prevent duplicate spawns this frame
-                    
-                    // NO CAMERA ZOOM, NO SLOW-MO - keep it simple!
-                }
-                
-                // Combo system
-                if (i === 0 && this.ballOwners[i] === 'ai') {
-                this.consecutiveHits++;
-                this.updateCombo();
-                this.resetComboTimeout();
-            }
-            
-                this.setBallColor(i, 'player');
-                this.worldLightBoost = 12.0;
-            this.triggerLensFlare(); // Lens flare on impact!
-        }
-        
-        // AI paddle collision (top) - ANTI-STUCK system
-            if (ball.position.z <= -14.5 && 
-                Math.abs(ball.position.x - paddle2X) < 2.5 &&
-                !this.isCollisionOnCooldown(i, 'paddle') &&
-                !this.collisionDisabled) {
-                
-                // Set cooldown to prevent rapid-fire collisions
-                this.setCollisionCooldown(i, 'paddle');
-                
-                // Increase ball speed multiplier
-                this.ballSpeedMultiplier *= 1.05;
-                velocity.z *= -1.05;
-                velocity.x += (ball.position.x - paddle2X) * 0.1;
-                
-                // ENHANCED ANTI-STUCK: Add randomness to break shallow angles
-                velocity.x += (Math.random() - 0.5) * 0.06;
-                this.triggerCameraShake(0.3, true);
-            this.triggerPaddleBlink(this.paddle2, 'paddle2');
-                this.triggerRumble(0.3, 100);
-                this.createImpactEffect(ball.position.clone(), 0xff00ff);
-                this.setBallColor(i, 'ai');
-                this.worldLightBoost = 12.0;
-            this.playSound('paddleHit');
-            this.triggerLensFlare(); // Lens flare on impact!
-            this.boostParticleOpacity('enemy'); // Boost particles on enemy paddle hit
-            
-            // Update ball ownership to AI
-            this.ballOwners[i] = 'ai';
-            
-                // Record collision for stuck ball detection
-                this.recordBallCollision(ball.position.clone());
-            
-                // Paddle pushback!
-                this.paddle2Pushback = 1.5; // Push back 1.5 units (increased from 0.8)
-            
-                if (i === 0) {
-            this.resetCombo();
-                }
-            }
-            
-            // Scoring - mark balls for removal (match goal positions)
-            if (ball.position.z > 19) {
-                ballsToRemove.push({ index: i, scorer: 'player2', position: ball.position.clone() });
-            }
-            
-            if (ball.position.z < -19) {
-                ballsToRemove.push({ index: i, scorer: 'player1', position: ball.position.clone() });
-            }
-        }
-        
-        // Remove scored balls (in reverse order to maintain indices)
-        ballsToRemove.sort((a, b) => b.index - a.index);
-        
-        // Check if score sequence is already active OR game is frozen (prevent multiple sequences)
-        if ((this.scoreSequenceActive || this.isGameFrozen) && ballsToRemove.length > 0) {
-            log('🚫 Ignoring all scores - sequence already active or game frozen');
-            ballsToRemove = []; // Clear all pending scores
-        }
-        
-        // Check if ANY ball died (player failed)
-        const playerDied = ballsToRemove.some(removal => removal.scorer === 'player2');
-        
-        // If player died, trigger death screen FIRST (before removing balls)
-        // This ensures death camera locks position before any camera updates
-        if (playerDied) {
-            // NUCLEAR OPTION: IMMEDIATE timeScale reset - NO EXCEPTIONS
-            this.timeScale = 1.0;
-            log('🚀 NUCLEAR: IMMEDIATE speed reset on death - NO EXCEPTIONS');
-            
-            // NO SPECIAL CAMERA BEHAVIOR - let normal gameplay camera continue
-            
-            // Deactivate ALL camera systems
-            this.multiBallZoom.active = false;
-            this.startMenuCamera.active = false;
-            this.pauseCamera.active = false;
-            
-            // Show death screen
-            this.showDeathScreen();
-            
-            // Simple death handling - no special camera effects
-            this.playSound('death');
-            
-            // CLEANUP AFTER DEATH: Clear all accumulated effects
-            const deathCleanupTimeout = setTimeout(() => {
-                log('🧹 Post-death cleanup triggered');
-                this.cleanupImpactEffects();
-            }, 800); // Clean up 0.8 seconds after death sequence starts
-            this.activeTimeouts.push(deathCleanupTimeout);
-            
-            // Building animation removed for performance
-        }
-        
-        for (const removal of ballsToRemove) {
-            const ball = this.balls[removal.index];
-            this.scene.remove(ball);
-            
-            // Clean up trail for this ball
-            const trail = this.trails[removal.index];
-            if (trail) {
-                // Hide all trail spheres
-                trail.spheres.forEach(sphere => {
-                    sphere.visible = false;
-                });
-                // Clear trail line
-                const positions = trail.mesh.geometry.attributes.position.array;
-                for (let i = 0; i < positions.length; i++) {
-                    positions[i] = 0;
-                }
-                trail.mesh.geometry.attributes.position.needsUpdate = true;
-                trail.positions = [];
-            }
-            
-            // Turn off ball light for this ball (will be restored when ball respawns)
-                if (this.ballLights[removal.index]) {
-                    this.ballLights[removal.index].intensity = 0;
-                log(`💡 Ball light ${removal.index} turned off (ball removed)`);
-            }
-            
-            // Stop ball sound for this ball
-            if (this.ballSounds[removal.index]) {
-                this.ballSounds[removal.index].pause();
-                this.ballSounds[removal.index].currentTime = 0;
-            }
-            
-            this.balls.splice(removal.index, 1);
-            this.ballVelocities.splice(removal.index, 1);
-            this.trails.splice(removal.index, 1);
-            this.ballSounds.splice(removal.index, 1);
-            
-            // Check if score sequence is already active (prevent multiple sequences)
-            if (this.scoreSequenceActive) {
-                log('🚫 Ignoring additional score - sequence already active');
-                return;
-            }
-            
-            if (removal.scorer === 'player2') {
-            this.score.player2++;
-                this.scoreSequenceActive = true; // Mark sequence as active
-                // Flash player goal MAGENTA (ball went past player - enemy scored!)
-                this.flashGoalMagenta(this.playerGoal);
-                
-                // Trigger enemy celebratory wave (inverse direction with magenta colors)
-                this.triggerEnemyCelebratoryWave();
-                
-                // Update score display
-                this.updateScore();
-                
-                // Spawn new ball after enemy celebration (2.5s delay to match celebration)
-                const enemyBallSpawnTimeout = setTimeout(() => {
-                    // CRITICAL: Reset ball speed multiplier to ensure consistent ball speed
-                    this.ballSpeedMultiplier = 1.0;
-                    this.spawnBall(0, 0, 0, { x: 0, y: 0, z: -this.baseBallSpeed });
-                }, 2500);
-                this.activeTimeouts.push(enemyBallSpawnTimeout);
-            } else {
-                this.score.player1++;
-                this.scoreSequenceActive = true; // Mark sequence as active
-                
-                // FREEZE GAME: Stop all ball and paddle movement during win
-                this.gameSpeed = 0; // Freeze game speed
-                this.isGameFrozen = true; // Set freeze flag
-                
-                // Trigger RGB split win celebration!
-                // this.triggerRGBSplit(); // COMMENTED OUT
-                
-                // NUCLEAR OPTION: IMMEDIATE timeScale reset - NO EXCEPTIONS
-                this.timeScale = 1.0;
-                log('🚀 NUCLEAR: IMMEDIATE speed reset on win - NO EXCEPTIONS');
-                
-                // Flash AI goal GREEN (ball went past AI) - WIN!
-                this.flashGoalGreen(this.aiGoal);
-                
-                // Add cyan vignette for win celebration (starts fading out immediately)
-                const vignette = document.getElementById('vignette');
-                vignette.classList.add('win');
-                
-                // Clean up vignette class after animation completes
-                setTimeout(() => {
-                    vignette.classList.remove('win');
-                }, 3000); // Match CSS animation duration
-                
-                this.triggerCelebratoryWave(); // CELEBRATORY WAVE!
-                this.playSound('score');
-                this.showAwesomeText();
-                
-                // CLEANUP AFTER WIN: Clear all accumulated effects
-                const winCleanupTimeout = setTimeout(() => {
-                    log('🧹 Post-win cleanup triggered');
-                    this.cleanupImpactEffects();
-                }, 1000); // Clean up 1 second after win sequence starts
-                this.activeTimeouts.push(winCleanupTimeout);
-                
-            this.updateScore();
-            
-            // Spawn new ball after celebration (2.5s delay to match goal animation)
-            const ballSpawnTimeout = setTimeout(() => {
-                // Clean up celebration light before spawning new ball
-                if (this.celebrationLight && this.celebrationLightActive) {
-                    this.scene.remove(this.celebrationLight);
-                    this.celebrationLight = null;
-                    this.celebrationLightActive = false;
-                    log('✨ Celebration light cleaned up before new ball spawn');
-                }
-                
-                // CRITICAL: Reset ball speed multiplier to ensure consistent ball speed
-                this.ballSpeedMultiplier = 1.0;
-                this.spawnBall(0, 0, 0, { x: 0, y: 0, z: -this.baseBallSpeed });
-            }, 2500);
-            this.activeTimeouts.push(ballSpawnTimeout);
-            }
-        }
-        
-        // If ANY ball died, finish cleanup (death screen already triggered above)
-        if (playerDied) {
-            this.resetCombo();
-            this.updateScore();
-            
-            // Delay ball respawn until AFTER death sequence completes (2 seconds)
-            const deathRespawnTimeout = setTimeout(() => {
-                this.resetBallAfterDeath(); // Optimized reset for death scenario
-            }, 2000); // Exactly when death animation ends (2.0s)
-            this.activeTimeouts.push(deathRespawnTimeout);
-        }
-    }
-    
-    
-    showAwesomeText() {
-        // Use message queue system to prevent overlapping
-        this.queueMessage('AWESOME', 1200, 'awesome');
-    }
-    
-    showMultiBallText() {
-        // Use message queue system to prevent overlapping
-        this.queueMessage('MULTI-BALL', 1200, 'default');
-    }
-    
-    showDeathScreen() {
-        // MESSAGE OVERRIDE: Clear any existing messages when "YOU DIED!" takes priority
-        this.clearCurrentMessage();
-        
-        // FREEZE GAME: Stop all ball and paddle movement
-        this.gameSpeed = 0; // Freeze game speed
-        this.isGameFrozen = true; // Set freeze flag
-        this.deathResetPhase = 1; // Lock paddle movement during death
-        
-        // Additional freeze measures to ensure 100% freeze
-        this.timeScale = 0; // Completely stop all time-based animations
-        this.collisionDisabled = true; // Disable all collisions during death
-        
-        // Start FOV zoom animation (part of death sequence, not skull)
-        this.startFOVZoomAnimation();
-        
-        // Trigger noticeable camera shake on every death
-        this.triggerCameraShake(0.5, true, false, 0); // Subtle shake with rotation
-        
-        // Boost chromatic aberration 8x during death moment
-        this.triggerChromaticAberrationBoost();
+        // Music drops back and goes muffled until the field unfreezes
+        this.setMusicDuck(true);
         
         // Hide score UI during death - DISABLED FOR NOW
         // this.domElements.player1Score.style.opacity = '0';
@@ -6817,43 +6967,6 @@ class TronPong {
         // Add magenta vignette for death atmosphere
         const vignette = document.getElementById('vignette');
         vignette.classList.add('death');
-        
-        // Ensure music volume stays constant during death sequence
-        if (this.sounds.music) {
-            this.sounds.music.volume = 0.67;
-        }
-        
-        // Keep original death sequence timing for game restart logic
-        // Start exit animation after display time (same timing as before)
-        setTimeout(() => {
-            // UNFREEZE GAME: Resume normal gameplay
-            this.gameSpeed = 1.0;
-            this.isGameFrozen = false;
-            this.deathResetPhase = 0; // Unlock paddle movement
-            this.scoreSequenceActive = false; // Reset score sequence flag
-            this.timeScale = 1.0; // Restore normal time scale
-            this.collisionDisabled = false; // Re-enable collisions
-            
-                // Start FOV restoration when game unfreezes
-                this.startFOVRestoration(75, 1200); // Restore from 50 to 75 over 1.2s
-                
-                // Reset chromatic aberration to normal gradually
-                this.resetChromaticAberration();
-            
-            // Fade score UI back in - DISABLED FOR NOW
-            // this.domElements.player1Score.style.opacity = '1';
-            // this.domElements.player2Score.style.opacity = '1';
-            
-            // Reset stuck ball collision system after death
-            this.collisionDisabled = false;
-            this.collisionDisableTimer = 0;
-            this.ballCollisionHistory = [];
-            
-            // Clean up death vignette class after animation completes
-            setTimeout(() => {
-                vignette.classList.remove('death');
-            }, 1800); // Match updated timing (1.2s display + 0.6s exit = 1.8s)
-        }, 1200); // Show for 1.2s before starting exit (total 2.0s)
     }
     
     updateStartMenuCamera(deltaTime) {
@@ -6878,9 +6991,6 @@ class TronPong {
         this.camera.lookAt(0, this.startMenuCamera.lookAtHeight, 0);
     }
     
-    // Spatial audio system removed - was causing issues
-    
-    
     updateCameraResetTransition() {
         if (!this.cameraResetTransition || !this.cameraResetTransition.active) return;
         
@@ -6923,7 +7033,7 @@ class TronPong {
             y: this.camera.position.y,
             z: this.camera.position.z
             },
-            targetPos: { x: 0, y: 18, z: 22 }, // Default gameplay position
+            targetPos: { x: 0, y: this.cameraFraming.height, z: this.cameraFraming.zoom }, // Default gameplay position
             startLookAt: {
                 x: this.camera.position.x + this.cameraLookOffset,
                 y: -4,
@@ -6937,7 +7047,7 @@ class TronPong {
         // Reset all camera targets to default
         this.cameraTarget.x = 0;
         this.cameraTarget.z = 0;
-        this.cameraTarget.zoom = 22;
+        this.cameraTarget.zoom = this.cameraFraming.zoom;
         this.cameraLookOffset = 0;
         this.camera.rotation.z = 0;
         
@@ -6965,25 +7075,26 @@ class TronPong {
         
         // Smart camera positioning based on game state
         // NOTE: RGB split for bonus pickup does NOT affect camera - only win celebrations do
-        if (this.balls.length > 0 && !this.isCelebrating && !this.deathResetPhase) {
+        if (this.balls.length > 0 && !this.isCelebrating && !this.simulation.deathLock) {
             // Normal gameplay: Consistent, gentle ball tracking (no ramp-up)
             const trackingIntensity = 0.03; // Fixed, consistent tracking intensity
             this.cameraTarget.x = this.balls[0].position.x * trackingIntensity;
             this.cameraTarget.z = this.balls[0].position.z * (trackingIntensity * 0.6); // Even gentler Z tracking
             
             // Very gentle zoom based on ball speed (consistent, no ramp-up)
-            const ballSpeed = Math.sqrt(this.ballVelocities[0].x ** 2 + this.ballVelocities[0].z ** 2);
-            this.cameraTarget.zoom = 22 + (ballSpeed * 0.2); // Fixed zoom effect, no ramp-up
+            const velocity = this.simulation.balls[0].velocity;
+            const ballSpeed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+            this.cameraTarget.zoom = this.cameraFraming.zoom + (ballSpeed * 0.2); // Fixed zoom effect, no ramp-up
         } else if (this.isCelebrating) {
             // During win celebration: Smoothly move camera to center
             this.cameraTarget.x += (0 - this.cameraTarget.x) * 0.03; // Very gentle transition to center
             this.cameraTarget.z += (0 - this.cameraTarget.z) * 0.03; // Very gentle transition to center
-            this.cameraTarget.zoom += (22 - this.cameraTarget.zoom) * 0.03; // Very gentle transition to default zoom
+            this.cameraTarget.zoom += (this.cameraFraming.zoom - this.cameraTarget.zoom) * 0.03; // Very gentle transition to default zoom
         } else {
             // Other dramatic events: Smoothly transition to default position
             this.cameraTarget.x += (0 - this.cameraTarget.x) * 0.1; // Smooth transition to 0
             this.cameraTarget.z += (0 - this.cameraTarget.z) * 0.1; // Smooth transition to 0
-            this.cameraTarget.zoom += (22 - this.cameraTarget.zoom) * 0.1; // Smooth transition to 22
+            this.cameraTarget.zoom += (this.cameraFraming.zoom - this.cameraTarget.zoom) * 0.1; // Smooth transition to default zoom
         }
         
         // Very smooth camera movement
@@ -6992,7 +7103,7 @@ class TronPong {
         currentPos.z += (this.cameraTarget.zoom + this.cameraTarget.z - currentPos.z) * this.cameraSmooth;
         
         // Keep camera at consistent height (prevent upward/downward drift)
-        currentPos.y += (18 - currentPos.y) * this.cameraSmooth;
+        currentPos.y += (this.cameraFraming.height - currentPos.y) * this.cameraSmooth;
         
         // Look at target with paddle direction offset
         this.camera.lookAt(this.cameraTarget.x + this.cameraLookOffset, -4, this.cameraTarget.z);
@@ -7096,7 +7207,7 @@ class TronPong {
             // Gently drift back to original position only when needed
             this.cameraTarget.x += (originalPos.x - currentPos.x) * gentleCorrectionSpeed;
             this.cameraTarget.z += (originalPos.z - currentPos.z) * gentleCorrectionSpeed;
-            this.cameraTarget.zoom += (22 - this.cameraTarget.zoom) * gentleCorrectionSpeed;
+            this.cameraTarget.zoom += (this.cameraFraming.zoom - this.cameraTarget.zoom) * gentleCorrectionSpeed;
         }
         
         // Log only if drifted significantly
@@ -7328,216 +7439,34 @@ class TronPong {
         this.activeIntervals.push({ id: fadeInterval, type: 'lightFade' });
     }
     
-    resetBallAfterDeath() {
-        // Optimized reset specifically for death scenario - spreads work across frames
-        log('🔄 Optimized death reset starting...');
-        
-        // CRITICAL: Reset ball speed multiplier to ensure consistent ball speed
-        this.ballSpeedMultiplier = 1.0;
-        log('⚽ Ball speed multiplier reset to 1.0 (death reset)');
-        
-        // Phase 1: Immediate cleanup (spread across multiple frames)
-        this.deathResetPhase = 1;
-        this.deathResetProgress = 0;
-        this.startDeathReset();
+    disposeBall(ball) {
+        // Geometry is shared - only the per-ball shader material needs freeing
+        this.scene.remove(ball);
+        ball.material.dispose();
     }
     
-    startDeathReset() {
-        // Spread the reset work across multiple frames to prevent performance hiccups
-        if (this.deathResetPhase === 1) {
-            // Phase 1: Remove balls and basic cleanup
-            for (const ball of this.balls) {
-                this.scene.remove(ball);
-            }
-            this.balls = [];
-            this.ballVelocities = [];
-            
-            // Stop and remove all ball sounds
-            for (const sound of this.ballSounds) {
-                if (sound) {
-                    sound.pause();
-                    sound.currentTime = 0;
-                }
-            }
-            this.ballSounds = [];
-            
-            this.deathResetPhase = 2;
-            requestAnimationFrame(() => this.startDeathReset());
-            return;
-        }
-        
-        if (this.deathResetPhase === 2) {
-            // Phase 2: Remove trails and lights
-            for (const trail of this.trails) {
-                if (trail) {
-                    this.scene.remove(trail.mesh);
-                    trail.spheres.forEach(sphere => this.scene.remove(sphere));
-                }
-            }
-            this.trails = [];
-            
-            // Remove extra ball lights (keep first one)
-            while (this.ballLights.length > 1) {
-                const light = this.ballLights.pop();
-                this.scene.remove(light);
-            }
-            
-            // Restore first ball light intensity
-            if (this.ballLights.length > 0) {
-                this.ballLights[0].intensity = 0.15;
-            }
-            
-            this.deathResetPhase = 3;
-            requestAnimationFrame(() => this.startDeathReset());
-            return;
-        }
-        
-        if (this.deathResetPhase === 3) {
-            // Phase 3: Reset game state and bonus systems
-            this.successfulHits = 0;
-            this.nextBallThreshold = 4;
-            this.playerHits = 0;
-            
-            // Reset bonus cube system
-            if (this.bonusCube) {
-                if (this.bonusCube.userData.ambientLight) {
-                    this.scene.remove(this.bonusCube.userData.ambientLight);
-                }
-                this.scene.remove(this.bonusCube);
-                this.bonusCube = null;
-                this.bonusCubeActive = false;
-            }
-            
-            // Clean up wave lights
-            for (let waveLight of this.waveLights) {
-                this.scene.remove(waveLight.light);
-            }
-            this.waveLights = [];
-            
-            this.deathResetPhase = 4;
-            requestAnimationFrame(() => this.startDeathReset());
-            return;
-        }
-        
-        if (this.deathResetPhase === 4) {
-            // Phase 4: Reset paddles and camera
-            if (this.bonusActivePaddle) {
-                const cylinder = this.bonusActivePaddle.userData.cylinder;
-                const leftCap = this.bonusActivePaddle.userData.leftCap;
-                const rightCap = this.bonusActivePaddle.userData.rightCap;
-                if (cylinder && leftCap && rightCap) {
-                    cylinder.scale.x = 1.0;
-                    leftCap.position.x = -2;
-                    rightCap.position.x = 2;
-                }
-                this.bonusActivePaddle = null;
-            }
-            this.bonusTimer = 0;
-            this.paddleWidthTransition = 0;
-            
-            // Reset paddle positions
-            this.paddle1Pushback = 0;
-            this.paddle2Pushback = 0;
-            this.paddle1Tilt = 0;
-            this.paddle2Tilt = 0;
-            this.paddle1.position.z = 15;
-            this.paddle2.position.z = -15;
-            this.paddle1.rotation.z = 0;
-            this.paddle2.rotation.z = 0;
-            
-            this.deathResetPhase = 5;
-            requestAnimationFrame(() => this.startDeathReset());
-            return;
-        }
+    disposeTrail(trail) {
+        if (!trail) return;
         
-        if (this.deathResetPhase === 5) {
-            // Phase 5: Reset camera to default gameplay position and spawn new ball
-            // CAMERA DOES NOTHING - stays exactly as it is
-            
-            // CRITICAL: Reset timeScale to normal speed!
-            this.forceNormalSpeed();
-            
-            // PERFORMANCE: Comprehensive memory cleanse after death
-            this.performMemoryCleanse();
-            
-            // Clear all active timeouts that might interfere
-            this.clearAllTimeouts();
-            
-            // Clear any lingering goal blink effects
-            this.goalBlinkTimer = 0;
-            this.goalBlinkTarget = null;
-            
-            // Reset goal colors to original state
-            if (this.playerGoal) {
-                this.playerGoal.material.uniforms.baseColor.value.copy(this.playerGoal.userData.originalColor);
-                this.playerGoal.material.uniforms.emissiveIntensity.value = 7.8125;
-                this.playerGoal.material.uniforms.opacity.value = 0.3;
-            }
-            if (this.aiGoal) {
-                this.aiGoal.material.uniforms.baseColor.value.copy(this.aiGoal.userData.originalColor);
-                this.aiGoal.material.uniforms.emissiveIntensity.value = 7.8125;
-                this.aiGoal.material.uniforms.opacity.value = 0.3;
-            }
-            
-            // Clear any lingering multi-ball zoom effects
-            this.multiBallZoom.active = false;
-            
-            // Restore paddle lights (energy restored!)
-            this.fadePaddleLights(1.0, 500);
-            
-            // Reset stuck ball collision system after death reset
-            this.collisionDisabled = false;
-            this.collisionDisableTimer = 0;
-            this.ballCollisionHistory = [];
-            
-            // Spawn new ball
-            this.spawnBall(0, 0, 0, {
-                x: 0,
-                y: 0,
-                z: -0.15
-            });
-            
-            
-            // Reset phase tracking
-            this.deathResetPhase = 0;
-            this.deathResetProgress = 0;
-            
-            // Camera drift correction disabled - was causing issues
-            
-            log('✅ Optimized death reset complete!');
-        }
+        this.scene.remove(trail.mesh);
+        trail.mesh.geometry.dispose();
+        trail.mesh.material.dispose();
+        trail.spheres.forEach(sphere => {
+            this.scene.remove(sphere);
+            sphere.material.dispose(); // Sphere geometry is shared
+        });
     }
-
-    resetBall() {
+    
+    removeAllBalls() {
         // Remove all existing balls
         for (const ball of this.balls) {
-            this.scene.remove(ball);
+            this.disposeBall(ball);
         }
         this.balls = [];
-        this.ballVelocities = [];
-        
-        // CRITICAL: Reset ball speed multiplier to ensure consistent ball speed
-        this.ballSpeedMultiplier = 1.0;
-        log('⚽ Ball speed multiplier reset to 1.0 (resetBall)');
-        
-        // Restore paddle lights (energy restored!)
-        this.fadePaddleLights(1.0, 500); // Fade back to full over 0.5 seconds
-        
-        // Stop and remove all ball sounds
-        for (const sound of this.ballSounds) {
-            if (sound) {
-                sound.pause();
-                sound.currentTime = 0;
-            }
-        }
-        this.ballSounds = [];
         
         // Remove all trails
         for (const trail of this.trails) {
-            if (trail) {
-                this.scene.remove(trail.mesh);
-                trail.spheres.forEach(sphere => this.scene.remove(sphere));
-            }
+            this.disposeTrail(trail);
         }
         this.trails = [];
         
@@ -7551,285 +7480,2107 @@ class TronPong {
         if (this.ballLights.length > 0) {
             this.ballLights[0].intensity = 0.15; // Consistent with other ball lights
         }
+    }
+    
+    fullGameReset() {
+        // In-place restart: tears down the running match and starts a fresh one with the same settings.
+        // Scripts, models, sounds and shaders stay loaded - only per-match objects are disposed
+        log('🔄 Full game reset initiated...');
         
-        // Reset multi-ball system
-        this.successfulHits = 0;
-        this.nextBallThreshold = 4; // Changed from 2 to 4
-        
-        // Reset bonus cube system
-        this.playerHits = 0;
-        if (this.bonusCube) {
-            // Remove ambient light
-            if (this.bonusCube.userData.ambientLight) {
-                this.scene.remove(this.bonusCube.userData.ambientLight);
-            }
-            this.scene.remove(this.bonusCube);
-            this.bonusCube = null;
-            this.bonusCubeActive = false;
-        }
+        // Timers - wall-clock and simulation (pending serves, respawns, unfreezes)
+        this.clearAllTimeouts();
+        this.simulation.clearTimers();
         
-        // Clean up wave lights
-        for (let waveLight of this.waveLights) {
+        // Screens and messages
+        this.clearCurrentMessage();
+        this.messageQueue = [];
+        this.isPaused = false;
+        this.pauseCamera.active = false;
+        this.domElements.pauseMenu.style.display = 'none';
+        this.domElements.matchResults.style.display = 'none';
+        this.matchResultsVisible = false;
+        this.domElements.deathScreen.style.display = 'none';
+        this.domElements.deathText.classList.remove('active', 'exit');
+        document.getElementById('vignette').classList.remove('death', 'win', 'bonus');
+        document.getElementById('score').style.display = 'block';
+        
+        // Field objects - balls, trails, lights, particles, pickups
+        this.simulation.clearBalls();
+        this.cleanupImpactEffects();
+        this.removeBonusCube();
+        this.removeItemHighlightParticles();
+        this.simulation.clearObstacle();
+        for (const waveLight of this.waveLights) {
             this.scene.remove(waveLight.light);
         }
         this.waveLights = [];
+        if (this.celebrationLight) {
+            this.scene.remove(this.celebrationLight);
+            this.celebrationLight = null;
+        }
+        this.celebrationLightActive = false;
+        this.isCelebrating = false;
+        this.celebrationTimer = 0;
+        this.wallWaveAnimation.active = false;
+        this.resetWallHeights();
+        this.deathSkullAnimation.active = false;
+        if (this.deathSkull) {
+            this.deathSkull.visible = false;
+        }
+        if (this.chromaticAberrationAnimation) {
+            this.chromaticAberrationAnimation.active = false;
+        }
+        if (this.crtMaterial) {
+            this.crtMaterial.uniforms.aberrationBoost.value = 1.0;
+        }
         
-        // Reset bonus effect
-        if (this.bonusActivePaddle) {
-            // Reset paddle parts
-            const cylinder = this.bonusActivePaddle.userData.cylinder;
-            const leftCap = this.bonusActivePaddle.userData.leftCap;
-            const rightCap = this.bonusActivePaddle.userData.rightCap;
-            if (cylinder && leftCap && rightCap) {
-                cylinder.scale.x = 1.0;
-                leftCap.position.x = -2;
-                rightCap.position.x = 2;
-            }
-            this.bonusActivePaddle = null;
-        }
-        this.bonusTimer = 0;
-        this.paddleWidthTransition = 0;
-        
-        // Reset paddle pushback
-        this.paddle1Pushback = 0;
-        this.paddle2Pushback = 0;
-        this.paddle1Tilt = 0;
-        this.paddle2Tilt = 0;
-        this.paddle1.position.z = 15;
-        this.paddle2.position.z = -15;
-        this.paddle1.rotation.z = 0;
-        this.paddle2.rotation.z = 0;
+        // Audio - everything stops, the current track starts over below
+        this.stopAllSounds();
+        
+        // Post-processing buffers still hold frames of the old match
+        this.clearRenderTargets();
+        
+        // Paddles and camera back to the kick-off view
+        this.simulation.paddles.player1.x = 0;
+        this.simulation.paddles.player2.x = 0;
+        this.paddle1.position.set(0, 0, 15);
+        this.paddle2.position.set(0, 0, -15);
+        this.cameraShake.intensity = 0;
+        this.cameraShake.rotation = 0;
+        this.cameraShake.pullback = 0;
+        this.cameraShake.horizontalShift = 0;
+        this.cameraZoom = 0;
+        this.cameraTilt = 0;
+        this.cameraLookOffset = 0;
+        this.mouseTiltVelocity = 0;
+        this.keyboardTiltVelocity = 0;
+        this.camera.position.set(0, this.cameraFraming.height, this.cameraFraming.zoom);
+        this.camera.lookAt(0, -4, 0);
+        this.camera.fov = 75;
+        this.camera.updateProjectionMatrix();
+        this.cameraTarget.x = 0;
+        this.cameraTarget.z = 0;
+        this.cameraTarget.zoom = this.cameraFraming.zoom;
         
-        // CAMERA DOES NOTHING - stays exactly as it is
+        // Fresh match (serves after 400ms, like a normal start)
+        this.clearMatchPresentation();
+        this.prepareMatchStart();
+        this.updateMatchInfo();
         
-        // CRITICAL: Reset timeScale to normal speed!
-        this.forceNormalSpeed();
+        this.playSound('menuSelect');
+        this.resumeMusic();
         
-        // PERFORMANCE: Comprehensive memory cleanse after win
-        this.performMemoryCleanse();
+        log('✅ Full game reset complete - fresh match!');
+    }
+    
+    superHardReset() {
+        // Used to be a page reload - the in-place reset is instant and leaves an embedding page alone
+        log('💥 SUPER HARD RESET - fresh match in place');
+        this.fullGameReset();
+    }
+    
+    stopAllSounds() {
+        for (const voice of this.audio.voices) {
+            this.stopVoice(voice);
+        }
+        this.stopMusic();
+        this.setMusicDuck(false);
+    }
+    
+    getRenderTargets() {
+        // Post-processing buffers (created in init / initCRTEffect)
+        return [
+            this.bloomRenderTarget,
+            this.fisheyeRenderTarget,
+            this.lensFlareRenderTarget,
+            this.rgbSplitRenderTarget,
+            this.depthRenderTarget,
+            this.blurRenderTarget,
+            this.renderTarget
+        ].filter(target => target);
+    }
+    
+    clearRenderTargets() {
+        for (const target of this.getRenderTargets()) {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear();
+        }
+        this.renderer.setRenderTarget(null);
+    }
+    
+    listen(target, type, handler, options) {
+        // Listeners on window/document outlive the game - tracked so destroy() can remove them
+        // (options only ever carry `passive`, which removeEventListener doesn't need)
+        target.addEventListener(type, handler, options);
+        this.globalListeners.push({ target, type, handler });
+    }
+    
+    destroy() {
+        log('💥 Destroying game instance...');
         
-        // Clear all active timeouts that might interfere
+        // Stop the render loop
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        // Clear all timeouts and intervals (wall-clock and simulation)
         this.clearAllTimeouts();
+        this.simulation.clearTimers();
         
-        // Clear any lingering goal blink effects
-        this.goalBlinkTimer = 0;
-        this.goalBlinkTarget = null;
+        // Input listeners - the page keeps running when the game is embedded
+        for (const { target, type, handler } of this.globalListeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.globalListeners = [];
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
         
-        // Clear any lingering multi-ball zoom effects
-        this.multiBallZoom.active = false;
+        // Audio
+        this.stopAllSounds();
+        if (this.audio.context) {
+            this.audio.context.close();
+        }
+        this.removeAllBalls();
         
-        // Spawn first ball with FIXED, predictable velocity (always toward AI)
-        // This ensures consistent, clean restarts with no random jumps
-        this.spawnBall(0, 0, 0, {
-            x: 0,      // No horizontal movement initially
-            y: 0,
-            z: -0.15   // Always toward enemy/AI (negative Z)
-        });
+        // Dispose of Three.js resources - every geometry/material still in the scene, then the buffers
+        this.cleanupImpactEffects();
+        if (this.scene) {
+            this.scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    const materials = Array.isArray(object.material) ? object.material : [object.material];
+                    materials.forEach(material => material.dispose());
+                }
+            });
+            this.scene.clear();
+        }
+        Object.values(this.sharedGeometries).forEach(geometry => geometry.dispose());
+        this.getRenderTargets().forEach(target => target.dispose());
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.domElement.remove();
+        }
+        
+        // Clear all references
+        this.balls = [];
+        this.trails = [];
+        this.impactParticles = [];
+        this.ballLights = [];
+        this.waveLights = [];
+        
+        log('✅ Game instance destroyed');
     }
     
-    fullGameReset() {
-        log('🔄 Full game reset initiated...');
-        log('🔄 Reset called from:', new Error().stack);
+    updateScore() {
+        this.domElements.player1Score.textContent = this.simulation.score.player1;
+        this.domElements.player2Score.textContent = this.simulation.score.player2;
+        
+        // Show score on first score made (blink in)
+        if (!this.scoreShown && (this.simulation.score.player1 > 0 || this.simulation.score.player2 > 0)) {
+            const scoreElement = document.getElementById('score');
+            if (scoreElement) {
+                scoreElement.classList.add('visible');
+                this.scoreShown = true;
+            }
+        }
+    }
+    
+    // ===== MATCH RULES =====
+    
+    applyMatchRulesFromURL() {
+        const params = new URLSearchParams(window.location.search);
         
-        this.playSound('menuSelect'); // Play menu sound on reset
+        // Named preset (?rules=bestOf3)
+        const presetIndex = this.matchRulePresets.findIndex(preset => preset.id === params.get('rules'));
+        if (presetIndex !== -1) {
+            this.matchRulesIndex = presetIndex;
+            this.matchRules = this.matchRulePresets[presetIndex];
+        }
         
-        // Reset scores
-        this.score = { player1: 0, player2: 0 };
-        this.updateScore();
+        // Custom rules (?points=11&winBy2=1&sets=3&time=180) override the preset
+        if (!['points', 'winBy2', 'sets', 'time'].some(key => params.has(key))) return;
         
-        // Keep game running - just reset state
-        this.isPaused = false;
+        const bestOfSets = Math.max(1, parseInt(params.get('sets'), 10) || 1);
+        const custom = {
+            id: 'custom',
+            // Default to first-to-7 unless the link only asks for a clock
+            pointsToWin: params.has('points') ? Math.max(0, parseInt(params.get('points'), 10) || 0) : (params.has('time') ? 0 : 7),
+            winByTwo: params.get('winBy2') === '1' || params.get('winBy2') === 'true',
+            setsToWin: Math.ceil(bestOfSets / 2), // Best of 3 = first to 2 sets
+            timeLimit: Math.max(0, parseInt(params.get('time'), 10) || 0)
+        };
+        custom.name = this.describeMatchRules(custom);
+        this.matchRulePresets.push(custom);
+        this.matchRulesIndex = this.matchRulePresets.length - 1;
+        this.matchRules = custom;
+        log(`🏆 Custom match rules from URL: ${custom.name}`);
+    }
+    
+    getSeedFromURL() {
+        const value = new URLSearchParams(window.location.search).get('seed');
+        if (value === null || !/^\d+$/.test(value)) return null;
+        return Number(value) >>> 0;
+    }
+    
+    seedRandom(seed) {
+        // Gameplay draws come from the simulation's stream, music from its own so audio never shifts gameplay
+        this.simulation.seedRandom(seed);
+        this.musicRandom = createSeededRandom(this.simulation.seed ^ 0x9E3779B9);
+        log(`🎲 Match seed: ${this.simulation.seed}`);
+    }
+    
+    describeMatchRules(rules) {
+        const parts = [];
+        if (rules.pointsToWin > 0) parts.push(`FIRST TO ${rules.pointsToWin}`);
+        if (rules.winByTwo) parts.push('WIN BY 2');
+        if (rules.setsToWin > 1) parts.push(`BEST OF ${rules.setsToWin * 2 - 1} SETS`);
+        if (rules.timeLimit > 0) parts.push(`${this.formatMatchTime(rules.timeLimit)} CLOCK`);
+        return parts.length > 0 ? parts.join(' - ') : 'ENDLESS RALLY';
+    }
+    
+    cycleMatchRules(direction) {
+        const count = this.matchRulePresets.length;
+        this.matchRulesIndex = (this.matchRulesIndex + direction + count) % count;
+        this.matchRules = this.matchRulePresets[this.matchRulesIndex];
+        log(`🏆 Match rules selected: ${this.matchRules.name}`);
+    }
+    
+    formatMatchTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainder = Math.floor(seconds % 60);
+        return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+    }
+    
+    resetMatchState() {
+        this.updateScoreLabels();
+        this.resetAdaptiveDifficulty();
+        this.match.over = false;
+        this.match.winner = null;
+        this.match.currentSet = 1;
+        this.match.setsWon = { player1: 0, player2: 0 };
+        this.match.setScores = [];
+        this.match.clock = 0;
+        this.match.suddenDeath = false;
+        this.match.duration = 0;
+        this.matchResultsVisible = false;
+        
+        this.timeAttack.points = 0;
+        this.timeAttack.multiplier = 1;
+        this.timeAttack.bestCombo = 0;
+        this.timeAttack.goals = 0;
+        this.timeAttack.goalsAgainst = 0;
+        this.timeAttack.penaltyTime = 0;
+        
+        this.survival.lives = this.survival.startingLives;
+        this.survival.wave = 1;
+        this.restoreDefaultDifficulty();
+        
+        this.updateMatchInfo();
+    }
+    
+    restoreDefaultDifficulty() {
+        this.aiSpeed = this.defaultDifficulty.aiSpeed;
+        this.aiDifficulty = this.defaultDifficulty.aiDifficulty;
+        this.simulation.baseBallSpeed = this.defaultDifficulty.baseBallSpeed;
+        this.simulation.maxBalls = this.defaultDifficulty.maxBalls;
+        this.simulation.obstacleInterval = this.defaultDifficulty.obstacleInterval;
+    }
+    
+    recordPoint(scorer) {
+        // Awards the point and returns true if it ended the match (caller skips the respawn)
+        if (this.match.over) return true;
         
-        // Reset combo
-        this.combo = 0;
-        this.resetCombo();
+        this.recordAdaptiveRallyEnd(scorer === 'player1');
         
-        // Reset obstacles
-        this.obstacleTimer = 0;
-        if (this.activeObstacle) {
-            const cube = this.activeObstacle.cube;
-            cube.position.y = cube.userData.originalY;
-            cube.scale.y = 1;
-            cube.material.color.setHex(cube.userData.originalColor);
-            cube.material.emissive.setHex(cube.userData.originalEmissive);
-            cube.material.emissiveIntensity = cube.userData.originalEmissiveIntensity;
-            this.activeObstacle = null;
+        // Survival: a goal against costs a life instead of an AI point
+        if (this.gameMode === 'survival' && scorer === 'player2') {
+            return this.loseSurvivalLife();
         }
         
-        // Reset paddles
-        this.paddle1.position.set(0, 0, 15);
-        this.paddle2.position.set(0, 0, -15);
-        this.paddle1Pushback = 0;
-        this.paddle2Pushback = 0;
-        this.paddle1Tilt = 0;
-        this.paddle2Tilt = 0;
+        this.simulation.score[scorer]++;
+        if (this.gameMode === 'survival') {
+            this.updateMatchInfo();
+            return false;
+        }
+        
+        if (this.gameMode === 'timeAttack') {
+            return this.recordTimeAttackGoal(scorer);
+        }
+        
+        // Sudden death after the clock ran out on a tie - next point takes it
+        if (this.match.suddenDeath) {
+            this.endMatch(scorer);
+            return true;
+        }
+        
+        const rules = this.matchRules;
+        const opponent = scorer === 'player1' ? 'player2' : 'player1';
+        if (rules.pointsToWin > 0 && this.simulation.score[scorer] >= rules.pointsToWin) {
+            const lead = this.simulation.score[scorer] - this.simulation.score[opponent];
+            if (!rules.winByTwo || lead >= 2) {
+                return this.winSet(scorer);
+            }
+        }
+        
+        this.updateMatchInfo();
+        return false;
+    }
+    
+    winSet(scorer) {
+        this.match.setsWon[scorer]++;
+        this.match.setScores.push({ player1: this.simulation.score.player1, player2: this.simulation.score.player2 });
+        log(`🏆 Set ${this.match.currentSet} won by ${scorer} (${this.simulation.score.player1}-${this.simulation.score.player2})`);
+        
+        if (this.match.setsWon[scorer] >= this.matchRules.setsToWin) {
+            this.endMatch(scorer);
+            return true;
+        }
+        
+        // Next set - points start over, rally continues as normal
+        const setScore = `${this.simulation.score.player1}-${this.simulation.score.player2}`;
+        const setMessage = `SET ${this.match.currentSet} ${scorer === 'player1' ? 'WON' : 'LOST'} ${setScore}`;
+        this.match.currentSet++;
+        this.simulation.score.player1 = 0;
+        this.simulation.score.player2 = 0;
+        this.updateMatchInfo();
+        
+        // Show after the AWESOME / death message has had its moment
+        const setMessageTimeout = setTimeout(() => {
+            this.queueMessage(setMessage, 1500);
+        }, 1300);
+        this.activeTimeouts.push(setMessageTimeout);
+        return false;
+    }
+    
+    endMatch(winner, resultsDelay = 2200) {
+        if (this.match.over) return;
+        
+        this.match.over = true;
+        this.simulation.over = true; // Clock-ended matches stop the rally too
+        this.match.winner = winner;
+        this.match.duration = this.match.clock; // Live play only - pauses and goal sequences don't count
+        this.updateMatchInfo();
+        log(`🏁 Match over - ${winner} wins (${this.simulation.score.player1}-${this.simulation.score.player2})`);
+        
+        // Close the input log - the viewer plays it back from the results screen
+        const recording = this.replay.recording;
+        if (recording) {
+            recording.tickCount = this.simulation.tick;
+            recording.finalScore = { player1: this.simulation.score.player1, player2: this.simulation.score.player2 };
+            this.replay.lastLog = recording;
+            this.replay.recording = null;
+            log(`📼 Replay recorded - ${recording.tickCount} ticks, ${recording.inputs.length} input runs`);
+        }
+        
+        // A replay stops on its final tick - the cached results come back when the viewer closes
+        if (this.replay.active) return;
+        
+        // Let the goal celebration / death sequence play out before the results screen
+        const resultsTimeout = setTimeout(() => {
+            this.showMatchResults();
+        }, resultsDelay);
+        this.activeTimeouts.push(resultsTimeout);
+    }
+    
+    updateMatchClock(deltaTime) {
+        // Clock only runs during live rallies (not during goal/death sequences)
+        if (!this.simulation.isRallyLive() || this.simulation.balls.length === 0) return;
+        
+        const previousSecond = Math.floor(this.match.clock);
+        this.match.clock += deltaTime;
+        
+        if (this.gameMode === 'survival') {
+            if (this.match.clock >= this.survival.wave * this.survival.waveDuration) {
+                this.advanceSurvivalWave();
+            } else if (Math.floor(this.match.clock) !== previousSecond) {
+                this.updateMatchInfo();
+            }
+            return;
+        }
+        
+        if (this.gameMode === 'timeAttack') {
+            if (this.getTimeAttackTimeLeft() <= 0) {
+                this.queueMessage('TIME UP', 1500);
+                this.endMatch('player1', 1500);
+            } else if (Math.floor(this.match.clock) !== previousSecond) {
+                this.updateMatchInfo();
+            }
+            return;
+        }
+        
+        if (this.matchRules.timeLimit > 0 && !this.match.suddenDeath && this.match.clock >= this.matchRules.timeLimit) {
+            this.onMatchTimeUp();
+        } else if (Math.floor(this.match.clock) !== previousSecond) {
+            this.updateMatchInfo();
+        }
+    }
+    
+    onMatchTimeUp() {
+        // Sets decide first, then points in the current set
+        const setLead = this.match.setsWon.player1 - this.match.setsWon.player2;
+        const lead = setLead !== 0 ? setLead : this.simulation.score.player1 - this.simulation.score.player2;
+        
+        if (lead === 0) {
+            this.match.suddenDeath = true;
+            this.queueMessage('SUDDEN DEATH', 1500);
+            this.updateMatchInfo();
+            log('⏱️ Time up on a tie - sudden death!');
+            return;
+        }
+        
+        // Leader takes it - the rally stops right where it is
+        this.queueMessage('TIME UP', 1500);
+        this.endMatch(lead > 0 ? 'player1' : 'player2', 1500);
+    }
+    
+    updateMatchInfo() {
+        const info = this.domElements.matchInfo;
+        if (!info) return;
+        
+        const parts = [];
+        if (this.gameMode === 'timeAttack') {
+            parts.push(this.formatMatchTime(Math.ceil(this.getTimeAttackTimeLeft())));
+            parts.push(`X${this.timeAttack.multiplier}`);
+            parts.push(`${this.timeAttack.points} PTS`);
+        } else if (this.gameMode === 'survival') {
+            parts.push(`WAVE ${this.survival.wave}`);
+            parts.push(`LIVES ${this.survival.lives}`);
+            parts.push(this.formatMatchTime(this.match.clock));
+        } else if (this.matchRules.setsToWin > 1) {
+            parts.push(`SET ${this.match.currentSet} (${this.match.setsWon.player1}-${this.match.setsWon.player2})`);
+        }
+        if (!usesMatchRules(this.gameMode)) {
+            // Mode HUD already complete
+        } else if (this.match.suddenDeath) {
+            parts.push('SUDDEN DEATH');
+        } else if (this.matchRules.timeLimit > 0) {
+            parts.push(this.formatMatchTime(Math.ceil(Math.max(0, this.matchRules.timeLimit - this.match.clock))));
+        }
+        
+        info.textContent = parts.join('   ');
+        info.style.display = this.gameStarted && !this.isPaused && parts.length > 0 ? 'block' : 'none';
+    }
+    
+    showMatchResults(content = null) {
+        // Clear whatever is still on the field (e.g. the second multi-ball)
+        this.simulation.clearBalls();
+        this.matchResultsVisible = true;
+        
+        // Closing the replay viewer passes the cached screen back in (leaderboards were already submitted)
+        if (!content) {
+            if (this.gameMode === 'timeAttack') {
+                content = this.getTimeAttackResults();
+            } else if (this.gameMode === 'survival') {
+                content = this.getSurvivalResults();
+            } else {
+                content = this.getClassicResults();
+            }
+            content.lines.push(`SEED ${this.simulation.seed}`); // Share with ?seed= to replay the same draws
+            this.replay.resultsContent = content;
+        }
+        const results = this.domElements.matchResults;
+        results.querySelector('h2').textContent = content.title;
+        results.classList.toggle('lost', content.lost);
+        document.getElementById('matchResultsDetails').innerHTML = content.lines.map(line => `<p>${line}</p>`).join('');
+        results.style.display = 'block';
+        this.domElements.replayButton.style.display = this.replay.lastLog ? 'block' : 'none';
+        
+        // Free the mouse so the rematch button can be clicked
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+        
+        log('🏁 Results screen shown');
+    }
+    
+    updateScoreLabels() {
+        const versus = this.gameMode === 'versus';
+        document.getElementById('player1Label').textContent = versus ? 'P1' : 'YOU';
+        document.getElementById('player2Label').textContent = versus ? 'P2' : 'AI';
+    }
+    
+    getClassicResults() {
+        const playerWon = this.match.winner === 'player1';
+        const lines = [];
+        if (this.matchRules.setsToWin > 1) {
+            lines.push(`SETS ${this.match.setsWon.player1} - ${this.match.setsWon.player2}`);
+            lines.push(this.match.setScores.map(set => `${set.player1}-${set.player2}`).join('&nbsp;&nbsp;'));
+        } else {
+            lines.push(`FINAL SCORE ${this.simulation.score.player1} - ${this.simulation.score.player2}`);
+        }
+        if (this.match.suddenDeath) {
+            lines.push('DECIDED IN SUDDEN DEATH');
+        }
+        lines.push(`MATCH TIME ${this.formatMatchTime(this.match.duration)}`);
+        lines.push(this.matchRules.name);
+        
+        if (this.gameMode === 'versus') {
+            return { title: playerWon ? 'P1 WINS' : 'P2 WINS', lost: !playerWon, lines: lines };
+        }
+        return { title: playerWon ? 'YOU WIN' : 'AI WINS', lost: !playerWon, lines: lines };
+    }
+    
+    startRematch() {
+        if (!this.matchResultsVisible) return;
+        
+        log('🔁 Rematch!');
+        this.domElements.matchResults.style.display = 'none';
+        this.replay.resultsContent = null;
+        
+        this.clearMatchPresentation();
+        this.playSound('menuSelect');
+        
+        // Clears leftovers, resets multi-ball/bonus and serves toward the AI
+        this.prepareMatchStart();
+    }
+    
+    clearMatchPresentation() {
+        // Leftover presentation from the last match (timeouts, goal blink, zoom)
+        this.clearAllTimeouts();
+        this.clearCinematicEffects();
+        this.goalBlinkTimer = 0;
+        this.goalBlinkTarget = null;
+        this.multiBallZoom.active = false;
+        this.fadePaddleLights(1.0, 500);
+    }
+    
+    prepareMatchStart(seed = this.pinnedSeed !== null ? this.pinnedSeed : generateSeed()) {
+        // Everything the simulation reads starts from the same state - a replay re-runs this with the log's seed
+        this.fixedStep.accumulator = 0;
+        this.pendingMouseDeltaX = 0;
+        this.gameSpeed = 1.0;
+        
+        // Rules, balls, score and the serve after 400ms (so the camera transition starts before the ball appears)
+        this.simulation.versus = this.gameMode === 'versus';
+        this.simulation.startMatch(seed);
+        this.seedRandom(seed);
+        this.updateScore();
+        
+        // A denied cube may still be flickering out from the last match
+        this.removeBonusCube();
         this.paddle1.rotation.z = 0;
         this.paddle2.rotation.z = 0;
+        this.syncSimulation();
         
-        // Reset camera
-        this.cameraShake = { x: 0, y: 0, intensity: 0 };
-        this.cameraZoom = 0;
-        this.cameraTilt = 0;
-        this.cameraLookOffset = 0;
+        this.resetMatchState();
+        this.replay.recording = this.replay.active ? null : this.createReplayRecording();
+    }
+    
+    // ===== TIME ATTACK =====
+    
+    getTimeAttackTimeLeft() {
+        return Math.max(0, this.timeAttack.duration - this.match.clock - this.timeAttack.penaltyTime);
+    }
+    
+    addTimeAttackPoints(basePoints) {
+        this.timeAttack.points += basePoints * this.timeAttack.multiplier;
+        this.updateMatchInfo();
+    }
+    
+    recordTimeAttackGoal(scorer) {
+        // Goal feedback (flashGoalGreen / flashGoalMagenta, waves) is handled by the normal scoring path
+        if (scorer === 'player1') {
+            this.timeAttack.goals++;
+            this.addTimeAttackPoints(this.timeAttack.goalPoints);
+        } else {
+            this.timeAttack.goalsAgainst++;
+            this.timeAttack.penaltyTime += this.timeAttack.goalPenalty;
+            this.queueMessage(`-${this.timeAttack.goalPenalty} SEC`, 1500);
+            log(`⏱️ Goal against - ${this.timeAttack.goalPenalty}s penalty (${Math.ceil(this.getTimeAttackTimeLeft())}s left)`);
+        }
         
-        // Reset mouse controls
-        this.mouseTiltVelocity = 0;
-        this.keyboardTiltVelocity = 0;
+        this.updateMatchInfo();
         
-        // Clear all balls
-        this.resetBall();
+        // A penalty can drain the last seconds off the clock
+        if (this.getTimeAttackTimeLeft() <= 0) {
+            this.endMatch('player1');
+            return true;
+        }
+        return false;
+    }
+    
+    getTimeAttackResults() {
+        const summary = {
+            mode: 'timeAttack',
+            points: this.timeAttack.points,
+            goals: this.timeAttack.goals,
+            goalsAgainst: this.timeAttack.goalsAgainst,
+            bestCombo: this.timeAttack.bestCombo,
+            clock: this.timeAttack.duration,
+            playedAt: new Date().toISOString()
+        };
+        this.lastMatchSummary = summary;
+        log('🏁 Time Attack summary:', summary);
         
-        // Hide pause menu - stay in game
-        this.domElements.pauseMenu.style.display = 'none';
+        const rank = this.submitLeaderboardEntry('timeAttack', summary, (a, b) => b.points - a.points);
+        const best = this.loadLeaderboard('timeAttack')[0];
         
-        // Restart the game immediately with a new ball
-        this.successfulHits = 0;
-        this.nextBallThreshold = 4;
+        const lines = [
+            `SCORE ${summary.points}`,
+            rank === 1 ? 'NEW BEST!' : (rank ? `RANK #${rank}` : `BEST ${best ? best.points : 0}`),
+            `GOALS ${summary.goals} - AGAINST ${summary.goalsAgainst}`,
+            `BEST COMBO ${summary.bestCombo}X`
+        ];
         
-        // Spawn ball immediately to continue playing
-        this.spawnBall(0, 0, 0, {
-            x: 0,
-            y: 0,
-            z: -0.15 // Always toward enemy/AI
-        });
+        return { title: 'TIME UP', lost: false, lines: lines };
+    }
+    
+    // ===== SURVIVAL =====
+    
+    loseSurvivalLife() {
+        this.survival.lives--;
+        this.updateMatchInfo();
+        log(`💀 Life lost - ${this.survival.lives} left (wave ${this.survival.wave})`);
         
-        // Camera drift correction disabled - was causing issues
+        if (this.survival.lives <= 0) {
+            this.endMatch('player2');
+            return true;
+        }
         
-        // Reset wall wave animation and heights
-        this.wallWaveAnimation.active = false;
-        this.resetWallHeights();
+        this.queueMessage(this.survival.lives === 1 ? 'LAST LIFE' : `${this.survival.lives} LIVES LEFT`, 1500);
+        return false;
+    }
+    
+    advanceSurvivalWave() {
+        const escalation = this.survival.escalation;
+        const caps = this.survival.caps;
         
-        // Clean up celebration light during reset
-        if (this.celebrationLight && this.celebrationLightActive) {
-            this.scene.remove(this.celebrationLight);
-            this.celebrationLight = null;
-            this.celebrationLightActive = false;
-            log('✨ Celebration light cleaned up during game reset');
+        const simulation = this.simulation;
+        this.survival.wave++;
+        this.aiSpeed = Math.min(caps.aiSpeed, this.aiSpeed + escalation.aiSpeed);
+        this.aiDifficulty = Math.min(caps.aiDifficulty, this.aiDifficulty + escalation.aiDifficulty);
+        simulation.baseBallSpeed = Math.min(caps.baseBallSpeed, simulation.baseBallSpeed + escalation.baseBallSpeed);
+        simulation.obstacleInterval = Math.max(caps.obstacleInterval, simulation.obstacleInterval + escalation.obstacleInterval);
+        if ((this.survival.wave - 1) % escalation.maxBallsEveryWaves === 0) {
+            simulation.maxBalls = Math.min(caps.maxBalls, simulation.maxBalls + 1);
         }
         
-        // Reset stuck ball collision system
-        this.collisionDisabled = false;
-        this.collisionDisableTimer = 0;
-        this.ballCollisionHistory = [];
-        log('🔄 Stuck ball collision system reset');
+        this.queueMessage(`WAVE ${this.survival.wave}`, 1500, 'bonus');
+        this.playSound('waveBuzz');
+        this.updateMatchInfo();
+        log(`🌊 Wave ${this.survival.wave} - AI speed ${this.aiSpeed.toFixed(2)}, accuracy ${this.aiDifficulty.toFixed(2)}, ball ${simulation.baseBallSpeed.toFixed(3)}, max balls ${simulation.maxBalls}, obstacles every ${simulation.obstacleInterval}s`);
+    }
+    
+    getSurvivalResults() {
+        const summary = {
+            mode: 'survival',
+            wavesSurvived: this.survival.wave - 1,
+            timeAlive: Math.floor(this.match.clock),
+            goals: this.simulation.score.player1,
+            playedAt: new Date().toISOString()
+        };
+        this.lastMatchSummary = summary;
+        log('🏁 Survival summary:', summary);
+        
+        const rank = this.submitLeaderboardEntry('survival', summary, (a, b) => (b.wavesSurvived - a.wavesSurvived) || (b.timeAlive - a.timeAlive));
         
-        // Music keeps playing (don't stop it)
+        const lines = [
+            `WAVES SURVIVED ${summary.wavesSurvived}`,
+            `TIME ALIVE ${this.formatMatchTime(summary.timeAlive)}`,
+            `GOALS ${summary.goals}`
+        ];
+        if (rank === 1) {
+            lines.push('NEW BEST!');
+        } else if (rank) {
+            lines.push(`RANK #${rank}`);
+        }
+        
+        return { title: 'GAME OVER', lost: true, lines: lines };
+    }
+    
+    // ===== LEADERBOARDS (local, top 10 per mode) =====
+    
+    loadLeaderboard(mode) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(`gridzone.leaderboard.${mode}`));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    submitLeaderboardEntry(mode, entry, compare) {
+        // Returns the 1-based rank of the new entry, or null if it didn't make the board
+        const board = this.loadLeaderboard(mode);
+        board.push(entry);
+        board.sort(compare);
+        board.length = Math.min(board.length, this.leaderboardSize);
+        
+        try {
+            localStorage.setItem(`gridzone.leaderboard.${mode}`, JSON.stringify(board));
+        } catch (e) {
+            log('Could not save leaderboard');
+        }
+        
+        const rank = board.indexOf(entry);
+        return rank === -1 ? null : rank + 1;
+    }
+    
+    // ===== GAME SETUP MENU =====
+    
+    getGameSetupRows() {
+        const rows = [
+            {
+                label: 'MODE',
+                value: this.gameModes[this.gameModeIndex].name,
+                change: (direction) => this.cycleGameMode(direction)
+            }
+        ];
+        
+        if (usesMatchRules(this.gameMode)) {
+            rows.push({
+                label: 'RULES',
+                value: this.matchRules.name,
+                change: (direction) => this.cycleMatchRules(direction)
+            });
+        }
+        
+        // No AI to configure when a human drives paddle2
+        if (this.gameMode !== 'versus') {
+            rows.push({
+                label: 'AI',
+                value: AI_DIFFICULTY_PRESETS[this.aiPresetIndex].name,
+                change: (direction) => this.cycleAIPreset(direction)
+            });
+            rows.push({
+                label: 'ADAPTIVE',
+                value: this.adaptiveAI.enabled ? 'ON' : 'OFF',
+                change: () => { this.adaptiveAI.enabled = !this.adaptiveAI.enabled; }
+            });
+            rows.push({
+                label: 'STYLE',
+                value: this.aiStyleIndex === 0 ? `AUTO (${AI_STRATEGIES[this.aiStrategy].name})` : AI_STRATEGIES[this.aiStrategy].name,
+                change: (direction) => this.cycleAIStyle(direction)
+            });
+        }
+        
+        return rows;
+    }
+    
+    applyAIPreset() {
+        const preset = AI_DIFFICULTY_PRESETS[this.aiPresetIndex];
+        const styles = Object.keys(AI_STRATEGIES);
+        
+        this.aiStrategy = this.aiStyleIndex === 0 ? preset.strategy : styles[this.aiStyleIndex - 1];
+        this.aiSpeed = preset.speed;
+        this.aiDifficulty = preset.accuracy;
+        this.aiReactionDelay = preset.reactionDelay;
+        this.simulation.ai.thinkTimer = 0;
+        
+        // Survival escalates from (and every match restores to) the chosen preset
+        if (this.defaultDifficulty) {
+            this.defaultDifficulty.aiSpeed = this.aiSpeed;
+            this.defaultDifficulty.aiDifficulty = this.aiDifficulty;
+        }
+        
+        log(`🤖 AI preset: ${preset.name} - strategy ${this.aiStrategy}, speed ${this.aiSpeed}, accuracy ${this.aiDifficulty}, reaction ${this.aiReactionDelay}s`);
+    }
+    
+    cycleAIPreset(direction) {
+        const count = AI_DIFFICULTY_PRESETS.length;
+        this.aiPresetIndex = (this.aiPresetIndex + direction + count) % count;
+        this.applyAIPreset();
+    }
+    
+    cycleAIStyle(direction) {
+        // AUTO + every registered strategy
+        const count = Object.keys(AI_STRATEGIES).length + 1;
+        this.aiStyleIndex = (this.aiStyleIndex + direction + count) % count;
+        this.applyAIPreset();
+    }
+    
+    // ===== ADAPTIVE DIFFICULTY =====
+    
+    getAITuning() {
+        // Effective AI values = preset (or survival wave) values nudged by the rubber band
+        const offset = this.adaptiveAI.enabled ? this.adaptiveAI.offset : 0;
+        const bounds = this.adaptiveAI.bounds;
+        return {
+            speed: this.aiSpeed * (1 + offset * bounds.speed),
+            accuracy: Math.max(0.3, Math.min(0.99, this.aiDifficulty + offset * bounds.accuracy)),
+            reaction: this.aiReactionDelay + Math.max(0, -offset) * bounds.reaction
+        };
+    }
+    
+    resetAdaptiveDifficulty() {
+        this.adaptiveAI.offset = 0;
+        this.adaptiveAI.skill = 0;
+        this.adaptiveAI.rallies = [];
+        this.adaptiveAI.currentRally = 0;
+    }
+    
+    recordAdaptiveReturn() {
+        this.adaptiveAI.currentRally++;
+    }
+    
+    recordAdaptiveRallyEnd(playerWon) {
+        const adaptive = this.adaptiveAI;
+        adaptive.rallies.push({ returns: adaptive.currentRally, playerWon: playerWon });
+        if (adaptive.rallies.length > adaptive.window) {
+            adaptive.rallies.shift();
+        }
+        adaptive.currentRally = 0;
+        adaptive.skill = this.estimatePlayerSkill();
+    }
+    
+    getAdaptiveStats() {
+        const rallies = this.adaptiveAI.rallies;
+        if (rallies.length === 0) {
+            return { rallyLength: 0, accuracy: 0, goalDifference: 0 };
+        }
+        
+        const returns = rallies.reduce((sum, rally) => sum + rally.returns, 0);
+        const misses = rallies.filter(rally => !rally.playerWon).length;
+        const wins = rallies.length - misses;
+        return {
+            rallyLength: returns / rallies.length,
+            accuracy: returns / Math.max(1, returns + misses), // Share of balls reaching the player that came back
+            goalDifference: wins - misses
+        };
+    }
+    
+    estimatePlayerSkill() {
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
+        const stats = this.getAdaptiveStats();
+        if (this.adaptiveAI.rallies.length === 0) return 0;
+        
+        // Each signal maps "average player" to 0
+        const rallySignal = clamp((stats.rallyLength - 4) / 6); // 4 returns per rally is par
+        const accuracySignal = clamp((stats.accuracy - 0.75) * 4); // 75% of balls returned is par
+        const goalSignal = clamp(stats.goalDifference / 4); // +4 over the window = dominating
+        
+        return clamp(rallySignal * 0.3 + accuracySignal * 0.3 + goalSignal * 0.4);
+    }
+    
+    updateAdaptiveDifficulty(deltaTime) {
+        const adaptive = this.adaptiveAI;
+        
+        // Ease toward the skill estimate - never jumps, so the AI doesn't visibly change mid-rally
+        if (adaptive.enabled && this.gameMode !== 'versus' && !this.simulation.frozen) {
+            const step = adaptive.rate * deltaTime;
+            const difference = adaptive.skill - adaptive.offset;
+            adaptive.offset += Math.max(-step, Math.min(step, difference));
+        }
+        
+        // Debug readout next to the FPS counter (refresh 4x per second)
+        adaptive.readoutTimer -= deltaTime;
+        if (adaptive.readout && this.fpsCounter.visible && adaptive.readoutTimer <= 0) {
+            adaptive.readoutTimer = 0.25;
+            const stats = this.getAdaptiveStats();
+            const tuning = this.getAITuning();
+            const sign = (value) => (value >= 0 ? '+' : '') + value.toFixed(2);
+            adaptive.readout.innerHTML = adaptive.enabled
+                ? `AI ADAPT ${sign(adaptive.offset)} (SKILL ${sign(adaptive.skill)})<br>` +
+                  `SPD ${tuning.speed.toFixed(2)} ACC ${tuning.accuracy.toFixed(2)} LAG ${tuning.reaction.toFixed(2)}S<br>` +
+                  `RALLY ${stats.rallyLength.toFixed(1)} HIT ${Math.round(stats.accuracy * 100)}% GD ${stats.goalDifference >= 0 ? '+' : ''}${stats.goalDifference}`
+                : 'AI ADAPT OFF';
+        }
+    }
+    
+    cycleGameMode(direction) {
+        const count = this.gameModes.length;
+        this.gameModeIndex = (this.gameModeIndex + direction + count) % count;
+        this.gameMode = this.gameModes[this.gameModeIndex].id;
+        log(`🎮 Game mode selected: ${this.gameModes[this.gameModeIndex].name}`);
+    }
+    
+    renderGameSetup() {
+        const element = this.gameSetup.element;
+        if (!element) return;
+        
+        const rows = this.getGameSetupRows();
+        this.gameSetup.selectedRow = Math.max(0, Math.min(rows.length - 1, this.gameSetup.selectedRow));
+        
+        element.innerHTML = rows.map((row, index) => `
+            <div class="setup-row${index === this.gameSetup.selectedRow ? ' selected' : ''}" data-row="${index}">
+                <span class="setup-label">${row.label}</span>
+                <span class="setup-arrow" data-dir="-1">&#9664;</span>
+                <span class="setup-value">${row.value}</span>
+                <span class="setup-arrow" data-dir="1">&#9654;</span>
+            </div>`).join('');
+    }
+    
+    moveGameSetupRow(direction) {
+        const rowCount = this.getGameSetupRows().length;
+        this.gameSetup.selectedRow = (this.gameSetup.selectedRow + direction + rowCount) % rowCount;
+        this.renderGameSetup();
+    }
+    
+    changeGameSetupValue(direction) {
+        const row = this.getGameSetupRows()[this.gameSetup.selectedRow];
+        if (!row) return;
+        
+        row.change(direction);
+        this.playSound('menuSelect');
+        this.renderGameSetup();
+    }
+    
+    handleGameSetupKey(key) {
+        if (key === 'arrowup' || key === 'w') {
+            this.moveGameSetupRow(-1);
+        } else if (key === 'arrowdown' || key === 's') {
+            this.moveGameSetupRow(1);
+        } else if (key === 'arrowleft' || key === 'a') {
+            this.changeGameSetupValue(-1);
+        } else if (key === 'arrowright' || key === 'd') {
+            this.changeGameSetupValue(1);
+        }
+    }
+    
+    // ===== PLAYER SETTINGS =====
+    
+    loadSettings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.settingsStorageKey));
+        } catch (e) {
+            stored = null;
+        }
+        
+        this.settings = this.sanitizeSettings(this.migrateProfile(stored, this.settingsVersion, this.settingsMigrations));
+        log(`⚙️ Settings loaded${stored ? ` (profile v${stored.version})` : ' (defaults)'}`);
+    }
+    
+    migrateProfile(stored, currentVersion, migrations) {
+        // Older profiles are upgraded one version at a time; anything unreadable means defaults
+        if (!stored || typeof stored.version !== 'number' || !stored.values || typeof stored.values !== 'object') {
+            return {};
+        }
+        
+        let values = stored.values;
+        for (let version = stored.version; version < currentVersion; version++) {
+            const migrate = migrations[version];
+            if (migrate) {
+                values = migrate(values);
+            }
+        }
+        return values;
+    }
+    
+    sanitizeSettings(values) {
+        // Only known keys of the right type survive; numbers are clamped to their range
+        const settings = { ...this.defaultSettings };
+        for (const key of Object.keys(settings)) {
+            const value = values[key];
+            const limits = this.settingsLimits[key];
+            if (limits) {
+                if (typeof value === 'number' && isFinite(value)) {
+                    settings[key] = Math.max(limits.min, Math.min(limits.max, value));
+                }
+            } else if (this.settingsChoices[key]) {
+                if (this.settingsChoices[key].includes(value)) {
+                    settings[key] = value;
+                }
+            } else if (typeof value === 'boolean') {
+                settings[key] = value;
+            }
+        }
+        return settings;
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem(this.settingsStorageKey, JSON.stringify({
+                version: this.settingsVersion,
+                values: this.settings
+            }));
+        } catch (e) {
+            log('Could not save settings');
+        }
+    }
+    
+    applySettings() {
+        // Push this.settings into the fields the game actually reads
+        const settings = this.settings;
+        
+        // The replay viewer drives the paddles with the recorded values (restored when it closes)
+        if (!this.replay.active) {
+            this.setPaddleTuning(settings);
+            this.recordSettingsChange();
+        }
+        
+        this.applyMixerVolumes();
+        this.applyMusicMode();
+        if (this.performanceMode !== settings.performanceMode) {
+            this.togglePerformanceMode();
+        }
+        if (this.crtEffect.enabled !== settings.crtEffect) {
+            this.toggleCRTEffect();
+        }
+        if (this.fpsCounter.visible !== settings.showFPS) {
+            this.toggleFPSCounter();
+        }
+    }
+    
+    setSetting(key, value) {
+        this.settings[key] = value;
+        this.applySettings();
+        this.saveSettings();
+    }
+    
+    restoreDefaultSettings(keys = Object.keys(this.defaultSettings)) {
+        for (const key of keys) {
+            this.settings[key] = this.defaultSettings[key];
+        }
+        this.applySettings();
+        this.saveSettings();
+        log(`⚙️ Settings restored to defaults (${keys.length} values)`);
+    }
+    
+    stepSetting(key, direction) {
+        // Snap to the step grid so stored values stay exact (0.67 -> 0.7 / 0.6)
+        const limits = this.settingsLimits[key];
+        const current = this.settings[key] / limits.step;
+        const steps = direction > 0 ? Math.floor(current + 1e-9) + 1 : Math.ceil(current - 1e-9) - 1;
+        const value = parseFloat((steps * limits.step).toPrecision(6));
+        this.setSetting(key, Math.max(limits.min, Math.min(limits.max, value)));
+    }
+    
+    cycleSetting(key, direction = 1) {
+        const choices = this.settingsChoices[key];
+        const index = choices.indexOf(this.settings[key]);
+        this.setSetting(key, choices[(index + direction + choices.length) % choices.length]);
+    }
+    
+    getSettingsRows() {
+        const percentOf = (value, reference) => `${Math.round(value / reference * 100)}%`;
+        const onOff = (value) => value ? 'ON' : 'OFF';
+        const toggle = (key) => () => this.setSetting(key, !this.settings[key]);
+        
+        return [
+            {
+                label: 'MOUSE SENSITIVITY',
+                value: percentOf(this.settings.mouseSensitivity, this.defaultSettings.mouseSensitivity),
+                change: (direction) => this.stepSetting('mouseSensitivity', direction)
+            },
+            {
+                label: 'PADDLE SPEED',
+                value: percentOf(this.settings.paddleSpeed, this.defaultSettings.paddleSpeed),
+                change: (direction) => this.stepSetting('paddleSpeed', direction)
+            },
+            {
+                label: 'MASTER VOLUME',
+                value: percentOf(this.settings.masterVolume, 1),
+                change: (direction) => this.stepSetting('masterVolume', direction)
+            },
+            {
+                label: 'MUSIC VOLUME',
+                value: percentOf(this.settings.musicVolume, 1),
+                change: (direction) => this.stepSetting('musicVolume', direction)
+            },
+            {
+                label: 'SFX VOLUME',
+                value: percentOf(this.settings.sfxVolume, 1),
+                change: (direction) => this.stepSetting('sfxVolume', direction)
+            },
+            {
+                label: 'MUSIC MODE',
+                value: { shuffle: 'SHUFFLE', sequential: 'IN ORDER', repeat: 'REPEAT ONE' }[this.settings.musicMode],
+                change: (direction) => this.cycleSetting('musicMode', direction),
+                select: () => this.cycleSetting('musicMode')
+            },
+            {
+                label: 'CROSSFADE',
+                value: this.settings.musicCrossfade > 0 ? `${this.settings.musicCrossfade.toFixed(1)} S` : 'OFF',
+                change: (direction) => this.stepSetting('musicCrossfade', direction)
+            },
+            { label: 'ADAPTIVE MUSIC', value: onOff(this.settings.adaptiveMusic), change: toggle('adaptiveMusic'), select: toggle('adaptiveMusic') },
+            { label: 'BEAT VISUALS', value: onOff(this.settings.beatVisuals), change: toggle('beatVisuals'), select: toggle('beatVisuals') },
+            {
+                label: 'BEAT INTENSITY',
+                value: percentOf(this.settings.beatVisualIntensity, 1),
+                change: (direction) => this.stepSetting('beatVisualIntensity', direction)
+            },
+            { label: 'PERFORMANCE MODE', value: onOff(this.settings.performanceMode), change: toggle('performanceMode'), select: toggle('performanceMode') },
+            { label: 'CRT EFFECT', value: onOff(this.settings.crtEffect), change: toggle('crtEffect'), select: toggle('crtEffect') },
+            { label: 'FPS COUNTER', value: onOff(this.settings.showFPS), change: toggle('showFPS'), select: toggle('showFPS') },
+            {
+                label: 'CONTROLLER',
+                value: this.getActiveControllerLabel(),
+                change: (direction) => this.cycleActiveController(direction)
+            },
+            // Action rows have no value - Enter / Cross / click runs them
+            { label: 'CONTROL FEEL', select: () => this.showSettingsPage('feel') },
+            { label: 'CONTROLS', select: () => this.showSettingsPage('controls') },
+            { label: 'RESTORE DEFAULTS', select: () => this.restoreDefaultSettings() },
+            { label: 'BACK', select: () => this.closeSettingsMenu() }
+        ];
+    }
+    
+    getControlsRows() {
+        // One row per action: its keys / this controller's inputs. Selecting a row waits for the new input
+        const padBindings = this.gamepad ? this.getPadBindings(this.gamepad) : this.defaultPadBindings;
+        const names = (inputs) => inputs.length > 0 ? inputs.map(input => this.getBindingName(input, this.gamepad)).join(', ') : '-';
+        
+        const rows = this.inputActions.map(action => ({
+            label: action.name,
+            value: `${names(this.bindings.keyboard[action.id])} / ${names(padBindings[action.id])}`,
+            action: action.id,
+            select: () => this.startBindingCapture(action.id)
+        }));
+        rows.push(
+            { label: 'RESTORE DEFAULT CONTROLS', select: () => this.restoreDefaultBindings() },
+            { label: 'BACK', select: () => this.showSettingsPage('settings') }
+        );
+        return rows;
+    }
+    
+    getControlFeelRows() {
+        // Stick shaping and keyboard ramps - the visualizer under the rows shows the result live
+        const settings = this.settings;
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const seconds = (value) => value > 0 ? `${Math.round(value * 1000)} MS` : 'INSTANT';
+        const step = (key) => (direction) => this.stepSetting(key, direction);
+        const cycle = (key) => (direction) => this.cycleSetting(key, direction);
+        
+        const rows = [
+            { label: 'STICK DEADZONE', value: percent(settings.stickDeadzone), change: step('stickDeadzone') },
+            { label: 'DEADZONE SHAPE', value: settings.stickDeadzoneShape.toUpperCase(), change: cycle('stickDeadzoneShape'), select: cycle('stickDeadzoneShape') },
+            { label: 'ANTI-DEADZONE', value: percent(settings.stickAntiDeadzone), change: step('stickAntiDeadzone') },
+            { label: 'RESPONSE CURVE', value: settings.stickCurve.toUpperCase(), change: cycle('stickCurve'), select: cycle('stickCurve') }
+        ];
+        // Curve parameters only for the curve that uses them
+        if (settings.stickCurve === 'exponential') {
+            rows.push({ label: 'CURVE EXPONENT', value: settings.stickCurveExponent.toFixed(2), change: step('stickCurveExponent') });
+        } else if (settings.stickCurve === 'custom') {
+            rows.push(
+                { label: 'OUTPUT AT 25%', value: percent(settings.stickCurveLow), change: step('stickCurveLow') },
+                { label: 'OUTPUT AT 50%', value: percent(settings.stickCurveMid), change: step('stickCurveMid') },
+                { label: 'OUTPUT AT 75%', value: percent(settings.stickCurveHigh), change: step('stickCurveHigh') }
+            );
+        }
+        rows.push(
+            { label: 'KEY ACCELERATION', value: seconds(settings.keyAccelerationTime), change: step('keyAccelerationTime') },
+            { label: 'KEY DECELERATION', value: seconds(settings.keyDecelerationTime), change: step('keyDecelerationTime') },
+            { label: 'RESTORE DEFAULT FEEL', select: () => this.restoreDefaultSettings(this.controlFeelSettings) },
+            { label: 'BACK', select: () => this.showSettingsPage('settings') }
+        );
+        return rows;
+    }
+    
+    getSettingsMenuRows() {
+        const page = this.settingsMenu.page;
+        if (page === 'controls') return this.getControlsRows();
+        if (page === 'feel') return this.getControlFeelRows();
+        return this.getSettingsRows();
+    }
+    
+    renderSettingsMenu() {
+        const menu = this.settingsMenu;
+        const element = menu.rowsElement;
+        if (!element) return;
+        
+        const rows = this.getSettingsMenuRows();
+        menu.selectedRow = Math.max(0, Math.min(rows.length - 1, menu.selectedRow));
+        
+        // Sliders and toggles get arrows, binding rows just show their inputs
+        element.innerHTML = rows.map((row, index) => `
+            <div class="setup-row${index === menu.selectedRow ? ' selected' : ''}" data-row="${index}">
+                <span class="setup-label">${row.label}</span>${row.change ? `
+                <span class="setup-arrow" data-dir="-1">&#9664;</span>
+                <span class="setup-value">${row.value}</span>
+                <span class="setup-arrow" data-dir="1">&#9654;</span>` : row.value ? `
+                <span class="setup-value">${row.value}</span>` : ''}
+            </div>`).join('');
+        
+        if (menu.titleElement) {
+            menu.titleElement.textContent = { controls: 'CONTROLS', feel: 'CONTROL FEEL' }[menu.page] || 'SETTINGS';
+        }
+        if (this.inputVisualizer.canvas) {
+            this.inputVisualizer.canvas.style.display = menu.page === 'feel' ? 'block' : 'none';
+        }
+        if (menu.hintElement) {
+            menu.hintElement.textContent = this.getSettingsHint();
+        }
+    }
+    
+    getSettingsHint() {
+        const menu = this.settingsMenu;
+        if (menu.capture) {
+            const action = this.getInputAction(menu.capture.action);
+            return `PRESS A KEY OR CONTROLLER INPUT FOR ${action.name} - ESC TO CANCEL`;
+        }
+        if (menu.message) {
+            return menu.message;
+        }
+        if (menu.page === 'controls') {
+            const pad = this.gamepad;
+            const padNote = !pad ? 'NO CONTROLLER' : pad.mapping === 'standard' ? 'STANDARD LAYOUT' : 'NON-STANDARD LAYOUT - BIND ITS BUTTONS HERE';
+            return `ENTER / X / CLICK: REBIND - BACKSPACE / SQUARE: CLEAR KEYS / PAD - ${padNote}`;
+        }
+        if (menu.page === 'feel') {
+            return 'MOVE THE STICK OR HOLD THE MOVE KEYS ON A ROW WITHOUT ARROWS TO TEST - ESC / Circle to go back';
+        }
+        return 'W/S + A/D / D-Pad - Enter / X to select - ESC / Circle to close';
+    }
+    
+    showSettingsPage(page) {
+        this.settingsMenu.page = page;
+        this.settingsMenu.selectedRow = 0;
+        this.settingsMenu.capture = null;
+        this.settingsMenu.message = '';
+        this.renderSettingsMenu();
+    }
+    
+    openSettingsMenu() {
+        const menu = this.settingsMenu;
+        if (menu.open || !menu.element) return;
+        
+        menu.open = true;
+        menu.lastButtons = [true, true, true, true, true, true, true, true]; // Wait for the opening press to be released
+        this.domElements.pauseMenu.style.display = 'none';
+        menu.element.style.display = 'block';
+        this.showSettingsPage('settings');
+        this.playSound('menuSelect');
+        log('⚙️ Settings opened');
+    }
+    
+    closeSettingsMenu() {
+        const menu = this.settingsMenu;
+        if (!menu.open) return;
+        
+        menu.open = false;
+        menu.capture = null;
+        menu.element.style.display = 'none';
+        if (this.isPaused) {
+            this.domElements.pauseMenu.style.display = 'block';
+        }
+        
+        // The closing press must not also start the game / toggle performance mode / reopen the menu
+        if (this.gamepad) {
+            this.latchPadActions(this.gamepad);
+        }
+        log('⚙️ Settings closed');
+    }
+    
+    moveSettingsRow(direction) {
+        const rowCount = this.getSettingsMenuRows().length;
+        this.settingsMenu.selectedRow = (this.settingsMenu.selectedRow + direction + rowCount) % rowCount;
+        this.settingsMenu.message = '';
+        this.renderSettingsMenu();
+    }
+    
+    changeSettingsValue(direction) {
+        const row = this.getSettingsMenuRows()[this.settingsMenu.selectedRow];
+        if (!row || !row.change) return;
+        
+        row.change(direction);
+        this.playSound('menuSelect');
+        this.renderSettingsMenu();
+    }
+    
+    selectSettingsRow() {
+        // Enter / Cross / click: run action rows, flip toggles, rebind (sliders only change with the arrows)
+        const row = this.getSettingsMenuRows()[this.settingsMenu.selectedRow];
+        if (!row) return;
+        
+        if (row.select) {
+            row.select();
+            this.playSound('menuSelect');
+        }
+        if (this.settingsMenu.open) {
+            this.renderSettingsMenu();
+        }
+    }
+    
+    clearSelectedBinding(device) {
+        const row = this.getSettingsMenuRows()[this.settingsMenu.selectedRow];
+        if (!row || !row.action) return;
+        
+        this.clearBindings(row.action, device);
+        this.renderSettingsMenu();
+    }
+    
+    handleSettingsKey(key) {
+        const menu = this.settingsMenu;
+        if (menu.capture) {
+            this.captureBindingKey(key);
+            return;
+        }
+        
+        if (key === 'arrowup' || key === 'w') {
+            this.moveSettingsRow(-1);
+        } else if (key === 'arrowdown' || key === 's') {
+            this.moveSettingsRow(1);
+        } else if (key === 'arrowleft' || key === 'a') {
+            this.changeSettingsValue(-1);
+        } else if (key === 'arrowright' || key === 'd') {
+            this.changeSettingsValue(1);
+        } else if (key === 'enter' || key === ' ') {
+            this.selectSettingsRow();
+        } else if ((key === 'backspace' || key === 'delete') && menu.page === 'controls') {
+            this.clearSelectedBinding('keyboard');
+        } else if (key === 'escape' || key === 'o') {
+            if (menu.page !== 'settings') {
+                this.showSettingsPage('settings');
+            } else {
+                this.closeSettingsMenu();
+            }
+        }
+    }
+    
+    updateSettingsMenuGamepad() {
+        // D-pad like the setup menu, Cross selects, Square clears a binding, Circle / Share goes back
+        if (!this.gamepad) return;
+        
+        const menu = this.settingsMenu;
+        if (menu.capture) {
+            this.captureBindingPad(this.gamepad);
+            return;
+        }
+        
+        const buttons = [12, 13, 14, 15, 0, 1, 2, 8].map(index => !!(this.gamepad.buttons[index] && this.gamepad.buttons[index].pressed));
+        const pressed = buttons.map((down, i) => down && !menu.lastButtons[i]);
+        menu.lastButtons = buttons;
+        
+        if (pressed[0]) this.moveSettingsRow(-1);
+        if (pressed[1]) this.moveSettingsRow(1);
+        if (pressed[2]) this.changeSettingsValue(-1);
+        if (pressed[3]) this.changeSettingsValue(1);
+        if (pressed[4]) this.selectSettingsRow();
+        if (pressed[6] && menu.page === 'controls') this.clearSelectedBinding('gamepad');
+        if ((pressed[5] || pressed[7]) && menu.open && !menu.capture) {
+            if (menu.page !== 'settings') {
+                this.showSettingsPage('settings');
+            } else {
+                this.closeSettingsMenu();
+            }
+        }
+    }
+    
+    updateInputVisualizer(deltaTime) {
+        // CONTROL FEEL page: stick position vs deadzone, the response curve, and the keyboard ramps
+        const visualizer = this.inputVisualizer;
+        const context = visualizer.context;
+        if (!context) return;
+        
+        const settings = this.settings;
+        const stick = this.gamepad ? this.getPadStick(this.gamepad) : { x: 0, y: 0 };
+        const output = this.shapeStickX(stick.x, stick.y);
+        
+        // The menu keeps the keys to itself, so the ramp preview runs here on frame time
+        const direction = (this.isActionKeyHeld('moveRight') ? 1 : 0) - (this.isActionKeyHeld('moveLeft') ? 1 : 0);
+        visualizer.keyVelocity = rampKeyVelocity(visualizer.keyVelocity, direction, settings.keyAccelerationTime, settings.keyDecelerationTime, Math.min(deltaTime, 0.1));
+        
+        const { width, height } = visualizer.canvas;
+        const panel = width / 3;
+        context.clearRect(0, 0, width, height);
+        context.font = "14px 'Terminal Grotesque', monospace";
+        context.lineWidth = 2;
+        
+        this.drawStickPanel(context, 0, panel, height, stick, output);
+        this.drawCurvePanel(context, panel, panel, height, stick);
+        this.drawKeyRampPanel(context, panel * 2, panel, height, visualizer.keyVelocity);
+    }
+    
+    drawStickPanel(context, left, width, height, stick, output) {
+        // Stick circle with the deadzone (ring or band), the raw position and the paddle output bar
+        const radius = Math.min(width, height - 40) / 2 - 4;
+        const centerX = left + width / 2;
+        const centerY = 20 + radius;
+        const deadzone = this.settings.stickDeadzone * radius;
+        
+        context.fillStyle = '#00FEFC';
+        context.fillText('STICK', left + 6, 14);
+        context.strokeStyle = '#00FEFC';
+        context.beginPath();
+        context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        context.stroke();
+        
+        context.fillStyle = 'rgba(0, 254, 252, 0.25)';
+        if (this.settings.stickDeadzoneShape === 'radial') {
+            context.beginPath();
+            context.arc(centerX, centerY, deadzone, 0, Math.PI * 2);
+            context.fill();
+        } else {
+            context.fillRect(centerX - deadzone, centerY - radius, deadzone * 2, radius * 2);
+        }
+        
+        context.fillStyle = '#ff00ff';
+        context.beginPath();
+        context.arc(centerX + stick.x * radius, centerY + stick.y * radius, 5, 0, Math.PI * 2);
+        context.fill();
+        
+        // Output: what the paddle gets this tick (-1..1)
+        const barY = height - 12;
+        context.strokeStyle = '#00FEFC';
+        context.strokeRect(centerX - radius, barY, radius * 2, 8);
+        context.fillRect(centerX, barY, output * radius, 8);
+    }
+    
+    drawCurvePanel(context, left, width, height, stick) {
+        // Output against stick throw (deadzone, curve and anti-deadzone together), with the current throw marked
+        const size = Math.min(width, height) - 30;
+        const originX = left + (width - size) / 2;
+        const originY = 20 + size;
+        
+        context.fillStyle = '#00FEFC';
+        context.fillText('CURVE', left + 6, 14);
+        context.strokeStyle = 'rgba(0, 254, 252, 0.4)';
+        context.strokeRect(originX, originY - size, size, size);
+        
+        context.strokeStyle = '#00FEFC';
+        context.beginPath();
+        for (let i = 0; i <= 50; i++) {
+            const throwAmount = i / 50;
+            const x = originX + throwAmount * size;
+            const y = originY - this.shapeStickX(throwAmount) * size;
+            if (i === 0) context.moveTo(x, y); else context.lineTo(x, y);
+        }
+        context.stroke();
+        
+        const current = Math.min(1, Math.abs(stick.x));
+        context.fillStyle = '#ff00ff';
+        context.beginPath();
+        context.arc(originX + current * size, originY - this.shapeStickX(current) * size, 5, 0, Math.PI * 2);
+        context.fill();
+    }
+    
+    drawKeyRampPanel(context, left, width, height, keyVelocity) {
+        // Speed over one second: key held for the first half, released for the second - plus the live preview bar
+        const graphWidth = width - 20;
+        const graphHeight = height - 50;
+        const originX = left + 10;
+        const originY = 20 + graphHeight;
+        const settings = this.settings;
+        
+        context.fillStyle = '#00FEFC';
+        context.fillText('KEYS', left + 6, 14);
+        context.strokeStyle = 'rgba(0, 254, 252, 0.4)';
+        context.strokeRect(originX, originY - graphHeight, graphWidth, graphHeight);
+        
+        context.strokeStyle = '#00FEFC';
+        context.beginPath();
+        let velocity = 0;
+        for (let tick = 0; tick <= 60; tick++) {
+            velocity = rampKeyVelocity(velocity, tick < 30 ? 1 : 0, settings.keyAccelerationTime, settings.keyDecelerationTime, 1 / 60);
+            const x = originX + tick / 60 * graphWidth;
+            const y = originY - velocity * graphHeight;
+            if (tick === 0) context.moveTo(x, y); else context.lineTo(x, y);
+        }
+        context.stroke();
+        
+        const barY = height - 12;
+        const centerX = originX + graphWidth / 2;
+        context.strokeRect(originX, barY, graphWidth, 8);
+        context.fillStyle = '#ff00ff';
+        context.fillRect(centerX, barY, keyVelocity * graphWidth / 2, 8);
+    }
+    
+    // ===== CONTROLLERS =====
+    
+    getControllerSnapshot(index) {
+        // Chrome hands out a new Gamepad object per poll - always read through navigator.getGamepads()
+        if (index === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[index] || null;
+    }
+    
+    refreshControllers() {
+        // Once per frame: fresh snapshots of the active pad and (versus) the second one
+        const controllers = this.controllers;
+        
+        // Pads that were connected before the page loaded only show up once a button is pressed
+        // (and some browsers never fire gamepadconnected for them)
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        for (const pad of pads) {
+            if (pad && pad.connected && !controllers.connected.includes(pad.index)) {
+                this.onControllerConnected(pad);
+            }
+        }
+        
+        this.gamepad = this.getControllerSnapshot(controllers.activeIndex);
+        const secondIndex = controllers.connected.find(index => index !== controllers.activeIndex);
+        this.secondGamepad = secondIndex === undefined ? null : this.getControllerSnapshot(secondIndex);
+    }
+    
+    getControllerName(gamepad) {
+        // "DualSense Wireless Controller (STANDARD GAMEPAD Vendor: 054c ...)" -> "DUALSENSE WIRELESS CONTROLLER"
+        const name = gamepad.id.replace(/\s*\(.*$/, '').trim() || `CONTROLLER ${gamepad.index + 1}`;
+        return name.toUpperCase().slice(0, 28);
+    }
+    
+    onControllerConnected(gamepad) {
+        const controllers = this.controllers;
+        if (controllers.connected.includes(gamepad.index)) return;
+        
+        controllers.connected.push(gamepad.index);
+        if (controllers.activeIndex === null) {
+            controllers.activeIndex = gamepad.index;
+        }
+        this.latchPadActions(gamepad); // The press that woke the pad up doesn't count
+        
+        // Non-standard layouts get the standard defaults until the player binds their buttons
+        const known = gamepad.mapping === 'standard' || !!this.bindings.gamepads[gamepad.id];
+        const role = gamepad.index === controllers.activeIndex ? 'CONNECTED' : 'CONNECTED - PLAYER 2 IN VERSUS';
+        this.queueMessage(known ? `CONTROLLER ${role}` : 'UNKNOWN CONTROLLER - SET IT UP IN SETTINGS', 2000);
+        log(`🎮 Gamepad connected: ${gamepad.id} (index ${gamepad.index}, mapping "${gamepad.mapping}")`);
+        
+        if (this.settingsMenu.open) {
+            this.renderSettingsMenu();
+        }
+    }
+    
+    onControllerDisconnected(gamepad) {
+        const controllers = this.controllers;
+        const position = controllers.connected.indexOf(gamepad.index);
+        if (position === -1) return;
+        
+        controllers.connected.splice(position, 1);
+        const wasActive = controllers.activeIndex === gamepad.index;
+        const wasPlayer2 = !wasActive && this.gameMode === 'versus' && this.secondGamepad && this.secondGamepad.index === gamepad.index;
+        if (wasActive) {
+            // Next pad in line takes over (or nothing - keyboard and mouse still work)
+            controllers.activeIndex = controllers.connected.length > 0 ? controllers.connected[0] : null;
+            this.gamepad = this.getControllerSnapshot(controllers.activeIndex);
+        }
+        if (wasActive || wasPlayer2) {
+            this.secondGamepad = null; // Picked again on the next refresh
+        }
+        log(`🎮 Gamepad disconnected: ${gamepad.id} (index ${gamepad.index})`);
+        
+        // Losing a player's pad mid-rally would hand the point away - stop the game until they are back
+        const midRally = this.gameStarted && !this.isPaused && !this.matchResultsVisible && !this.replay.active &&
+            this.simulation.isRallyLive();
+        if ((wasActive || wasPlayer2) && midRally) {
+            this.togglePause();
+        }
+        this.queueMessage(wasActive || wasPlayer2 ? 'CONTROLLER DISCONNECTED' : 'CONTROLLER REMOVED', 2000);
+        
+        if (this.settingsMenu.open) {
+            this.renderSettingsMenu();
+        }
+    }
+    
+    cycleActiveController(direction) {
+        const controllers = this.controllers;
+        const count = controllers.connected.length;
+        if (count === 0) return;
+        
+        const position = Math.max(0, controllers.connected.indexOf(controllers.activeIndex));
+        controllers.activeIndex = controllers.connected[(position + direction + count) % count];
+        this.refreshControllers();
+        if (!this.gamepad) return;
+        
+        this.latchPadActions(this.gamepad); // Its held buttons were not meant for the game
+        this.settingsMenu.lastButtons = [true, true, true, true, true, true, true, true];
+        log(`🎮 Active controller: ${this.gamepad.id}`);
+    }
+    
+    getActiveControllerLabel() {
+        // "DUALSENSE WIRELESS CONTROLLER (1/2)" - the count only when there is a choice
+        const controllers = this.controllers;
+        if (!this.gamepad) return 'NONE';
+        
+        const count = controllers.connected.length;
+        const position = controllers.connected.indexOf(controllers.activeIndex) + 1;
+        return this.getControllerName(this.gamepad) + (count > 1 ? ` (${position}/${count})` : '');
+    }
+    
+    // ===== TOUCH & MOBILE LAYOUT =====
+    
+    getCameraPreset() {
+        // Taller than wide = portrait (phones held upright)
+        return window.innerWidth < window.innerHeight ? this.cameraPresets.portrait : this.cameraPresets.landscape;
+    }
+    
+    updateCameraFraming() {
+        const framing = this.getCameraPreset();
+        if (framing === this.cameraFraming) return;
+        
+        // updateDynamicCamera eases height and zoom over to the new preset during play
+        this.cameraFraming = framing;
+        this.cameraTarget.zoom = framing.zoom;
+        log(`📱 Camera framing: ${framing === this.cameraPresets.portrait ? 'portrait' : 'landscape'}`);
+    }
+    
+    setupTouchControls() {
+        // On-screen button bar (hidden by CSS until touch mode is on)
+        this.touch.element = document.getElementById('touchControls');
+        if (this.touch.element) {
+            this.touch.element.innerHTML = this.touchButtons.map(button =>
+                `<button data-action="${button.action}">${button.label}</button>`
+            ).join('');
+            this.touch.element.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (button) this.triggerAction(button.dataset.action);
+            });
+        }
+        
+        // Phones and tablets report a coarse pointer - start in touch mode there
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+            this.enableTouchControls();
+        }
+        
+        // Not passive: preventDefault stops the page scrolling / zooming and the emulated mouse events
+        this.listen(window, 'touchstart', (e) => this.onTouchStart(e), { passive: false });
+        this.listen(window, 'touchmove', (e) => this.onTouchMove(e), { passive: false });
+        this.listen(window, 'touchend', (e) => this.onTouchEnd(e));
+        this.listen(window, 'touchcancel', (e) => this.onTouchEnd(e));
+    }
+    
+    enableTouchControls() {
+        if (this.touch.enabled) return;
+        this.touch.enabled = true;
+        document.body.classList.add('touch');
+        this.domElements.ui.textContent = 'TAP TO START';
+        log('📱 Touch controls enabled');
+    }
+    
+    isTouchOnControl(target) {
+        // Buttons, menus and links keep their normal tap behaviour
+        return !!(target && target.closest && target.closest('button, a, input, #touchControls, #gameSetup, #pauseMenu, #settingsMenu, #matchResults, #replayControls'));
+    }
+    
+    onTouchStart(e) {
+        this.enableTouchControls();
+        if (this.isTouchOnControl(e.target)) return;
+        e.preventDefault();
+        
+        // The first finger down steers - extra fingers are ignored
+        if (this.touch.dragId !== null) return;
+        const point = e.changedTouches[0];
+        this.touch.dragId = point.identifier;
+        this.touch.lastX = point.clientX;
+        this.touch.startX = point.clientX;
+        this.touch.startY = point.clientY;
+        this.touch.startTime = performance.now();
+        this.touch.moved = false;
+    }
+    
+    onTouchMove(e) {
+        const point = this.findDragTouch(e);
+        if (!point) return;
+        e.preventDefault();
+        
+        const deltaX = point.clientX - this.touch.lastX;
+        this.touch.lastX = point.clientX;
+        if (Math.hypot(point.clientX - this.touch.startX, point.clientY - this.touch.startY) > this.touchTapDistance) {
+            this.touch.moved = true;
+        }
+        
+        if (this.isPaddleSteerable()) {
+            // Screen pixels -> arena units -> mouse units, so the simulation (and replays) see ordinary mouse input
+            const worldDeltaX = deltaX / window.innerWidth * ARENA.wallX * 2 * this.touchDragScale;
+            this.addPointerDelta(worldDeltaX / (this.mouseSensitivity * 1000));
+        }
+    }
+    
+    onTouchEnd(e) {
+        const point = this.findDragTouch(e);
+        if (!point) return;
+        this.touch.dragId = null;
+        
+        const isTap = !this.touch.moved && e.type === 'touchend' &&
+            performance.now() - this.touch.startTime < this.touchTapTime;
+        if (isTap) this.handleTouchTap();
+    }
+    
+    findDragTouch(e) {
+        if (this.touch.dragId === null) return null;
+        return Array.from(e.changedTouches).find(point => point.identifier === this.touch.dragId) || null;
+    }
+    
+    handleTouchTap() {
+        // Same as Space on the title screen and Escape in a match (the pause menu's own buttons handle the rest)
+        if (this.settingsMenu.open || this.replay.active || this.matchResultsVisible) return;
+        this.triggerAction(this.gameStarted ? 'pause' : 'start');
+    }
+    
+    // ===== CONTROL BINDINGS =====
+    
+    getInputAction(actionId) {
+        return this.inputActions.find(action => action.id === actionId);
+    }
+    
+    getDefaultBindings(device) {
+        // { actionId: [inputs] } straight from the action map
+        const bindings = {};
+        for (const action of this.inputActions) {
+            const inputs = device === 'keyboard' ? action.keys : action.pad;
+            bindings[action.id] = inputs.map(input => (typeof input === 'string' ? input : { ...input }));
+        }
+        return bindings;
+    }
+    
+    loadBindings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.bindingsStorageKey));
+        } catch (e) {
+            stored = null;
+        }
+        
+        const values = this.migrateProfile(stored, this.bindingsVersion, this.bindingsMigrations);
+        const gamepads = {};
+        if (values.gamepads && typeof values.gamepads === 'object') {
+            for (const id of Object.keys(values.gamepads)) {
+                gamepads[id] = this.sanitizeBindings(values.gamepads[id], 'gamepad');
+            }
+        }
+        this.bindings = { keyboard: this.sanitizeBindings(values.keyboard, 'keyboard'), gamepads: gamepads };
+        this.defaultPadBindings = this.getDefaultBindings('gamepad');
+        log(`🎮 Control bindings loaded (${Object.keys(gamepads).length} controller profiles)`);
+    }
+    
+    sanitizeBindings(stored, device) {
+        // Known actions only - an action added after the profile was saved keeps its defaults
+        const bindings = this.getDefaultBindings(device);
+        if (!stored || typeof stored !== 'object') return bindings;
+        
+        for (const id of Object.keys(bindings)) {
+            if (Array.isArray(stored[id])) {
+                bindings[id] = stored[id].filter(input => this.isValidBinding(input, device)).slice(0, this.maxBindingsPerAction);
+            }
+        }
+        return bindings;
+    }
+    
+    isValidBinding(input, device) {
+        if (device === 'keyboard') {
+            return typeof input === 'string' && input.length > 0;
+        }
+        if (!input || typeof input !== 'object') return false;
+        if (input.button !== undefined) {
+            return Number.isInteger(input.button) && input.button >= 0;
+        }
+        return Number.isInteger(input.axis) && input.axis >= 0 && (input.direction === 1 || input.direction === -1);
+    }
+    
+    saveBindings() {
+        try {
+            localStorage.setItem(this.bindingsStorageKey, JSON.stringify({
+                version: this.bindingsVersion,
+                values: this.bindings
+            }));
+        } catch (e) {
+            log('Could not save control bindings');
+        }
+    }
+    
+    getPadBindings(gamepad) {
+        // This controller model's own profile, or the standard-layout defaults
+        return this.bindings.gamepads[gamepad.id] || this.defaultPadBindings;
+    }
+    
+    getDeviceBindings(device, create) {
+        // Profile being edited - a controller gets its own copy of the defaults on its first change
+        if (device === 'keyboard') return this.bindings.keyboard;
+        if (!this.bindings.gamepads[this.gamepad.id] && create) {
+            this.bindings.gamepads[this.gamepad.id] = this.getDefaultBindings('gamepad');
+        }
+        return this.getPadBindings(this.gamepad);
+    }
+    
+    isSameBinding(a, b) {
+        if (typeof a === 'string' || typeof b === 'string') return a === b;
+        if (a.button !== undefined || b.button !== undefined) return a.button === b.button;
+        return a.axis === b.axis && a.direction === b.direction;
+    }
+    
+    actionsOverlap(a, b) {
+        // Could both fire from one press? P2 movement is allowed to reuse P1's keys (see captureTickInput)
+        if (a.shares === b.id || b.shares === a.id) return false;
+        return a.when === 'always' || b.when === 'always' || a.when === b.when;
+    }
+    
+    findBindingConflict(actionId, device, input) {
+        const action = this.getInputAction(actionId);
+        const bindings = this.getDeviceBindings(device, false);
+        return this.inputActions.find(other => other.id !== actionId &&
+            this.actionsOverlap(action, other) &&
+            bindings[other.id].some(bound => this.isSameBinding(bound, input))) || null;
+    }
+    
+    bindInput(actionId, device, input) {
+        const action = this.getInputAction(actionId);
+        const inputName = this.getBindingName(input, device === 'gamepad' ? this.gamepad : null);
+        const conflict = this.findBindingConflict(actionId, device, input);
+        if (conflict) {
+            this.settingsMenu.message = `${inputName} IS ALREADY BOUND TO ${conflict.name} - CLEAR IT THERE FIRST`;
+            log(`🎮 Binding conflict: ${inputName} is used by ${conflict.id}`);
+            return false;
+        }
+        
+        const inputs = this.getDeviceBindings(device, true)[actionId];
+        if (!inputs.some(bound => this.isSameBinding(bound, input))) {
+            inputs.push(input);
+            if (inputs.length > this.maxBindingsPerAction) {
+                inputs.shift(); // Oldest binding makes room
+            }
+        }
+        this.saveBindings();
+        this.settingsMenu.message = `${action.name}: ${inputName}`;
+        log(`🎮 ${actionId} bound to ${inputName} (${device})`);
+        return true;
+    }
+    
+    clearBindings(actionId, device) {
+        if (device === 'gamepad' && !this.gamepad) return;
+        
+        this.getDeviceBindings(device, true)[actionId] = [];
+        this.saveBindings();
+        this.settingsMenu.message = `${this.getInputAction(actionId).name}: ${device === 'keyboard' ? 'KEYS' : 'CONTROLLER'} CLEARED`;
+    }
+    
+    restoreDefaultBindings() {
+        // Keyboard plus the connected controller's profile (other controllers keep theirs)
+        this.bindings.keyboard = this.getDefaultBindings('keyboard');
+        if (this.gamepad) {
+            delete this.bindings.gamepads[this.gamepad.id];
+        }
+        this.saveBindings();
+        this.settingsMenu.message = 'DEFAULT CONTROLS RESTORED';
+        log('🎮 Control bindings restored to defaults');
+    }
+    
+    startBindingCapture(actionId) {
+        // The next key or controller input becomes the binding (the pad waits until it is idle first)
+        this.settingsMenu.capture = { action: actionId, armed: false, startedAt: performance.now() };
+        this.settingsMenu.message = '';
+    }
+    
+    captureBindingKey(key) {
+        const capture = this.settingsMenu.capture;
+        this.settingsMenu.capture = null;
+        if (key !== 'escape') {
+            this.bindInput(capture.action, 'keyboard', key);
+        }
+        this.renderSettingsMenu();
+    }
+    
+    captureBindingPad(gamepad) {
+        const menu = this.settingsMenu;
+        const capture = menu.capture;
+        
+        // Nothing within 5 seconds - give the pad back to the menu
+        if (performance.now() - capture.startedAt > 5000) {
+            menu.capture = null;
+            menu.message = 'NO INPUT - BINDING CANCELLED';
+            menu.lastButtons = [true, true, true, true, true, true, true, true];
+            this.renderSettingsMenu();
+            return;
+        }
+        
+        // Wait for the press that started the capture to be released; sticks count from where they rest
+        // (some pads report triggers as axes resting at -1)
+        const pressedButton = gamepad.buttons.findIndex(button => button && button.pressed);
+        if (!capture.armed) {
+            if (pressedButton === -1) {
+                capture.armed = true;
+                capture.restingAxes = gamepad.axes.slice();
+            }
+            return;
+        }
+        
+        let input = null;
+        if (pressedButton !== -1) {
+            input = { button: pressedButton };
+        } else {
+            const axis = gamepad.axes.findIndex((value, index) => Math.abs(value) > 0.6 && Math.abs(value - capture.restingAxes[index]) > 0.6);
+            if (axis !== -1) {
+                input = { axis: axis, direction: gamepad.axes[axis] > 0 ? 1 : -1 };
+            }
+        }
+        if (!input) return;
         
-        log('✅ Full game reset complete - continuing gameplay!');
+        menu.capture = null;
+        menu.lastButtons = [true, true, true, true, true, true, true, true]; // The bound button must not also navigate
+        this.bindInput(capture.action, 'gamepad', input);
+        this.renderSettingsMenu();
     }
     
-    superHardReset() {
-        log('💥 SUPER HARD RESET - Page reload!');
-        
-        // Play reset sound
-        this.playSound('menuSelect');
-        
-        // Hide pause menu first
-        this.domElements.pauseMenu.style.display = 'none';
+    getBindingName(input, gamepad) {
+        if (typeof input === 'string') {
+            return this.keyNames[input] || input.toUpperCase();
+        }
         
-        // Small delay to let the sound play and UI hide
-        setTimeout(() => {
-            // Super hard reset = page reload (guaranteed clean slate)
-            window.location.reload();
-        }, 200); // 200ms delay for smooth transition
+        // Standard-layout names only mean something on a standard pad
+        const standard = !gamepad || gamepad.mapping === 'standard';
+        if (input.button !== undefined) {
+            return (standard && this.padButtonNames[input.button]) || `BUTTON ${input.button}`;
+        }
+        const axisNames = standard && this.padAxisNames[input.axis];
+        return axisNames ? axisNames[input.direction < 0 ? 0 : 1] : `AXIS ${input.axis}${input.direction < 0 ? '-' : '+'}`;
     }
     
-    destroy() {
-        log('💥 Destroying game instance...');
-        
-        // Stop all animations and intervals
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+    getKeyActions(key) {
+        // Every action bound to this key - triggerAction() decides if it applies right now
+        return this.inputActions.filter(action => this.bindings.keyboard[action.id].includes(key)).map(action => action.id);
+    }
+    
+    isActionKeyHeld(actionId, excludedKeys = []) {
+        return this.bindings.keyboard[actionId].some(key => this.keys[key] && !excludedKeys.includes(key));
+    }
+    
+    getPadInputValue(gamepad, input) {
+        // 0..1 - buttons report their analog value (triggers), axes only count in their own direction
+        if (input.button !== undefined) {
+            const button = gamepad.buttons[input.button];
+            return button ? (button.value || (button.pressed ? 1 : 0)) : 0;
         }
-        
-        // Clear all timeouts and intervals
-        this.activeTimeouts.forEach(timeout => clearTimeout(timeout));
-        this.activeIntervals.forEach(interval => clearInterval(interval));
-        this.activeTimeouts = [];
-        this.activeIntervals = [];
-        
-        // Dispose of Three.js resources
-        if (this.renderer) {
-            this.renderer.dispose();
+        return Math.max(0, (gamepad.axes[input.axis] || 0) * input.direction);
+    }
+    
+    isPadInputDown(gamepad, input) {
+        if (input.button !== undefined) {
+            const button = gamepad.buttons[input.button];
+            return !!(button && button.pressed);
         }
+        return this.getPadInputValue(gamepad, input) > 0.5;
+    }
+    
+    getPadStickX(gamepad) {
+        // Paddle axis from whatever moveLeft / moveRight are bound to (left stick by default), shaped by CONTROL FEEL
+        const stick = this.getPadStick(gamepad);
+        return this.quantizeStick(this.shapeStickX(stick.x, stick.y));
+    }
+    
+    getPadStick(gamepad) {
+        // Raw paddle axis, plus the other axis of the same stick for the radial deadzone
+        const bindings = this.getPadBindings(gamepad);
+        const value = (actionId) => bindings[actionId].reduce((max, input) => Math.max(max, this.getPadInputValue(gamepad, input)), 0);
+        // The standard mapping pairs axes 0/1 (left stick) and 2/3 (right stick); buttons have no other axis
+        const axisInput = [...bindings.moveLeft, ...bindings.moveRight].find(input => input.axis !== undefined);
+        return {
+            x: value('moveRight') - value('moveLeft'),
+            y: axisInput ? gamepad.axes[axisInput.axis ^ 1] || 0 : 0
+        };
+    }
+    
+    shapeStickX(x, y = 0) {
+        // Deadzone -> response curve -> anti-deadzone, keeping the sign (-1..1 in and out)
+        const settings = this.settings;
+        const deadzone = settings.stickDeadzone;
+        // Axial looks at X alone; radial at the whole stick, so pushing straight up never leaks sideways
+        const magnitude = settings.stickDeadzoneShape === 'radial' ? Math.hypot(x, y) : Math.abs(x);
+        if (x === 0 || magnitude <= deadzone) return 0;
         
-        // Clear scene
-        if (this.scene) {
-            this.scene.clear();
+        // Rescale what is left of the throw to 0..1 (no jump at the deadzone edge), then take X's share of it
+        const amount = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) * Math.min(1, Math.abs(x) / magnitude);
+        const anti = settings.stickAntiDeadzone;
+        return Math.sign(x) * (anti + (1 - anti) * this.applyStickCurve(amount));
+    }
+    
+    applyStickCurve(amount) {
+        // 0..1 -> 0..1
+        const settings = this.settings;
+        if (settings.stickCurve === 'exponential') {
+            return Math.pow(amount, settings.stickCurveExponent);
         }
-        
-        // Dispose of geometries and materials
-        if (this.ballGeometry) this.ballGeometry.dispose();
-        if (this.trailGeometry) this.trailGeometry.dispose();
-        if (this.particleGeometry) this.particleGeometry.dispose();
-        
-        // Clear all references
-        this.balls = [];
-        this.trails = [];
-        this.impactParticles = [];
-        this.ballLights = [];
-        this.waveLights = [];
-        
-        log('✅ Game instance destroyed');
+        if (settings.stickCurve === 'custom') {
+            // Straight lines through the three custom points at 25% / 50% / 75% throw
+            const points = [0, settings.stickCurveLow, settings.stickCurveMid, settings.stickCurveHigh, 1];
+            const position = amount * 4;
+            const index = Math.min(3, Math.floor(position));
+            return points[index] + (points[index + 1] - points[index]) * (position - index);
+        }
+        return amount;
     }
     
-    updateScore() {
-        this.domElements.player1Score.textContent = this.score.player1;
-        this.domElements.player2Score.textContent = this.score.player2;
-        
-        // Show score on first score made (blink in)
-        if (!this.scoreShown && (this.score.player1 > 0 || this.score.player2 > 0)) {
-            const scoreElement = document.getElementById('score');
-            if (scoreElement) {
-                scoreElement.classList.add('visible');
-                this.scoreShown = true;
-            }
+    padActionPressed(gamepad, actionId) {
+        // Rising edge per controller + action (a held button fires once)
+        const latchKey = `${gamepad.index}:${actionId}`;
+        const down = this.getPadBindings(gamepad)[actionId].some(input => this.isPadInputDown(gamepad, input));
+        const pressed = down && !this.padActionLatch[latchKey];
+        this.padActionLatch[latchKey] = down;
+        return pressed;
+    }
+    
+    latchPadActions(gamepad) {
+        // Treat everything held right now as already handled
+        for (const action of this.inputActions) {
+            this.padActionPressed(gamepad, action.id);
         }
     }
     
-    updateCombo() {
-        // Show combo for every 2 hits
-        if (this.consecutiveHits % 2 === 0 && this.consecutiveHits > 0) {
-            this.currentCombo = this.consecutiveHits / 2;
-            this.domElements.combo.textContent = `${this.currentCombo}X COMBO`;
-            
-            log(`COMBO! ${this.currentCombo}X - consecutiveHits: ${this.consecutiveHits}`);
-            
-            // Remove and re-add class to retrigger animation
-            this.domElements.combo.classList.remove('active');
-            void this.domElements.combo.offsetWidth; // Force reflow
-            this.domElements.combo.classList.add('active');
-            
-            // Play combo sound
-            this.playSound('combo');
-            
-            // Hide after 2 seconds
-            setTimeout(() => {
-                this.domElements.combo.classList.remove('active');
-            }, 2000);
+    updatePadActions(gamepad) {
+        // Movement is read on the tick (captureTickInput) - everything else fires on press
+        for (const action of this.inputActions) {
+            if (action.when !== 'playing' && this.padActionPressed(gamepad, action.id)) {
+                this.triggerAction(action.id);
+                if (this.settingsMenu.open) {
+                    this.latchPadActions(gamepad); // The rest of this press belongs to the settings screen
+                    return;
+                }
+            }
         }
     }
     
-    resetCombo() {
-        this.consecutiveHits = 0;
-        this.currentCombo = 0;
-        this.domElements.combo.classList.remove('active');
-        if (this.comboTimeout) {
-            clearTimeout(this.comboTimeout);
-            this.comboTimeout = null;
+    triggerAction(actionId) {
+        // Keyboard and gamepad presses end up here - each action checks the state it applies in
+        switch (actionId) {
+            case 'start':
+                if (!this.gameStarted) this.startGame();
+                break;
+            case 'rematch':
+                if (this.matchResultsVisible) this.startRematch();
+                break;
+            case 'watchReplay':
+                if (this.matchResultsVisible) this.startReplay();
+                break;
+            case 'pause':
+                this.togglePause();
+                break;
+            case 'superReset':
+                if (this.isPaused) this.superHardReset();
+                break;
+            case 'settings':
+                if (!this.gameStarted || this.isPaused) this.openSettingsMenu();
+                break;
+            case 'previousTrack':
+                this.changeTrack(-1);
+                break;
+            case 'nextTrack':
+                this.changeTrack(1);
+                break;
+            case 'performanceMode':
+                this.setSetting('performanceMode', !this.settings.performanceMode);
+                break;
+            case 'fpsCounter':
+                this.setSetting('showFPS', !this.settings.showFPS);
+                break;
+            case 'crtEffect':
+                this.setSetting('crtEffect', !this.settings.crtEffect);
+                break;
+            case 'fullscreen':
+                this.toggleFullscreen();
+                break;
         }
     }
     
-    resetComboTimeout() {
-        // Clear existing timeout
-        if (this.comboTimeout) {
-            clearTimeout(this.comboTimeout);
+    updateCombo(combo) {
+        // The simulation reached a new combo level (every 2 returns)
+        this.domElements.combo.textContent = `${combo}X COMBO`;
+        
+        log(`COMBO! ${combo}X - consecutiveHits: ${this.simulation.consecutiveHits}`);
+        
+        // Remove and re-add class to retrigger animation
+        this.domElements.combo.classList.remove('active');
+        void this.domElements.combo.offsetWidth; // Force reflow
+        this.domElements.combo.classList.add('active');
+        
+        // Play combo sound
+        this.playSound('combo');
+        
+        // Time Attack: combo level is the score multiplier
+        if (this.gameMode === 'timeAttack') {
+            this.timeAttack.multiplier = Math.max(1, combo);
+            this.timeAttack.bestCombo = Math.max(this.timeAttack.bestCombo, combo);
+            this.updateMatchInfo();
         }
         
-        // Reset combo after 3 seconds of no player hits
-        this.comboTimeout = setTimeout(() => {
-            this.resetCombo();
-        }, 3000);
+        // Hide after 2 seconds
+        setTimeout(() => {
+            this.domElements.combo.classList.remove('active');
+        }, 2000);
+    }
+    
+    resetCombo() {
+        // Combo broken (goal against or 10s without a return)
+        this.timeAttack.multiplier = 1;
+        this.domElements.combo.classList.remove('active');
     }
     
     updateGoals(deltaTime) {
@@ -7897,10 +9648,6 @@ class TronPong {
                 this.goalBlinkTarget.material.uniforms.emissiveIntensity.value = 8.0 - (fadeProgress * (8.0 - 7.8125)); // Fade from 8.0 to 7.8125
             }
         } else if (this.goalBlinkTimer <= 0 && this.goalBlinkTarget) {
-            // Timer expired - restore normal speed
-            this.timeScale = 1.0;
-            log('🚀 Speed restored to normal (timer expired)');
-            
             // Don't hard reset - let the fade complete naturally
             // The fade should have already reached neutral values
             
@@ -7988,10 +9735,6 @@ class TronPong {
         this.overheadLight.color.setHex(0xff6600);
         this.overheadLight2.color.setHex(0xff6600);
         
-        // SLOW MOTION on win!
-        this.timeScale = 0.3; // Slow down to 30% speed
-        log('🐌 Slow motion activated on win');
-        
         // Start fast blink animation!
         this.goalBlinkTimer = 2.5; // Blink for 2.5 seconds
         this.goalBlinkTarget = goal; // Track which goal is blinking
@@ -8001,16 +9744,8 @@ class TronPong {
         // this.subtleGoalZoom.active = true;
         // this.subtleGoalZoom.targetZoom = 3; // Move forward 3 units
         
-        // Play repeating alarm sound!
-        if (this.sounds.goalAlarm) {
-            this.sounds.goalAlarm.currentTime = 0;
-            this.sounds.goalAlarm.play().catch(e => log('Could not play goal alarm'));
-        }
-        
-        // Ensure music volume stays constant during celebrations
-        if (this.sounds.music) {
-            this.sounds.music.volume = 0.67;
-        }
+        // Play the goal alarm (once)
+        this.playSound('goalAlarm');
         
         // Start fade after celebration (2 seconds)
         // Fade happens over 0.8 seconds for smooth transition
@@ -8052,10 +9787,6 @@ class TronPong {
                     this.overheadLight.color.setHex(0xff6600);
                     this.overheadLight2.color.setHex(0xff6600);
             
-            // Return to normal speed
-            this.timeScale = 1.0;
-            log('🚀 Speed restored to normal');
-            
             // Stop blinking
             this.goalBlinkTimer = 0;
             this.goalBlinkTarget = null;
@@ -8065,10 +9796,7 @@ class TronPong {
             this.subtleGoalZoom.targetZoom = 0;
             
             // Stop alarm sound!
-            if (this.sounds.goalAlarm) {
-                this.sounds.goalAlarm.pause();
-                this.sounds.goalAlarm.currentTime = 0;
-            }
+            this.stopSound('goalAlarm');
                 }
             }, fadeInterval);
             
@@ -8079,35 +9807,23 @@ class TronPong {
     }
     
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.animationId = requestAnimationFrame(() => this.animate());
         
         const deltaTime = this.clock.getDelta();
         
-        // Debug timeScale removed for performance
-        
-        // NUCLEAR OPTION: Force timeScale to 1.0 at the start of every frame during normal gameplay
-        if (this.gameStarted && !this.isPaused) {
-            // Only allow slow motion during VERY specific, active effects
-            const allowSlowMotion = (this.goalBlinkTimer > 0 && this.goalBlinkTarget) || 
-                                   (this.multiBallZoom.active);
-            
-            // Force normal speed after celebration ends
-            if (this.isCelebrating === false && this.timeScale !== 1.0) {
-                this.timeScale = 1.0;
-                log('🚀 Speed forced to normal after celebration ended');
-            }
-            
-            if (!allowSlowMotion && this.timeScale !== 1.0) {
-                this.timeScale = 1.0;
-                log('🚀 NUCLEAR: timeScale forced to 1.0 - was:', this.timeScale);
-            }
+        // Settings > CONTROL FEEL input visualizer (title screen or pause menu)
+        if (this.settingsMenu.open && this.settingsMenu.page === 'feel') {
+            this.updateInputVisualizer(deltaTime);
         }
         
+        // Power-up HUD countdown bars + SHIELD barriers (the HUD hides itself off the playing field)
+        this.updatePowerUps(deltaTime);
+        
         // Start menu camera (before game starts)
         if (!this.gameStarted) {
             this.updateStartMenuCamera(deltaTime);
             this.updateStartMenuGamepad(); // Check for gamepad start button
-            this.updatePlayerPaddle(); // Allow paddle movement and tilt during menu
+            this.runFixedSteps(deltaTime); // Allow paddle movement and tilt during menu
             // Skip other game logic before game starts
         } else if (this.isPaused) {
             // Pause menu - spinning camera + skip game logic
@@ -8118,11 +9834,20 @@ class TronPong {
             this._frameSkipCounter = (this._frameSkipCounter || 0) + 1;
             
             // Critical systems - update every frame
-            this.updateGamepad();
-            this.updatePlayerPaddle();
-            this.updateAIPaddle();
-            this.updateBall();
-            this.updateDynamicCamera();
+            this.updateGamepad(); // Buttons (pause, tracks...) - stick movement happens on the tick
+            
+            // Gameplay simulation - fixed 60Hz ticks, independent of refresh rate
+            if (this.replay.active) {
+                this.updateReplay(deltaTime);
+            } else {
+                this.runFixedSteps(deltaTime);
+            }
+            
+            if (this.replay.active && this.replay.freeCamera) {
+                this.updatePauseCamera(deltaTime);
+            } else {
+                this.updateDynamicCamera();
+            }
             this.updateCameraShake();
         this.updateCameraDriftCorrection();
         this.updateUndergroundLightFadeIn();
@@ -8146,7 +9871,6 @@ class TronPong {
             if (this._frameSkipCounter % skipFrequency === 0) {
                 this.updateAnimatedLights();
                 this.updatePaddleBlinks(deltaTime);
-                this.updateBonusEffect(deltaTime);
                 this.updateLensFlare(deltaTime); // Lens flare fade
                 this.updateChromaticAberrationAnimation(); // Chromatic aberration animation
                 this.updateWallWaveAnimation(deltaTime); // Wall wave animation
@@ -8155,9 +9879,7 @@ class TronPong {
                 this.updateParticles();
                 this.updateParticleOpacity(deltaTime); // Dynamic particle opacity system
                 this.updateItemHighlightParticles(deltaTime); // Item highlight particle system
-                this.updateStuckBallRecovery(deltaTime); // Stuck ball detection and recovery
                 this.updateFloorGlow();
-                this.updateObstacles();
             }
         
         // Impact effects can stay every frame (lightweight)
@@ -8166,6 +9888,10 @@ class TronPong {
         // PERIODIC RESET DISABLED - only reset after win/death to avoid breaking gameplay
         }
         
+        // Adaptive music layers follow the rally (and fade out on the title screen / pause menu)
+        this.updateAdaptiveMusic(deltaTime);
+        this.updateBeatSync(deltaTime); // After every light / particle update - the pulse goes on top
+        
         // Always update goals (even during start menu for animation)
         this.updateGoals(deltaTime);
         
@@ -8180,17 +9906,6 @@ class TronPong {
         // Cleanup math cache periodically
         this.cleanupMathCache();
         
-        // FINAL NUCLEAR OPTION: Force timeScale to 1.0 right before rendering
-        // This is the absolute last chance to override any lingering slow motion
-        if (this.gameStarted && !this.isPaused) {
-            const allowSlowMotion = (this.goalBlinkTimer > 0 && this.goalBlinkTarget) || 
-                                   (this.multiBallZoom.active);
-            
-            if (!allowSlowMotion && this.timeScale !== 1.0) {
-                this.timeScale = 1.0;
-            }
-        }
-        
         // SAFETY CHECK: Ensure overhead lights are always orange during normal gameplay (TEMPORARILY DISABLED FOR DEBUGGING)
         // if (this.gameStarted && !this.isPaused && this.overheadLight && this.overheadLight2) {
         //     // Only check every 60 frames to avoid performance impact
@@ -8220,6 +9935,12 @@ class TronPong {
         //     }
         // }
         
+        // Draw balls/paddles between the last two simulation ticks (restored after rendering)
+        const interpolate = this.gameStarted && !this.isPaused;
+        if (interpolate) {
+            this.applyRenderInterpolation();
+        }
+        
         // Optimized rendering pipeline with performance mode support
         if (this.performanceMode) {
             // Performance mode: simplified pipeline
@@ -8284,6 +10005,515 @@ class TronPong {
             }
             
         }
+        
+        if (interpolate) {
+            this.restoreSimulationPositions();
+        }
+    }
+    
+    // ===== FIXED-TIMESTEP SIMULATION =====
+    
+    runFixedSteps(frameDelta, maxSteps = this.fixedStep.maxStepsPerFrame) {
+        const step = this.fixedStep;
+        step.accumulator += Math.min(frameDelta, step.maxFrameDelta);
+        
+        let steps = 0;
+        while (step.accumulator >= step.dt && steps < maxSteps) {
+            this.storePreviousPositions();
+            this.stepSimulation(step.dt);
+            step.accumulator -= step.dt;
+            steps++;
+        }
+        
+        // Still behind after the max - drop the backlog (slow device) instead of spiralling
+        if (steps === maxSteps) {
+            step.accumulator = Math.min(step.accumulator, step.dt);
+        }
+        
+        step.alpha = step.accumulator / step.dt;
+    }
+    
+    stepSimulation(dt) {
+        // One 60Hz gameplay tick - the simulation moves balls/paddles and decides the game, the rest follows it
+        const simulation = this.simulation;
+        const previousX = simulation.paddles.player1.x;
+        
+        if (!this.gameStarted) {
+            // Title screen: paddle moves and tilts (keys and mouse only)
+            const input = this.captureTickInput();
+            this.syncSimulationSettings(); // Keyboard ramps apply here too
+            simulation.movePlayerPaddle({ ...input, stickX: 0 });
+            this.updateCameraTilt(input, previousX);
+            this.syncSimulation();
+            return;
+        }
+        
+        // Live input (recorded) or the replay log's snapshot for this tick
+        const input = this.nextTickInput();
+        const wasFrozen = simulation.frozen;
+        this.syncSimulationSettings();
+        simulation.step(input);
+        if (!wasFrozen) {
+            this.updateCameraTilt(input, previousX);
+        }
+        this.syncSimulation();
+        
+        this.updateMatchClock(dt);
+        this.updateAdaptiveDifficulty(dt);
+    }
+    
+    syncSimulationSettings() {
+        // Player-facing settings and the (adaptive) AI tuning, handed over before every tick
+        const simulation = this.simulation;
+        Object.assign(simulation, this.getPaddleTuning());
+        Object.assign(simulation.ai, this.getAITuning());
+        simulation.ai.strategy = this.aiStrategy;
+    }
+    
+    syncSimulation() {
+        // Meshes take the positions the simulation just produced
+        const simulation = this.simulation;
+        this.paddle1.position.x = simulation.paddles.player1.x;
+        this.paddle1.position.z = simulation.paddles.player1.z;
+        this.paddle2.position.x = simulation.paddles.player2.x;
+        this.paddle2.position.z = simulation.paddles.player2.z;
+        
+        // GIANT BALL grows every ball, CLOAK hides the cloaked side's balls through midfield
+        const ballScale = simulation.getBallRadius() / ARENA.ballRadius;
+        for (let i = 0; i < this.balls.length; i++) {
+            const position = simulation.balls[i].position;
+            this.balls[i].position.set(position.x, position.y, position.z);
+            this.balls[i].scale.setScalar(ballScale);
+            this.balls[i].visible = !simulation.isBallCloaked(simulation.balls[i]);
+        }
+        
+        if (simulation.isRallyLive()) {
+            // Update trail every tick (keep smooth for gameplay)
+            this.updateTrail();
+        }
+        
+        // Update ball lights to follow their respective balls
+        for (let i = 0; i < this.balls.length && i < this.ballLights.length; i++) {
+            if (this.ballLights[i]) {
+                // Ensure light is in scene and has proper intensity
+                if (!this.scene.children.includes(this.ballLights[i])) {
+                    this.scene.add(this.ballLights[i]);
+                    log(`💡 Re-added missing ball light ${i} to scene during update`);
+                }
+                if (this.ballLights[i].intensity === 0) {
+                    this.ballLights[i].intensity = 0.15;
+                    log(`💡 Restored ball light ${i} intensity during update`);
+                }
+                this.ballLights[i].position.copy(this.balls[i].position);
+                this.ballLights[i].position.y += 2;
+                this.ballLights[i].visible = this.balls[i].visible;
+            }
+        }
+        
+        this.updatePaddleWidths();
+        this.updateObstacleMesh();
+    }
+    
+    // ===== TICK INPUT =====
+    
+    captureTickInput() {
+        // Everything the paddles read this tick, as plain data (recorded for replays)
+        const versus = this.gameMode === 'versus';
+        const secondGamepad = versus ? this.secondGamepad : null;
+        // In versus P2's keys (the arrows by default) stop moving P1
+        const player2Keys = versus ? [...this.bindings.keyboard.p2MoveLeft, ...this.bindings.keyboard.p2MoveRight] : [];
+        const input = {
+            left: this.isActionKeyHeld('moveLeft', player2Keys),
+            right: this.isActionKeyHeld('moveRight', player2Keys),
+            mouseX: this.pendingMouseDeltaX,
+            stickX: this.gamepad ? this.getPadStickX(this.gamepad) : 0,
+            p2Left: versus && this.isActionKeyHeld('p2MoveLeft'),
+            p2Right: versus && this.isActionKeyHeld('p2MoveRight'),
+            p2StickX: secondGamepad ? this.getPadStickX(secondGamepad) : 0
+        };
+        this.pendingMouseDeltaX = 0;
+        return input;
+    }
+    
+    quantizeStick(value) {
+        // Thousandths are plenty for a stick and keep idle runs in the replay log identical
+        return Math.round((value || 0) * 1000) / 1000;
+    }
+    
+    nextTickInput() {
+        if (this.replay.active) {
+            this.applyReplaySettingsChanges(this.simulation.tick);
+            return this.replay.inputs[this.simulation.tick] || this.getIdleTickInput();
+        }
+        
+        const input = this.captureTickInput();
+        if (this.replay.recording && !this.match.over) {
+            this.recordTickInput(input);
+        }
+        return input;
+    }
+    
+    getIdleTickInput() {
+        return { left: false, right: false, mouseX: 0, stickX: 0, p2Left: false, p2Right: false, p2StickX: 0 };
+    }
+    
+    // ===== REPLAY =====
+    
+    createReplayRecording() {
+        // Called once the match is seeded - everything else is re-derived from the inputs
+        return {
+            version: 1,
+            seed: this.simulation.seed,
+            settings: this.getReplaySettings(),
+            start: { paddle1X: this.simulation.paddles.player1.x, paddle2X: this.simulation.paddles.player2.x },
+            tickCount: 0,
+            inputs: [], // Runs of identical ticks: [count, flags, mouseX, stickX, p2StickX]
+            settingsChanges: [] // Paddle tuning changed from the pause menu: { tick, ...getPaddleTuning() }
+        };
+    }
+    
+    getPaddleTuning() {
+        // The player settings the simulation reads every tick (stick shaping is baked into the recorded input)
+        return {
+            paddleSpeed: this.paddleSpeed,
+            mouseSensitivity: this.mouseSensitivity,
+            keyAccelerationTime: this.keyAccelerationTime,
+            keyDecelerationTime: this.keyDecelerationTime
+        };
+    }
+    
+    setPaddleTuning(tuning) {
+        this.paddleSpeed = tuning.paddleSpeed;
+        this.mouseSensitivity = tuning.mouseSensitivity;
+        // Replays recorded before the keyboard ramps existed play back without them
+        this.keyAccelerationTime = tuning.keyAccelerationTime || 0;
+        this.keyDecelerationTime = tuning.keyDecelerationTime || 0;
+    }
+    
+    recordSettingsChange() {
+        // The paddles read these every tick, so the replay has to switch at the same tick
+        const recording = this.replay.recording;
+        if (!recording || this.match.over) return;
+        
+        const changes = recording.settingsChanges;
+        const current = changes.length > 0 ? changes[changes.length - 1] : recording.settings;
+        const tuning = this.getPaddleTuning();
+        if (Object.keys(tuning).every(key => current[key] === tuning[key])) return;
+        
+        const change = { tick: recording.tickCount, ...tuning };
+        if (changes.length > 0 && current.tick === change.tick) {
+            changes[changes.length - 1] = change; // Several edits in one pause - only the last one counts
+        } else {
+            changes.push(change);
+        }
+    }
+    
+    applyReplaySettingsChanges(tick) {
+        for (const change of this.replay.log.settingsChanges) {
+            if (change.tick === tick) {
+                this.setPaddleTuning(change);
+            }
+        }
+    }
+    
+    recordTickInput(input) {
+        const recording = this.replay.recording;
+        const flags = (input.left ? 1 : 0) | (input.right ? 2 : 0) | (input.p2Left ? 4 : 0) | (input.p2Right ? 8 : 0);
+        const last = recording.inputs[recording.inputs.length - 1];
+        
+        // Most ticks repeat the previous one (idle, key held, stick parked) - extend the run
+        if (last && last[1] === flags && last[2] === input.mouseX && last[3] === input.stickX && last[4] === input.p2StickX) {
+            last[0]++;
+        } else {
+            recording.inputs.push([1, flags, input.mouseX, input.stickX, input.p2StickX]);
+        }
+        recording.tickCount++;
+    }
+    
+    expandReplayInputs(replayLog) {
+        // One snapshot per tick, indexed by simulationTick
+        const inputs = [];
+        for (const [count, flags, mouseX, stickX, p2StickX] of replayLog.inputs) {
+            const input = {
+                left: (flags & 1) !== 0,
+                right: (flags & 2) !== 0,
+                mouseX: mouseX,
+                stickX: stickX,
+                p2Left: (flags & 4) !== 0,
+                p2Right: (flags & 8) !== 0,
+                p2StickX: p2StickX
+            };
+            for (let n = 0; n < count; n++) {
+                inputs.push(input);
+            }
+        }
+        return inputs;
+    }
+    
+    getReplaySettings() {
+        // Everything picked on the title screen (or by URL) that the simulation reads
+        return {
+            gameMode: this.gameMode,
+            matchRules: { ...this.matchRules },
+            matchRulesIndex: this.matchRulesIndex,
+            aiPresetIndex: this.aiPresetIndex,
+            aiStyleIndex: this.aiStyleIndex,
+            adaptive: this.adaptiveAI.enabled,
+            ...this.getPaddleTuning()
+        };
+    }
+    
+    applyReplaySettings(settings) {
+        this.gameModeIndex = Math.max(0, this.gameModes.findIndex(mode => mode.id === settings.gameMode));
+        this.gameMode = this.gameModes[this.gameModeIndex].id;
+        this.matchRulesIndex = settings.matchRulesIndex;
+        this.matchRules = settings.matchRules;
+        this.aiPresetIndex = settings.aiPresetIndex;
+        this.aiStyleIndex = settings.aiStyleIndex;
+        this.adaptiveAI.enabled = settings.adaptive;
+        this.applyAIPreset();
+        this.setPaddleTuning(settings);
+    }
+    
+    startReplay() {
+        const replay = this.replay;
+        if (!this.matchResultsVisible || !replay.lastLog) return;
+        
+        log(`📼 Replay started - seed ${replay.lastLog.seed}, ${replay.lastLog.tickCount} ticks`);
+        this.domElements.matchResults.style.display = 'none';
+        this.matchResultsVisible = false;
+        
+        replay.active = true;
+        replay.log = replay.lastLog;
+        replay.inputs = this.expandReplayInputs(replay.log);
+        replay.playing = true;
+        replay.speedIndex = replay.speeds.indexOf(1);
+        replay.seekTarget = null;
+        replay.liveSettings = this.getReplaySettings();
+        replay.savedOrbit = { radius: this.pauseCamera.radius, height: this.pauseCamera.height };
+        
+        this.applyReplaySettings(replay.log.settings);
+        this.restartReplay();
+        this.setReplayFreeCamera(replay.freeCamera);
+        this.domElements.replayControls.classList.add('visible');
+        this.updateReplayControls();
+    }
+    
+    restartReplay() {
+        // Back to tick 0: same settings, same seed, same paddle spots - the inputs do the rest
+        const replayLog = this.replay.log;
+        this.setPaddleTuning(replayLog.settings); // Undo any mid-match settings change
+        this.clearMatchPresentation();
+        this.simulation.paddles.player1.x = replayLog.start.paddle1X;
+        this.simulation.paddles.player2.x = replayLog.start.paddle2X;
+        this.prepareMatchStart(replayLog.seed);
+    }
+    
+    exitReplay() {
+        const replay = this.replay;
+        if (!replay.active) return;
+        
+        log('📼 Replay closed');
+        replay.active = false;
+        replay.seekTarget = null;
+        replay.dragging = false;
+        this.domElements.replayControls.classList.remove('visible');
+        
+        // Leave the field as the live match ended it
+        this.simulation.clearTimers();
+        this.clearMatchPresentation();
+        this.simulation.removeBonusCube();
+        this.removeBonusCube();
+        this.simulation.clearObstacle();
+        this.applyReplaySettings(replay.liveSettings);
+        replay.liveSettings = null;
+        this.pauseCamera.active = false;
+        this.pauseCamera.radius = replay.savedOrbit.radius;
+        this.pauseCamera.height = replay.savedOrbit.height;
+        
+        this.match.over = true;
+        this.simulation.over = true;
+        Object.assign(this.simulation.score, replay.log.finalScore);
+        this.updateScore();
+        this.updateScoreLabels();
+        this.showMatchResults(replay.resultsContent);
+    }
+    
+    updateReplay(deltaTime) {
+        const replay = this.replay;
+        const endTick = replay.log.tickCount;
+        
+        // Scrubbing: fast-forward to the target tick a chunk per frame
+        if (replay.seekTarget !== null) {
+            let steps = 0;
+            while (this.simulation.tick < replay.seekTarget && steps < replay.seekTicksPerFrame) {
+                this.storePreviousPositions();
+                this.stepSimulation(this.fixedStep.dt);
+                steps++;
+            }
+            if (this.simulation.tick >= replay.seekTarget) {
+                replay.seekTarget = null;
+            }
+        }
+        
+        if (this.simulation.tick >= endTick) {
+            replay.playing = false;
+        }
+        
+        // Playback speed through timeScale (0 while paused or seeking)
+        this.timeScale = replay.playing && replay.seekTarget === null ? replay.speeds[replay.speedIndex] : 0;
+        const maxSteps = Math.ceil(this.fixedStep.maxStepsPerFrame * Math.max(1, this.timeScale));
+        this.runFixedSteps(deltaTime * this.timeScale, Math.min(maxSteps, endTick - this.simulation.tick));
+        
+        this.updateReplayControls();
+    }
+    
+    seekReplay(tick) {
+        const target = Math.max(0, Math.min(this.replay.log.tickCount, Math.round(tick)));
+        
+        // The simulation only runs forwards - going back means replaying from the start
+        if (target < this.simulation.tick) {
+            this.restartReplay();
+        }
+        this.replay.seekTarget = target;
+    }
+    
+    toggleReplayPlayback() {
+        const replay = this.replay;
+        
+        // Play at the end starts over
+        if (!replay.playing && this.simulation.tick >= replay.log.tickCount) {
+            this.seekReplay(0);
+        }
+        replay.playing = !replay.playing;
+        this.updateReplayControls();
+    }
+    
+    changeReplaySpeed(direction) {
+        const replay = this.replay;
+        const count = replay.speeds.length;
+        replay.speedIndex = (replay.speedIndex + direction + count) % count;
+        log(`📼 Replay speed: ${replay.speeds[replay.speedIndex]}x`);
+        this.updateReplayControls();
+    }
+    
+    setReplayFreeCamera(enabled) {
+        // Free camera reuses the pause menu orbit - drag to rotate, wheel to zoom
+        this.replay.freeCamera = enabled;
+        this.pauseCamera.active = enabled;
+        if (enabled) {
+            this.pauseCamera.angle = 0;
+            this.pauseCamera.startAngle = Math.atan2(this.camera.position.z, this.camera.position.x);
+        } else {
+            // Back behind player 1 - the gameplay camera eases in from here
+            this.camera.position.set(0, this.cameraFraming.height, this.cameraFraming.zoom);
+            this.camera.lookAt(0, -4, 0);
+        }
+        this.updateReplayControls();
+    }
+    
+    handleReplayKey(key) {
+        // Returns true when the viewer used the key
+        const fiveSeconds = Math.round(5 / this.fixedStep.dt);
+        const currentTick = this.replay.seekTarget !== null ? this.replay.seekTarget : this.simulation.tick;
+        switch (key) {
+            case ' ':
+                this.toggleReplayPlayback();
+                return true;
+            case 'arrowleft':
+                this.seekReplay(currentTick - fiveSeconds);
+                return true;
+            case 'arrowright':
+                this.seekReplay(currentTick + fiveSeconds);
+                return true;
+            case 'arrowup':
+                this.changeReplaySpeed(1);
+                return true;
+            case 'arrowdown':
+                this.changeReplaySpeed(-1);
+                return true;
+            case 'o':
+                this.setReplayFreeCamera(!this.replay.freeCamera);
+                return true;
+            case 'escape':
+                this.exitReplay();
+                return true;
+        }
+        return false;
+    }
+    
+    updateReplayGamepad() {
+        // A: play/pause, B: exit, L1/R1: slower/faster, Triangle: camera
+        if (!this.gamepad) return;
+        
+        const actions = {
+            0: () => this.toggleReplayPlayback(),
+            1: () => this.exitReplay(),
+            3: () => this.setReplayFreeCamera(!this.replay.freeCamera),
+            4: () => this.changeReplaySpeed(-1),
+            5: () => this.changeReplaySpeed(1)
+        };
+        const lastButtons = this.replay.lastGamepadButtons;
+        for (const index of Object.keys(actions)) {
+            const button = this.gamepad.buttons[index];
+            const pressed = !!(button && button.pressed);
+            if (pressed && !lastButtons[index]) {
+                actions[index]();
+            }
+            lastButtons[index] = pressed;
+        }
+    }
+    
+    updateReplayControls() {
+        const replay = this.replay;
+        if (!replay.active) return;
+        
+        const dt = this.fixedStep.dt;
+        const shownTick = replay.seekTarget !== null ? replay.seekTarget : this.simulation.tick;
+        const scrubber = this.domElements.replayScrubber;
+        scrubber.max = replay.log.tickCount;
+        scrubber.value = shownTick;
+        this.domElements.replayTime.textContent = `${this.formatMatchTime(shownTick * dt)} / ${this.formatMatchTime(replay.log.tickCount * dt)}`;
+        this.domElements.replayPlayButton.textContent = replay.playing ? 'PAUSE' : 'PLAY';
+        this.domElements.replaySpeedButton.textContent = `${replay.speeds[replay.speedIndex]}X`;
+        this.domElements.replayCameraButton.textContent = replay.freeCamera ? 'FREE CAM' : 'GAME CAM';
+    }
+    
+    storePreviousPositions() {
+        const objects = [this.paddle1, this.paddle2, ...this.balls];
+        for (const object of objects) {
+            if (!object.userData.previousPosition) {
+                object.userData.previousPosition = { x: 0, z: 0 };
+            }
+            object.userData.previousPosition.x = object.position.x;
+            object.userData.previousPosition.z = object.position.z;
+        }
+    }
+    
+    applyRenderInterpolation() {
+        const alpha = this.fixedStep.alpha;
+        const objects = [this.paddle1, this.paddle2, ...this.balls];
+        for (const object of objects) {
+            const previous = object.userData.previousPosition;
+            if (!previous) continue; // Spawned since the last tick
+            
+            object.userData.simulationX = object.position.x;
+            object.userData.simulationZ = object.position.z;
+            object.position.x = previous.x + (object.position.x - previous.x) * alpha;
+            object.position.z = previous.z + (object.position.z - previous.z) * alpha;
+        }
+    }
+    
+    restoreSimulationPositions() {
+        const objects = [this.paddle1, this.paddle2, ...this.balls];
+        for (const object of objects) {
+            if (object.userData.simulationX === undefined) continue;
+            
+            object.position.x = object.userData.simulationX;
+            object.position.z = object.userData.simulationZ;
+            object.userData.simulationX = undefined;
+            object.userData.simulationZ = undefined;
+        }
     }
 }
 
@@ -0,0 +1,1304 @@
+// GridZone simulation core - the game rules as plain data, with no Three.js, DOM or audio.
+// The browser loads this before script.js and TronPong renders it (meshes, effects, sounds and UI
+// all hang off the events below). Node can require() it and step whole matches headless.
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🎲 SEEDED RANDOM
+// ═══════════════════════════════════════════════════════════════════════
+// Mulberry32 - tiny, fast and the same sequence for the same seed in every browser.
+// Everything that can change the outcome of a match (bounce jitter, AI error, obstacle
+// and bonus placement) draws from the simulation's seeded stream, so a seed plus the inputs
+// reproduces a match. Purely cosmetic effects (particles, camera shake) keep Math.random().
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🤖 AI OPPONENT STRATEGIES
+// ═══════════════════════════════════════════════════════════════════════
+// A strategy decides WHERE paddle2 wants to be: chooseTarget(context) -> target x.
+// How fast it gets there, how sloppy it is and how late it reacts comes from the
+// difficulty preset (aiSpeed / aiDifficulty / aiReactionDelay), not the strategy.
+// context: { ballX, ballZ, velocityX, velocityZ, paddleX, paddleZ, paddleFaceZ, halfWidth, opponentX, wallX, cube }
+// (paddleFaceZ is where the ball's center meets paddle2's face - the z to project interceptions to)
+
+// Where will the ball cross targetZ? Folds the straight-line path back into the arena for wall bounces
+function projectBallX(context, targetZ) {
+    if (context.velocityZ === 0) return context.ballX;
+
+    const time = (targetZ - context.ballZ) / context.velocityZ;
+    if (time <= 0) return context.ballX;
+
+    const wall = context.wallX;
+    const span = wall * 4; // Out to one wall, back across, out to the other and back
+    let x = (context.ballX + context.velocityX * time + wall) % span;
+    if (x < 0) x += span;
+    if (x > wall * 2) x = span - x;
+    return x - wall;
+}
+
+// Paddle x that returns the ball through the bonus cube, or null when there's no cube or the angle
+// is out of reach. A hit adds (ballX - paddleX) * 0.1 to the x velocity (handlePaddle2Hit), so meeting
+// the ball off-center by the right amount points the return straight at the cube
+function routeThroughCube(context, intercept) {
+    const cube = context.cube;
+    if (!cube || context.velocityZ >= 0) return null;
+
+    // Incoming x velocity at the paddle face - flipped by an odd number of wall bounces on the way
+    const time = (context.paddleFaceZ - context.ballZ) / context.velocityZ;
+    const wall = context.wallX;
+    let unfolded = (context.ballX + context.velocityX * time + wall) % (wall * 4);
+    if (unfolded < 0) unfolded += wall * 4;
+    const incomingX = unfolded > wall * 2 ? -context.velocityX : context.velocityX;
+
+    // The return leaves 5% faster; the cube sits inside the walls, so aim straight at it
+    const returnTime = (cube.z - context.paddleFaceZ) / (-context.velocityZ * 1.05);
+    const neededX = (cube.x - intercept) / returnTime;
+    const offset = (neededX - incomingX) / 0.1;
+    if (Math.abs(offset) > context.halfWidth * 0.8) return null; // Too close to the edge to risk it
+    return intercept - offset;
+}
+
+const AI_STRATEGIES = {
+    // Original behaviour: follow the ball's current x
+    classic: {
+        name: 'CLASSIC',
+        chooseTarget(context) {
+            return context.ballX;
+        }
+    },
+
+    // Projects wall bounces to the interception point at the paddle face (z=-14.5); holds position otherwise.
+    // With a bonus cube up it meets the ball at the angle that sends the return through it
+    predictive: {
+        name: 'PREDICTIVE',
+        chooseTarget(context) {
+            if (context.velocityZ >= 0) return context.paddleX;
+            const intercept = projectBallX(context, context.paddleFaceZ);
+            const routed = routeThroughCube(context, intercept);
+            return routed !== null ? routed : intercept;
+        }
+    },
+
+    // Recenters whenever the ball is heading away, only commits once it crosses midfield
+    defensive: {
+        name: 'DEFENSIVE',
+        chooseTarget(context) {
+            if (context.velocityZ >= 0) return 0;
+            const intercept = projectBallX(context, context.paddleFaceZ);
+            if (context.ballZ > 0) return intercept * 0.5; // Lean toward it, stay near the middle
+            return intercept;
+        }
+    },
+
+    // Meets the ball off-center so the hit deflection
+    // (velocity.x += (ball.position.x - paddle2X) * 0.1) sends it away from the player -
+    // or through the bonus cube while there is one
+    aggressive: {
+        name: 'AGGRESSIVE',
+        chooseTarget(context) {
+            if (context.velocityZ >= 0) return context.paddleX;
+            const intercept = projectBallX(context, context.paddleFaceZ);
+            const routed = routeThroughCube(context, intercept);
+            if (routed !== null) return routed;
+            const awayFromPlayer = context.opponentX >= 0 ? 1 : -1;
+            return intercept + awayFromPlayer * context.halfWidth * 0.6;
+        }
+    }
+};
+
+const AI_DIFFICULTY_PRESETS = [
+    { id: 'easy', name: 'EASY', strategy: 'defensive', speed: 0.25, accuracy: 0.6, reactionDelay: 0.3 },
+    { id: 'normal', name: 'NORMAL', strategy: 'classic', speed: 0.4, accuracy: 0.8, reactionDelay: 0 },
+    { id: 'hard', name: 'HARD', strategy: 'predictive', speed: 0.5, accuracy: 0.9, reactionDelay: 0.05 },
+    { id: 'insane', name: 'INSANE', strategy: 'aggressive', speed: 0.7, accuracy: 0.98, reactionDelay: 0 }
+];
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🏟️ ARENA
+// ═══════════════════════════════════════════════════════════════════════
+const ARENA = {
+    wallX: 11.5, // Ball center touching a side wall
+    paddleZ: 15, // Paddle rest position (player1 +z, player2 -z)
+    paddleFaceZ: 14.5, // Ball center touching a paddle face
+    goalZ: 19, // Past this the ball is a goal
+    paddleHalfWidth: 2.5, // Doubles with the 2X WIDTH power-up
+    ballRadius: 0.5, // Grows with GIANT BALL
+    shieldZ: 17.5, // SHIELD barrier line, between the paddle and the goal
+    tileSize: 1.8,
+    floorY: -2
+};
+
+// Floor tiles the obstacles rise from and the bonus cube sits on - the renderer builds one cube per tile
+function createArenaFloorTiles() {
+    const gridSize = 40; // Total floor size
+    const gap = 0.15; // Gap between cubes
+    const pitch = ARENA.tileSize + gap;
+    const cubesPerRow = Math.floor(gridSize / pitch);
+    const tiles = [];
+
+    for (let x = 0; x < cubesPerRow; x++) {
+        for (let z = 0; z < cubesPerRow; z++) {
+            const posX = (x - cubesPerRow / 2) * pitch + pitch / 2;
+            const posZ = (z - cubesPerRow / 2) * pitch + pitch / 2;
+
+            // Inside the laser walls and the extended play area only
+            if (Math.abs(posZ) > ARENA.goalZ) continue;
+            if (Math.abs(posX) > 14 || Math.abs(posZ) > 18) continue;
+
+            tiles.push({ x: posX, y: ARENA.floorY, z: posZ });
+        }
+    }
+    return tiles;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ⌨️ KEYBOARD RAMPS
+// ═══════════════════════════════════════════════════════════════════════
+// Keys are on/off, so paddle1 eases in and out of full speed instead. velocity runs -1..1
+// (a fraction of paddleSpeed), direction is -1/0/1 from the held keys and the ramp times are
+// seconds from rest to full speed and back (0 = instant, the classic feel). The settings
+// screen draws its preview with the same function.
+function rampKeyVelocity(velocity, direction, accelerationTime, decelerationTime, dt) {
+    const accelerate = accelerationTime > 0 ? dt / accelerationTime : Infinity;
+    const decelerate = decelerationTime > 0 ? dt / decelerationTime : Infinity;
+    // Steps like 1/6 don't add up exactly - snap the leftovers so a ramp lands on 0 or 1 on time
+    const snap = (speed) => Math.abs(speed - Math.round(speed)) < 1e-9 ? Math.round(speed) : speed;
+
+    // Released or reversing: brake towards rest first
+    if (velocity !== 0 && Math.sign(velocity) !== direction) {
+        velocity = Math.sign(velocity) * snap(Math.max(0, Math.abs(velocity) - decelerate));
+        if (velocity !== 0) return velocity;
+    }
+
+    // Held: build up to full speed
+    if (direction !== 0) {
+        velocity = direction * snap(Math.min(1, Math.abs(velocity) + accelerate));
+    }
+    return velocity;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ⚡ POWER-UPS
+// ═══════════════════════════════════════════════════════════════════════
+// Every bonus cube carries one of these, drawn by weight from the seeded stream when it spawns.
+// The side whose ball takes the cube (the AI included) gets the effect: apply(simulation, side) when it starts and
+// revert(simulation, side) when it runs out after duration seconds (0 = instant, nothing to revert).
+// ramp effects ease in and out over 0.2s (entry.transition 0-1) and only count down once fully in -
+// paddle width and ball size follow the transition. The renderer's powerUpVisuals holds the color,
+// pickup sound and pickup text for each id.
+const POWER_UPS = {
+    wide: {
+        name: '2X WIDTH', // getPaddleHalfWidth()
+        weight: 4,
+        duration: 5,
+        ramp: true
+    },
+    speed: {
+        name: 'SPEED BOOST',
+        weight: 3,
+        duration: 6,
+        multiplier: 1.6, // Paddle speed (keys, stick, mouse, AI)
+        apply(simulation, side) {
+            simulation.paddles[side].speedMultiplier = this.multiplier;
+        },
+        revert(simulation, side) {
+            simulation.paddles[side].speedMultiplier = 1;
+        }
+    },
+    giant: {
+        name: 'GIANT BALL', // getBallRadius() - every ball, for both sides
+        weight: 2,
+        duration: 6,
+        ramp: true,
+        global: true,
+        multiplier: 2
+    },
+    cloak: {
+        name: 'CLOAK', // isBallCloaked()
+        weight: 2,
+        duration: 8,
+        hiddenZ: 8, // Balls this side sends vanish while |z| is below this
+        apply(simulation, side) {
+            simulation.paddles[side].cloaked = true;
+        },
+        revert(simulation, side) {
+            simulation.paddles[side].cloaked = false;
+        }
+    },
+    shield: {
+        name: 'SHIELD', // Barrier at ARENA.shieldZ that reflects one ball, then it's gone
+        weight: 2,
+        duration: 12,
+        apply(simulation, side) {
+            simulation.paddles[side].shield = true;
+        },
+        revert(simulation, side) {
+            simulation.paddles[side].shield = false;
+        }
+    },
+    multiBall: {
+        name: 'MULTI-BALL',
+        weight: 2,
+        duration: 0,
+        apply(simulation, side) {
+            simulation.launchPowerUpBall(side);
+        }
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🏆 GAME MODES
+// ═══════════════════════════════════════════════════════════════════════
+// The modes on the title screen. usesMatchRules modes are won on the picked match rules (points,
+// sets, time limit, sudden death); the others bring their own clock and end condition, so the
+// renderer skips the RULES row and the match clock for them.
+const GAME_MODES = [
+    { id: 'classic', name: 'CLASSIC', usesMatchRules: true },
+    { id: 'timeAttack', name: 'TIME ATTACK', usesMatchRules: false },
+    { id: 'survival', name: 'SURVIVAL', usesMatchRules: false },
+    { id: 'versus', name: 'LOCAL VERSUS', usesMatchRules: true } // P2 on arrow keys / 2nd gamepad
+];
+
+function usesMatchRules(modeId) {
+    const mode = GAME_MODES.find(entry => entry.id === modeId);
+    return Boolean(mode && mode.usesMatchRules);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ⚙️ SIMULATION CORE
+// ═══════════════════════════════════════════════════════════════════════
+// One step() is one 60Hz tick. Velocities and speeds are "units per tick", delays are
+// simulation milliseconds counted in ticks - nothing here reads a clock, so the same seed and
+// inputs give the same match on any machine.
+//
+// input (one per tick): { left, right, mouseX, stickX, p2Left, p2Right, p2StickX }
+// Stick values arrive already shaped (deadzone, response curve) - any non-zero value moves the paddle.
+//
+// Events (on(type, handler), handlers get one plain detail object):
+//   ballSpawned { index, ball }          ballRemoved { index, ball }       ballsCleared {}
+//   wallHit { index, side, position }    obstacleHit { index, axis, position }
+//   paddleHit { index, side, position }  multiBall { index, ball }
+//   combo { combo }                      comboReset {}
+//   bonusSpawned { cube }                bonusCollected { side, cube, type }
+//   bonusRemoved {}                      bonusExpired { side, type }       shieldHit { index, side, position }
+//   obstacleSpawned { obstacle }         obstacleCleared { obstacle }
+//   goal { scorer, position, matchOver } unfrozen { reason }               rallyReset {}    serve {}
+class GridZoneSimulation {
+    constructor(options = {}) {
+        this.dt = 1 / 60;
+        this.floorTiles = options.floorTiles || createArenaFloorTiles();
+        this.listeners = {};
+
+        // Seeded gameplay stream
+        this.seed = 0;
+        this.random = null;
+        this.seedRandom(options.seed !== undefined ? options.seed : generateSeed());
+
+        // Gameplay delays (serves, unfreezes, combo expiry) fire on a tick, not a wall-clock time
+        this.tick = 0;
+        this.timers = []; // { id, tick, callback }
+        this.nextTimerId = 1;
+
+        // Match rules: called on every goal with the scorer, returns true when that point ended the match.
+        // TronPong plugs in its rules engine (sets, survival lives, time attack) - the default is first to pointsToWin
+        this.pointsToWin = options.pointsToWin || 0; // 0 = endless
+        this.recordPoint = options.recordPoint || ((scorer) => this.awardPoint(scorer));
+        this.score = { player1: 0, player2: 0 };
+        this.over = false;
+        this.versus = false; // Paddle2 follows p2 input instead of the AI
+
+        // Tuning (Survival escalates these between matches)
+        this.paddleSpeed = 0.5;
+        this.mouseSensitivity = 0.0000375;
+        this.keyAccelerationTime = 0; // Keyboard ramps for paddle1 (seconds, 0 = instant)
+        this.keyDecelerationTime = 0;
+        this.baseBallSpeed = 0.15; // Serve speed (consistent across all spawns)
+        this.maxBalls = 2;
+        this.bonusCubeSpawnInterval = 5; // Every 5th player hit
+        this.maxPowerUpBalls = 4; // MULTI-BALL power-up launches only below this many balls
+        this.obstacleInterval = 10.0; // Seconds between obstacles
+        this.obstacleDuration = 8.0; // Seconds an obstacle stays up
+        this.obstacleHeight = 6; // Same height as walls
+
+        // Balls: { position: { x, y, z }, velocity: { x, y, z }, owner: 'player' | 'ai' }
+        this.balls = [];
+        this.paddles = {
+            player1: { x: 0, z: ARENA.paddleZ, homeZ: ARENA.paddleZ, pushback: 0, keyVelocity: 0 },
+            player2: { x: 0, z: -ARENA.paddleZ, homeZ: -ARENA.paddleZ, pushback: 0 }
+        };
+        for (const side in this.paddles) {
+            // Set and cleared by the power-up hooks
+            Object.assign(this.paddles[side], { speedMultiplier: 1, cloaked: false, shield: false });
+        }
+
+        // Goal/death sequences
+        this.frozen = false; // Balls and paddles stop
+        this.scoreSequenceActive = false; // Only one goal per sequence counts
+        this.deathLock = false; // Death screen is up (input locked until the unfreeze)
+
+        // Multi-ball
+        this.ballSpeedMultiplier = 1.0; // Grows 5% per paddle hit, back to 1 on every serve
+        this.successfulHits = 0;
+        this.nextBallThreshold = 4; // Extra ball at this many hits, then every 2 more
+
+        // Bonus cube + power-ups (see POWER_UPS)
+        this.playerHits = 0;
+        this.bonusCube = null; // { x, y, z, type } while it can be picked up
+        this.powerUps = []; // Running effects: { type, side, timer, transition } - one per type
+
+        // Floor obstacle
+        this.obstacle = null; // { tile, x, z, lifetime }
+        this.obstacleTimer = 0;
+
+        // Combo - every 2 returns of a ball the AI sent is a combo level
+        this.consecutiveHits = 0;
+        this.currentCombo = 0;
+        this.comboTimer = null;
+
+        // AI opponent - the renderer copies the (adaptive) tuning in before every tick
+        this.ai = {
+            strategy: 'classic',
+            speed: 0.4,
+            accuracy: 0.8,
+            reaction: 0, // Seconds between re-reads of the ball
+            thinkTimer: 0,
+            targetX: 0
+        };
+    }
+
+    // ===== EVENTS =====
+
+    on(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+        return this;
+    }
+
+    emit(type, detail = {}) {
+        const handlers = this.listeners[type];
+        if (!handlers) return;
+        for (const handler of handlers) {
+            handler(detail);
+        }
+    }
+
+    // ===== MATCH =====
+
+    seedRandom(seed) {
+        this.seed = seed >>> 0;
+        this.random = createSeededRandom(this.seed);
+    }
+
+    startMatch(seed = generateSeed()) {
+        // Everything a match reads starts from the same state - a replay re-runs this with the log's seed.
+        // Paddle x is left where it is (the replay log stores it) and the tuning is left to the caller
+        this.seedRandom(seed);
+        this.clearTimers();
+        this.tick = 0;
+        this.clearBalls();
+        this.score.player1 = 0;
+        this.score.player2 = 0;
+        this.over = false;
+        this.resetCombo();
+
+        this.ballSpeedMultiplier = 1.0;
+        this.resetRallyCounters();
+        this.resetPowerUps();
+        this.clearObstacle();
+        this.obstacleTimer = 0;
+        this.resetPaddles();
+
+        this.frozen = false;
+        this.scoreSequenceActive = false;
+        this.deathLock = false;
+        this.ai.thinkTimer = 0;
+        this.ai.targetX = 0;
+
+        // Serve after 400ms so the camera transition starts before the ball appears
+        this.schedule(400, () => this.serve());
+    }
+
+    awardPoint(scorer) {
+        this.score[scorer]++;
+        return this.pointsToWin > 0 && this.score[scorer] >= this.pointsToWin;
+    }
+
+    isRallyLive() {
+        return !this.frozen && !this.scoreSequenceActive && !this.over;
+    }
+
+    step(input) {
+        this.tick++;
+        this.runTimers();
+
+        this.movePlayerPaddle(input);
+        if (this.versus) {
+            this.movePlayer2Paddle(input);
+        } else {
+            this.updateAI();
+        }
+        this.updateBalls();
+        this.updatePowerUps();
+        this.updateObstacle();
+    }
+
+    // ===== TIMERS =====
+
+    schedule(delayMs, callback) {
+        // Fires on the tick delayMs of simulation time from now (at least the next tick)
+        const ticks = Math.max(1, Math.round(delayMs / 1000 / this.dt));
+        const timer = { id: this.nextTimerId++, tick: this.tick + ticks, callback: callback };
+        this.timers.push(timer);
+        return timer.id;
+    }
+
+    cancelTimer(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    clearTimers() {
+        this.timers = [];
+        this.comboTimer = null;
+    }
+
+    runTimers() {
+        // Earliest first, then in scheduling order - callbacks may schedule or cancel other timers
+        for (;;) {
+            let next = null;
+            for (const timer of this.timers) {
+                if (timer.tick > this.tick) continue;
+                if (!next || timer.tick < next.tick || (timer.tick === next.tick && timer.id < next.id)) {
+                    next = timer;
+                }
+            }
+            if (!next) return;
+
+            this.timers.splice(this.timers.indexOf(next), 1);
+            next.callback();
+        }
+    }
+
+    // ===== BALLS =====
+
+    spawnBall(x, y, z, velocity) {
+        // Balls start out as the AI's - they always head for a paddle the player didn't send them from
+        const ball = { position: { x: x, y: y, z: z }, velocity: { ...velocity }, owner: 'ai' };
+        this.balls.push(ball);
+        this.emit('ballSpawned', { index: this.balls.length - 1, ball: ball });
+        return ball;
+    }
+
+    serve() {
+        // Fixed, predictable serve (always toward the AI) - no random jumps on restarts
+        this.ballSpeedMultiplier = 1.0;
+        this.emit('serve');
+        this.spawnBall(0, 0, 0, { x: 0, y: 0, z: -this.baseBallSpeed });
+    }
+
+    removeBall(index) {
+        const ball = this.balls.splice(index, 1)[0];
+        this.emit('ballRemoved', { index: index, ball: ball });
+    }
+
+    clearBalls() {
+        this.balls = [];
+        this.emit('ballsCleared');
+    }
+
+    updateBalls() {
+        if (!this.isRallyLive()) return;
+
+        // Multi-ball spawn flag (prevent multiple spawns in same tick)
+        const tickState = { multiBallSpawned: false };
+        const goals = [];
+
+        // Only the balls that were on the field when the tick started - a ball spawned during the
+        // loop (multi-ball, MULTI-BALL power-up) is appended and makes its first move next tick
+        const count = this.balls.length;
+        for (let i = 0; i < count; i++) {
+            const ball = this.balls[i];
+
+            // Move ball along its path, resolving walls/paddles/obstacle in the order they're reached
+            this.sweepBall(i, tickState);
+
+            if (ball.position.z > ARENA.goalZ) {
+                goals.push({ index: i, scorer: 'player2', position: { ...ball.position } });
+            } else if (ball.position.z < -ARENA.goalZ) {
+                goals.push({ index: i, scorer: 'player1', position: { ...ball.position } });
+            }
+        }
+        if (goals.length === 0) return;
+
+        // Every ball past a goal line leaves the field (reverse order keeps the indices valid),
+        // but only one goal per tick counts - a death outranks a simultaneous goal for the player
+        const scored = goals.find(goal => goal.scorer === 'player2') || goals[0];
+        for (let g = goals.length - 1; g >= 0; g--) {
+            this.removeBall(goals[g].index);
+        }
+        this.scoreGoal(scored.scorer, scored.position);
+    }
+
+    scoreGoal(scorer, position) {
+        const matchOver = this.recordPoint(scorer);
+        if (matchOver) {
+            this.over = true;
+        }
+
+        // FREEZE: balls and paddles stop for the goal/death sequence
+        this.frozen = true;
+        this.scoreSequenceActive = true;
+        if (scorer === 'player2') {
+            this.deathLock = true;
+        }
+        this.emit('goal', { scorer: scorer, position: position, matchOver: matchOver });
+
+        if (scorer === 'player2') {
+            // Player died: the combo breaks, the death screen holds 1.2s, the field resets at 2.0s
+            this.resetCombo();
+            this.schedule(1200, () => this.unfreeze('death'));
+            if (!this.over) {
+                this.schedule(2000, () => this.resetRally());
+            }
+        } else {
+            // Player scored: frozen for the celebration wave, then a fresh serve
+            this.schedule(2000, () => this.unfreeze('goal'));
+            if (!this.over) {
+                this.schedule(2500, () => this.serve());
+            }
+        }
+    }
+
+    unfreeze(reason) {
+        this.frozen = false;
+        this.scoreSequenceActive = false;
+        this.deathLock = false;
+        this.emit('unfrozen', { reason: reason });
+    }
+
+    resetRally() {
+        // After a death: empty field, multi-ball/bonus counters back to zero, power-ups off, paddles home, serve again
+        this.clearBalls();
+        this.resetRallyCounters();
+        this.resetPowerUps();
+        this.resetPaddles();
+        this.emit('rallyReset');
+        this.serve();
+    }
+
+    resetRallyCounters() {
+        this.successfulHits = 0;
+        this.nextBallThreshold = 4;
+        this.playerHits = 0;
+    }
+
+    // ===== SWEPT BALL COLLISIONS =====
+    // Every paddle hit speeds the ball up 5%, so after a long rally one tick can carry it
+    // past a paddle face or wall. Instead of checking overlaps after the move, trace the
+    // path and resolve the earliest contact first, then keep moving with what's left.
+    sweepBall(i, tickState) {
+        const ball = this.balls[i];
+        const velocity = ball.velocity;
+        const growth = this.getBallRadius() - ARENA.ballRadius; // GIANT BALL reaches everything sooner
+        const wallLimit = ARENA.wallX - growth;
+        const paddleLimit = ARENA.paddleFaceZ - growth;
+        const shieldLimit = ARENA.shieldZ - this.getBallRadius();
+        let remaining = 1; // Fraction of this tick's movement still to travel
+
+        for (let pass = 0; pass < 4 && remaining > 0.0001; pass++) {
+            const startX = ball.position.x;
+            const startZ = ball.position.z;
+            const moveX = velocity.x * remaining;
+            const moveZ = velocity.z * remaining;
+
+            // Earliest contact along the move (0 = start, 1 = end)
+            let hitTime = 1;
+            let hitType = null;
+            let hitAxis = null;
+
+            // Side walls - only when heading into them
+            if (moveX < 0 && startX + moveX <= -wallLimit) {
+                hitTime = Math.max(0, (-wallLimit - startX) / moveX);
+                hitType = 'leftWall';
+            } else if (moveX > 0 && startX + moveX >= wallLimit) {
+                hitTime = Math.max(0, (wallLimit - startX) / moveX);
+                hitType = 'rightWall';
+            }
+
+            // Paddle faces - the ball must cross the face while lined up with the paddle
+            if (moveZ > 0 && startZ <= paddleLimit && startZ + moveZ >= paddleLimit) {
+                const t = (paddleLimit - startZ) / moveZ;
+                const contactX = startX + moveX * t;
+                if (t < hitTime && Math.abs(contactX - this.paddles.player1.x) < this.getPaddleHalfWidth('player1') + growth) {
+                    hitTime = t;
+                    hitType = 'paddle1';
+                }
+            } else if (moveZ < 0 && startZ >= -paddleLimit && startZ + moveZ <= -paddleLimit) {
+                const t = (-paddleLimit - startZ) / moveZ;
+                const contactX = startX + moveX * t;
+                if (t < hitTime && Math.abs(contactX - this.paddles.player2.x) < this.getPaddleHalfWidth('player2') + growth) {
+                    hitTime = t;
+                    hitType = 'paddle2';
+                }
+            }
+            
+            // SHIELD barriers - only reached when the paddle missed
+            if (moveZ > 0 && this.paddles.player1.shield && startZ <= shieldLimit && startZ + moveZ >= shieldLimit) {
+                const t = (shieldLimit - startZ) / moveZ;
+                if (t < hitTime) {
+                    hitTime = t;
+                    hitType = 'shield1';
+                }
+            } else if (moveZ < 0 && this.paddles.player2.shield && startZ >= -shieldLimit && startZ + moveZ <= -shieldLimit) {
+                const t = (-shieldLimit - startZ) / moveZ;
+                if (t < hitTime) {
+                    hitTime = t;
+                    hitType = 'shield2';
+                }
+            }
+
+            // Raised obstacle tile
+            const obstacleHit = this.sweepObstacle(ball, moveX, moveZ);
+            if (obstacleHit && obstacleHit.time <= hitTime) {
+                hitTime = obstacleHit.time;
+                hitType = 'obstacle';
+                hitAxis = obstacleHit.axis;
+            }
+
+            // Advance to the contact point (or the end of the move)
+            ball.position.x = startX + moveX * hitTime;
+            ball.position.z = startZ + moveZ * hitTime;
+
+            // Bonus cube is a pickup, not a bounce - test the segment just travelled
+            this.checkBonusCubeCollision(i, startX, startZ);
+
+            if (!hitType) break;
+            remaining *= 1 - hitTime;
+
+            if (hitType === 'leftWall' || hitType === 'rightWall') {
+                this.handleWallHit(i, hitType === 'leftWall' ? -1 : 1);
+            } else if (hitType === 'obstacle') {
+                this.handleObstacleHit(i, hitAxis);
+            } else if (hitType === 'paddle1') {
+                this.handlePaddle1Hit(i, tickState);
+            } else if (hitType === 'shield1' || hitType === 'shield2') {
+                this.handleShieldHit(i, hitType === 'shield1' ? 'player1' : 'player2');
+            } else {
+                this.handlePaddle2Hit(i);
+            }
+        }
+    }
+
+    sweepObstacle(ball, moveX, moveZ) {
+        // Obstacle only blocks once it has risen to ball height
+        if (!this.obstacle || this.obstacle.lifetime <= 0.5) return null;
+
+        const ballRadius = this.getBallRadius();
+        const reach = ARENA.tileSize / 2 + ballRadius; // Tile half size grown by the ball radius
+        if (Math.abs(ball.position.y - this.getObstacleY()) >= this.obstacleHeight / 2 + ballRadius) return null;
+
+        const relX = ball.position.x - this.obstacle.x;
+        const relZ = ball.position.z - this.obstacle.z;
+
+        // Tile rose underneath the ball - push out through the nearest face
+        // (with a hair of slack: a ball just pushed onto a face can land a rounding error inside it)
+        const inside = reach - 1e-9;
+        if (Math.abs(relX) < inside && Math.abs(relZ) < inside) {
+            return { time: 0, axis: reach - Math.abs(relX) < reach - Math.abs(relZ) ? 'x' : 'z' };
+        }
+
+        // Slab test: latest entry across both axes must come before the earliest exit
+        let enter = 0;
+        let exit = 1;
+        let axis = null;
+        const slabs = [[relX, moveX, 'x'], [relZ, moveZ, 'z']];
+        for (const [rel, move, name] of slabs) {
+            if (move === 0) {
+                if (Math.abs(rel) >= reach) return null;
+                continue;
+            }
+            let near = (-reach - rel) / move;
+            let far = (reach - rel) / move;
+            if (near > far) [near, far] = [far, near];
+            if (near >= enter) {
+                enter = near;
+                axis = name;
+            }
+            exit = Math.min(exit, far);
+            if (enter > exit) return null;
+        }
+
+        return axis ? { time: enter, axis } : null;
+    }
+
+    handleWallHit(i, side) {
+        const ball = this.balls[i];
+        const velocity = ball.velocity;
+
+        velocity.x = -side * Math.abs(velocity.x); // Bounce back into the arena
+        ball.position.x = side * (ARENA.wallX - (this.getBallRadius() - ARENA.ballRadius)); // Sit exactly on the wall boundary
+
+        // Randomness breaks up shallow wall-to-wall angles
+        velocity.z += (this.random() - 0.5) * 0.08;
+
+        // Enforce minimum Z velocity so the ball keeps heading for a paddle
+        const minZVelocity = 0.12;
+        if (Math.abs(velocity.z) < minZVelocity) {
+            velocity.z = velocity.z > 0 ? minZVelocity : -minZVelocity;
+        }
+
+        this.emit('wallHit', { index: i, side: side, position: { ...ball.position } });
+    }
+
+    handleObstacleHit(i, axis) {
+        const ball = this.balls[i];
+        const velocity = ball.velocity;
+        const obstacle = this.obstacle;
+        const reach = ARENA.tileSize / 2 + this.getBallRadius(); // Tile half size + ball radius
+
+        if (axis === 'x') {
+            // Hit left/right face - sit on the face and bounce away from the tile
+            const side = ball.position.x < obstacle.x ? -1 : 1;
+            ball.position.x = obstacle.x + side * reach;
+            velocity.x = side * Math.abs(velocity.x);
+
+            // Enforce minimum Z velocity
+            const minZVelocity = 0.08;
+            if (Math.abs(velocity.z) < minZVelocity) {
+                velocity.z = velocity.z > 0 ? minZVelocity : -minZVelocity;
+            }
+        } else {
+            // Hit front/back face
+            const side = ball.position.z < obstacle.z ? -1 : 1;
+            ball.position.z = obstacle.z + side * reach;
+            velocity.z = side * Math.abs(velocity.z);
+
+            // Enforce minimum X velocity
+            const minXVelocity = 0.08;
+            if (Math.abs(velocity.x) < minXVelocity) {
+                velocity.x = velocity.x > 0 ? minXVelocity : -minXVelocity;
+            }
+        }
+
+        this.emit('obstacleHit', { index: i, axis: axis, position: { ...ball.position } });
+    }
+
+    handlePaddle1Hit(i, tickState) {
+        const ball = this.balls[i];
+        const velocity = ball.velocity;
+
+        // 5% faster every hit, angled by where the ball met the paddle
+        this.ballSpeedMultiplier *= 1.05;
+        velocity.z = -Math.abs(velocity.z) * 1.05;
+        velocity.x += (ball.position.x - this.paddles.player1.x) * 0.1;
+
+        // Add randomness to break shallow angles
+        velocity.x += (this.random() - 0.5) * 0.06;
+
+        // Update ball ownership to player (remember who sent it for the combo check)
+        const previousOwner = ball.owner;
+        ball.owner = 'player';
+
+        this.paddles.player1.pushback = 1.5;
+        this.successfulHits++;
+
+        // BONUS CUBE - spawn every 5th PLAYER hit!
+        this.playerHits++;
+        if (this.playerHits >= this.bonusCubeSpawnInterval && !this.bonusCube) {
+            this.spawnBonusCube();
+            this.playerHits = 0;
+        }
+
+        // Extra ball at the threshold (max maxBalls) - only once per tick, even if several balls hit
+        if (!tickState.multiBallSpawned &&
+            this.successfulHits >= this.nextBallThreshold &&
+            this.balls.length < this.maxBalls) {
+            // Near the AI paddle, straight down the middle toward the player
+            const extraBall = this.spawnBall(0, 0, -10, { x: 0, y: 0, z: this.baseBallSpeed });
+            this.nextBallThreshold += 2;
+            tickState.multiBallSpawned = true;
+            this.emit('multiBall', { index: this.balls.length - 1, ball: extraBall });
+        }
+
+        // Combo: returning the first ball after the AI sent it
+        if (i === 0 && previousOwner === 'ai') {
+            this.consecutiveHits++;
+            this.updateCombo();
+            this.resetComboTimer();
+        }
+
+        this.emit('paddleHit', { index: i, side: 'player1', position: { ...ball.position } });
+    }
+
+    handlePaddle2Hit(i) {
+        const ball = this.balls[i];
+        const velocity = ball.velocity;
+
+        this.ballSpeedMultiplier *= 1.05;
+        velocity.z = Math.abs(velocity.z) * 1.05;
+        velocity.x += (ball.position.x - this.paddles.player2.x) * 0.1;
+
+        // Add randomness to break shallow angles
+        velocity.x += (this.random() - 0.5) * 0.06;
+
+        ball.owner = 'ai';
+        this.paddles.player2.pushback = 1.5;
+
+        // Versus: player 2 hits count toward the shared bonus cube spawn too
+        if (this.versus) {
+            this.playerHits++;
+            if (this.playerHits >= this.bonusCubeSpawnInterval && !this.bonusCube) {
+                this.spawnBonusCube();
+                this.playerHits = 0;
+            }
+        }
+
+        // Combo survives AI returns - only a goal against (or the timeout) breaks it
+        this.emit('paddleHit', { index: i, side: 'player2', position: { ...ball.position } });
+    }
+
+    handleShieldHit(i, side) {
+        // Reflects like a wall, then the barrier is spent
+        const ball = this.balls[i];
+        const direction = side === 'player1' ? 1 : -1;
+        ball.velocity.z = -direction * Math.abs(ball.velocity.z);
+        ball.position.z = direction * (ARENA.shieldZ - this.getBallRadius());
+        ball.owner = side === 'player1' ? 'player' : 'ai';
+
+        this.emit('shieldHit', { index: i, side: side, position: { ...ball.position } });
+        this.endPowerUp(this.getPowerUp('shield', side));
+    }
+
+    // ===== PADDLES =====
+
+    getPaddleHalfWidth(side) {
+        // Normal: 2.5, 2X WIDTH: 5.0 (follows the widening transition)
+        return ARENA.paddleHalfWidth * (1.0 + this.getPowerUpTransition('wide', side));
+    }
+
+    getPaddleMaxX(side) {
+        // Walls are at ±11.5 - the paddle edge stops at the wall
+        return ARENA.wallX - this.getPaddleHalfWidth(side);
+    }
+
+    movePlayerPaddle(input) {
+        const paddle = this.paddles.player1;
+
+        // Input captured during a freeze is dropped with the rest of the snapshot (and any key ramp with it)
+        if (this.frozen) {
+            paddle.keyVelocity = 0;
+            return;
+        }
+
+        const maxX = this.getPaddleMaxX('player1');
+
+        // Keys (A/D, or the arrows outside versus), eased by the keyboard ramps
+        const direction = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        paddle.keyVelocity = rampKeyVelocity(paddle.keyVelocity, direction, this.keyAccelerationTime, this.keyDecelerationTime, this.dt);
+        const speed = this.paddleSpeed * paddle.speedMultiplier;
+        if (paddle.keyVelocity !== 0) {
+            paddle.x = Math.max(-maxX, Math.min(maxX, paddle.x + speed * paddle.keyVelocity));
+        }
+
+        // Mouse movement collected since the last tick
+        if (input.mouseX !== 0) {
+            paddle.x += input.mouseX * this.mouseSensitivity * 1000 * paddle.speedMultiplier; // Scale up for paddle movement
+            paddle.x = Math.max(-maxX, Math.min(maxX, paddle.x));
+        }
+
+        // Gamepad left stick, proportional (the deadzone is already applied)
+        if (input.stickX !== 0) {
+            paddle.x = Math.max(-maxX, Math.min(maxX, paddle.x + speed * input.stickX));
+        }
+
+        this.updatePushback(paddle);
+    }
+
+    movePlayer2Paddle(input) {
+        // Local versus: paddle2 follows the arrow keys or the second gamepad instead of the AI
+        if (this.frozen || this.over) return;
+
+        let direction = 0;
+        if (input.p2Left) direction -= 1;
+        if (input.p2Right) direction += 1;
+
+        // Second gamepad - left stick, shaped like player 1's
+        if (input.p2StickX !== 0) {
+            direction = input.p2StickX;
+        }
+
+        if (direction !== 0) {
+            const maxX = this.getPaddleMaxX('player2');
+            const paddle = this.paddles.player2;
+            paddle.x = Math.max(-maxX, Math.min(maxX, paddle.x + this.paddleSpeed * paddle.speedMultiplier * direction));
+        }
+
+        this.updatePushback(this.paddles.player2);
+    }
+
+    updateAI() {
+        if (this.frozen || this.over || this.balls.length === 0) return;
+
+        const ai = this.ai;
+        const paddle = this.paddles.player2;
+
+        // Track closest ball moving towards AI (first ball when none is)
+        let ball = this.balls[0];
+        let closestDist = Infinity;
+        for (const candidate of this.balls) {
+            if (candidate.velocity.z < 0) {
+                const dist = Math.abs(candidate.position.z + ARENA.paddleZ);
+                if (dist < closestDist) {
+                    closestDist = dist;
+                    ball = candidate;
+                }
+            }
+        }
+
+        const paddleHalfWidth = this.getPaddleHalfWidth('player2');
+        const growth = this.getBallRadius() - ARENA.ballRadius; // GIANT BALL meets walls and faces sooner
+
+        // Reaction lag: the AI only re-reads the ball every reaction seconds (and can't read a cloaked one)
+        ai.thinkTimer -= this.dt;
+        if (ai.thinkTimer <= 0 && !this.isBallCloaked(ball)) {
+            ai.thinkTimer = ai.reaction;
+
+            const strategy = AI_STRATEGIES[ai.strategy] || AI_STRATEGIES.classic;
+            const target = strategy.chooseTarget({
+                ballX: ball.position.x,
+                ballZ: ball.position.z,
+                velocityX: ball.velocity.x,
+                velocityZ: ball.velocity.z,
+                paddleX: paddle.x,
+                paddleZ: -ARENA.paddleZ,
+                paddleFaceZ: -(ARENA.paddleFaceZ - growth),
+                halfWidth: paddleHalfWidth,
+                opponentX: this.paddles.player1.x,
+                wallX: ARENA.wallX - growth,
+                cube: this.bonusCube ? { x: this.bonusCube.x, z: this.bonusCube.z } : null
+            });
+
+            const error = (this.random() - 0.5) * (1 - ai.accuracy) * 2;
+            ai.targetX = target + error;
+        }
+
+        // Move towards target, stopping at the walls
+        const maxX = this.getPaddleMaxX('player2');
+        const speed = ai.speed * paddle.speedMultiplier;
+        if (paddle.x < ai.targetX - 0.5 && paddle.x < maxX) {
+            paddle.x = Math.min(paddle.x + speed, maxX);
+        } else if (paddle.x > ai.targetX + 0.5 && paddle.x > -maxX) {
+            paddle.x = Math.max(paddle.x - speed, -maxX);
+        }
+
+        this.updatePushback(paddle);
+    }
+
+    updatePushback(paddle) {
+        // Heavy impact feel: knocked back 1.5 units, eases home over ~3 seconds
+        if (paddle.pushback > 0) {
+            paddle.z = paddle.homeZ + Math.sign(paddle.homeZ) * paddle.pushback;
+            paddle.pushback *= 0.96;
+            if (paddle.pushback < 0.005) {
+                paddle.pushback = 0;
+                paddle.z = paddle.homeZ;
+            }
+        }
+    }
+
+    resetPaddles() {
+        for (const side of ['player1', 'player2']) {
+            this.paddles[side].pushback = 0;
+            this.paddles[side].z = this.paddles[side].homeZ;
+        }
+        // A key held into the match or the next rally ramps up from rest, as it does in the replay
+        this.paddles.player1.keyVelocity = 0;
+    }
+
+    // ===== COMBO =====
+
+    updateCombo() {
+        // A combo level for every 2 returns
+        if (this.consecutiveHits % 2 === 0 && this.consecutiveHits > 0) {
+            this.currentCombo = this.consecutiveHits / 2;
+            this.emit('combo', { combo: this.currentCombo });
+        }
+    }
+
+    resetCombo() {
+        this.consecutiveHits = 0;
+        this.currentCombo = 0;
+        if (this.comboTimer) {
+            this.cancelTimer(this.comboTimer);
+            this.comboTimer = null;
+        }
+        this.emit('comboReset');
+    }
+
+    resetComboTimer() {
+        if (this.comboTimer) {
+            this.cancelTimer(this.comboTimer);
+        }
+
+        // Reset combo after 10 seconds of no player hits (a full rally round trip can take ~7s)
+        this.comboTimer = this.schedule(10000, () => {
+            this.comboTimer = null;
+            this.resetCombo();
+        });
+    }
+
+    // ===== BONUS CUBE =====
+
+    spawnBonusCube() {
+        if (this.bonusCube) return;
+
+        // Central play area only - X: away from the walls at ±11.5, Z: not behind the paddles at ±15
+        const validTiles = this.floorTiles.filter(tile => Math.abs(tile.x) < 10 && Math.abs(tile.z) < 12);
+        const tile = validTiles[Math.floor(this.random() * validTiles.length)];
+        const type = this.pickPowerUpType();
+
+        this.bonusCube = { x: tile.x, y: tile.y + 1.2, z: tile.z, type: type }; // Slightly above the tile
+        this.emit('bonusSpawned', { cube: this.bonusCube });
+    }
+
+    removeBonusCube() {
+        if (!this.bonusCube) return;
+
+        this.bonusCube = null;
+        this.emit('bonusRemoved');
+    }
+
+    checkBonusCubeCollision(i, fromX, fromZ) {
+        const cube = this.bonusCube;
+        if (!cube) return;
+
+        // Swept trigger: closest point on the segment this ball just travelled (from -> current position)
+        const ball = this.balls[i];
+        const segmentX = ball.position.x - fromX;
+        const segmentZ = ball.position.z - fromZ;
+        const segmentLengthSq = segmentX * segmentX + segmentZ * segmentZ;
+        let t = 0;
+        if (segmentLengthSq > 0) {
+            t = ((cube.x - fromX) * segmentX + (cube.z - fromZ) * segmentZ) / segmentLengthSq;
+            t = Math.max(0, Math.min(1, t));
+        }
+        const dx = fromX + segmentX * t - cube.x;
+        const dy = ball.position.y - cube.y;
+        const dz = fromZ + segmentZ * t - cube.z;
+        const reach = 1.0 + this.getBallRadius();
+        if (dx * dx + dy * dy + dz * dz >= reach * reach) return;
+
+        // Whoever sent the ball through gets it - the AI (or player 2 in versus) just the same
+        this.bonusCube = null;
+        const collector = ball.owner === 'player' ? 'player1' : 'player2';
+        this.emit('bonusCollected', { side: collector, cube: cube, type: cube.type });
+        this.startPowerUp(cube.type, collector);
+    }
+
+    // ===== POWER-UPS =====
+
+    pickPowerUpType() {
+        // Weighted draw over POWER_UPS (seeded, so replays get the same cubes)
+        const types = Object.keys(POWER_UPS);
+        const total = types.reduce((sum, type) => sum + POWER_UPS[type].weight, 0);
+        let roll = this.random() * total;
+        for (const type of types) {
+            roll -= POWER_UPS[type].weight;
+            if (roll < 0) return type;
+        }
+        return types[types.length - 1];
+    }
+
+    startPowerUp(type, side) {
+        const powerUp = POWER_UPS[type];
+        if (powerUp.duration <= 0) {
+            // Instant - nothing to count down or revert
+            powerUp.apply(this, side);
+            return;
+        }
+
+        // One of each type at a time - collecting it again refreshes the timer, collecting the one
+        // the other side has running takes it off them
+        const existing = this.getPowerUp(type);
+        if (existing && existing.side === side) {
+            existing.timer = powerUp.duration;
+            return;
+        }
+        let transition = 0;
+        if (existing) {
+            if (powerUp.global) {
+                transition = existing.transition; // Same effect either way - hand it over without easing out
+            }
+            this.endPowerUp(existing);
+        }
+
+        this.powerUps.push({ type: type, side: side, timer: powerUp.duration, transition: powerUp.ramp ? transition : 1 });
+        if (powerUp.apply) {
+            powerUp.apply(this, side);
+        }
+    }
+
+    endPowerUp(entry) {
+        if (!entry || !this.powerUps.includes(entry)) return;
+
+        this.powerUps = this.powerUps.filter(active => active !== entry);
+        const powerUp = POWER_UPS[entry.type];
+        if (powerUp.revert) {
+            powerUp.revert(this, entry.side);
+        }
+        this.emit('bonusExpired', { side: entry.side, type: entry.type });
+    }
+
+    updatePowerUps() {
+        for (const entry of [...this.powerUps]) {
+            if (!POWER_UPS[entry.type].ramp) {
+                entry.timer -= this.dt;
+                if (entry.timer <= 0) {
+                    this.endPowerUp(entry);
+                }
+            } else if (entry.timer <= 0) {
+                // Time's up - quick ease out (0.2s), then back to normal
+                entry.transition = Math.max(0, entry.transition - this.dt * 5);
+                if (entry.transition <= 0) {
+                    this.endPowerUp(entry);
+                }
+            } else if (entry.transition < 1.0) {
+                // Quick ease in (0.2s) - the countdown starts once it's fully in
+                entry.transition = Math.min(1.0, entry.transition + this.dt * 5);
+            } else {
+                entry.timer -= this.dt;
+            }
+        }
+    }
+
+    resetPowerUps() {
+        this.removeBonusCube();
+        for (const entry of [...this.powerUps]) {
+            this.endPowerUp(entry);
+        }
+    }
+
+    getPowerUp(type, side) {
+        // The running entry for type (on that side, if given) - null when it isn't active
+        return this.powerUps.find(entry => entry.type === type && (!side || entry.side === side)) || null;
+    }
+
+    getPowerUpTransition(type, side) {
+        const entry = this.getPowerUp(type, side);
+        return entry ? entry.transition : 0;
+    }
+
+    getBallRadius() {
+        // Normal: 0.5, GIANT BALL: 1.0 (follows the growing transition)
+        return ARENA.ballRadius * (1.0 + (POWER_UPS.giant.multiplier - 1) * this.getPowerUpTransition('giant'));
+    }
+
+    isBallCloaked(ball) {
+        // Balls sent by a CLOAK side are invisible through midfield - to the other player and the AI alike
+        const side = ball.owner === 'player' ? 'player1' : 'player2';
+        return this.paddles[side].cloaked && Math.abs(ball.position.z) < POWER_UPS.cloak.hiddenZ;
+    }
+
+    launchPowerUpBall(side) {
+        // MULTI-BALL: a fresh ball off the collector's paddle, already on its way to the other goal
+        if (this.balls.length >= this.maxPowerUpBalls) return;
+
+        const paddle = this.paddles[side];
+        const direction = side === 'player1' ? -1 : 1;
+        const ball = this.spawnBall(paddle.x, 0, paddle.z + direction * 2, { x: 0, y: 0, z: direction * this.baseBallSpeed });
+        ball.owner = side === 'player1' ? 'player' : 'ai';
+        this.emit('multiBall', { index: this.balls.length - 1, ball: ball });
+    }
+
+    // ===== FLOOR OBSTACLE =====
+
+    updateObstacle() {
+        this.obstacleTimer += this.dt;
+
+        // Spawn new obstacle if it's time and no active obstacle
+        if (this.obstacleTimer >= this.obstacleInterval && !this.obstacle) {
+            this.spawnObstacle();
+            this.obstacleTimer = 0;
+        }
+
+        // Rise 0.5s, stay up, lower 0.5s, gone
+        if (this.obstacle) {
+            this.obstacle.lifetime += this.dt;
+            if (this.obstacle.lifetime >= this.obstacleDuration + 0.5) {
+                this.clearObstacle();
+            }
+        }
+    }
+
+    spawnObstacle() {
+        // Only spawn in the play area (center of the floor)
+        const candidates = [];
+        this.floorTiles.forEach((tile, index) => {
+            if (Math.abs(tile.x) < 8 && Math.abs(tile.z) < 12) candidates.push(index);
+        });
+        if (candidates.length === 0) return;
+
+        const tileIndex = candidates[Math.floor(this.random() * candidates.length)];
+        const tile = this.floorTiles[tileIndex];
+        this.obstacle = { tile: tileIndex, x: tile.x, z: tile.z, lifetime: 0 };
+        this.emit('obstacleSpawned', { obstacle: this.obstacle });
+    }
+
+    clearObstacle() {
+        if (!this.obstacle) return;
+
+        const obstacle = this.obstacle;
+        this.obstacle = null;
+        this.emit('obstacleCleared', { obstacle: obstacle });
+    }
+
+    getObstacleRise() {
+        // 0 = flush with the floor, 1 = full height (ease out on the way up, ease in on the way down)
+        const obstacle = this.obstacle;
+        if (!obstacle) return 0;
+
+        if (obstacle.lifetime < 0.5) {
+            return 1 - Math.pow(1 - obstacle.lifetime / 0.5, 3);
+        }
+        if (obstacle.lifetime < this.obstacleDuration) {
+            return 1;
+        }
+        return 1 - Math.pow(Math.min(1, (obstacle.lifetime - this.obstacleDuration) / 0.5), 3);
+    }
+
+    getObstacleY() {
+        // Center of the raised block - full height puts it at wall height
+        const tileY = this.floorTiles[this.obstacle.tile].y;
+        const topY = this.obstacleHeight / 2 + ARENA.floorY;
+        return tileY + (topY - tileY) * this.getObstacleRise();
+    }
+}
+
+// Node (headless runs, tests) - the browser just uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSeededRandom,
+        generateSeed,
+        projectBallX,
+        routeThroughCube,
+        AI_STRATEGIES,
+        AI_DIFFICULTY_PRESETS,
+        POWER_UPS,
+        GAME_MODES,
+        usesMatchRules,
+        ARENA,
+        createArenaFloorTiles,
+        rampKeyVelocity,
+        GridZoneSimulation
+    };
+}
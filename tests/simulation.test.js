@@ -0,0 +1,639 @@
+// Ball physics and scoring regression tests - drive GridZoneSimulation tick by tick, no browser or WebGL.
+// Run from the repo root: node --test tests/
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GridZoneSimulation, ARENA, POWER_UPS, AI_STRATEGIES, GAME_MODES, projectBallX, routeThroughCube, usesMatchRules } = require('../simulation.js');
+
+const IDLE_INPUT = { left: false, right: false, mouseX: 0, stickX: 0, p2Left: false, p2Right: false, p2StickX: 0 };
+
+function createSimulation(seed = 1234) {
+    // Empty field: no serve, no obstacles, and an AI that never moves - each test places its own balls
+    const simulation = new GridZoneSimulation({ seed: seed });
+    simulation.obstacleInterval = Infinity;
+    simulation.ai.speed = 0;
+    return simulation;
+}
+
+function placeBall(simulation, position, velocity) {
+    return simulation.spawnBall(position.x, 0, position.z, { x: velocity.x, y: 0, z: velocity.z });
+}
+
+function recordEvents(simulation, types) {
+    const events = [];
+    for (const type of types) {
+        simulation.on(type, detail => events.push({ type: type, ...detail }));
+    }
+    return events;
+}
+
+function step(simulation, ticks = 1) {
+    for (let i = 0; i < ticks; i++) {
+        simulation.step(IDLE_INPUT);
+    }
+}
+
+function hitPaddle(simulation, side) {
+    // Line ball 0 up half a unit in front of the paddle face and let one tick carry it into it
+    const ball = simulation.balls[0];
+    const direction = side === 'player1' ? 1 : -1;
+    ball.position = { x: simulation.paddles[side].x, y: 0, z: direction * (ARENA.paddleFaceZ - 0.5) };
+    ball.velocity = { x: 0, y: 0, z: direction * 0.6 };
+    step(simulation);
+}
+
+describe('wall reflections', () => {
+    test('bounces off the right wall at x = 11.5', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['wallHit']);
+        const ball = placeBall(simulation, { x: 11.4, z: 0 }, { x: 0.2, z: -0.15 });
+
+        step(simulation);
+
+        assert.equal(ball.velocity.x, -0.2);
+        assert.ok(Math.abs(ball.position.x - 11.4) < 1e-9, `x = ${ball.position.x}`);
+        assert.deepEqual(events.map(event => event.side), [1]);
+    });
+
+    test('bounces off the left wall at x = -11.5', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['wallHit']);
+        const ball = placeBall(simulation, { x: -11.4, z: 0 }, { x: -0.2, z: 0.15 });
+
+        step(simulation);
+
+        assert.equal(ball.velocity.x, 0.2);
+        assert.ok(Math.abs(ball.position.x + 11.4) < 1e-9, `x = ${ball.position.x}`);
+        assert.deepEqual(events.map(event => event.side), [-1]);
+    });
+
+    test('keeps a minimum z speed after a shallow wall hit', () => {
+        const simulation = createSimulation();
+        const ball = placeBall(simulation, { x: 11, z: 0 }, { x: 0.6, z: 0.01 });
+
+        step(simulation);
+
+        assert.ok(Math.abs(ball.velocity.z) >= 0.12, `velocity.z = ${ball.velocity.z}`);
+    });
+
+    test('never leaves the arena between the walls', () => {
+        const simulation = createSimulation();
+        const ball = placeBall(simulation, { x: 0, z: 0 }, { x: 1.7, z: 0.01 });
+
+        for (let i = 0; i < 120; i++) {
+            step(simulation);
+            assert.ok(Math.abs(ball.position.x) <= ARENA.wallX, `tick ${i}: x = ${ball.position.x}`);
+        }
+    });
+});
+
+describe('paddle hits', () => {
+    test('player paddle sends the ball back 5% faster', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['paddleHit']);
+        const ball = placeBall(simulation, { x: 0, z: 14.4 }, { x: 0, z: 0.2 });
+
+        step(simulation);
+
+        assert.equal(ball.velocity.z, -0.2 * 1.05);
+        assert.equal(simulation.ballSpeedMultiplier, 1.05);
+        assert.equal(ball.owner, 'player');
+        assert.deepEqual(events.map(event => event.side), ['player1']);
+    });
+
+    test('AI paddle sends the ball back 5% faster', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['paddleHit']);
+        const ball = placeBall(simulation, { x: 0, z: -14.4 }, { x: 0, z: -0.2 });
+
+        step(simulation);
+
+        assert.equal(ball.velocity.z, 0.2 * 1.05);
+        assert.equal(ball.owner, 'ai');
+        assert.deepEqual(events.map(event => event.side), ['player2']);
+    });
+
+    test('speed-up compounds over a rally', () => {
+        const simulation = createSimulation();
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+
+        hitPaddle(simulation, 'player1');
+        hitPaddle(simulation, 'player2');
+        hitPaddle(simulation, 'player1');
+
+        assert.ok(Math.abs(simulation.ballSpeedMultiplier - Math.pow(1.05, 3)) < 1e-12);
+    });
+
+    test('hit offset from the paddle center deflects velocity.x by 0.1 per unit', () => {
+        // Same seed, same draws - only the offset differs between the two runs
+        const velocityXAfterHit = (offset) => {
+            const simulation = createSimulation();
+            simulation.paddles.player1.x = 2;
+            const ball = placeBall(simulation, { x: 2 + offset, z: 14.4 }, { x: 0, z: 0.2 });
+            step(simulation);
+            return ball.velocity.x;
+        };
+
+        const centered = velocityXAfterHit(0);
+        assert.ok(Math.abs(centered) <= 0.03, `centered hit velocity.x = ${centered}`); // Only the anti-stall jitter
+        assert.ok(Math.abs(velocityXAfterHit(1.5) - centered - 0.15) < 1e-9);
+        assert.ok(Math.abs(velocityXAfterHit(-2) - centered + 0.2) < 1e-9);
+    });
+
+    test('misses when the ball passes outside the paddle', () => {
+        const simulation = createSimulation();
+        simulation.paddles.player1.x = -6;
+        const ball = placeBall(simulation, { x: 0, z: 14.4 }, { x: 0, z: 0.2 });
+
+        step(simulation);
+
+        assert.equal(ball.velocity.z, 0.2);
+        assert.ok(ball.position.z > ARENA.paddleFaceZ);
+    });
+});
+
+describe('scoring', () => {
+    test('ball past z = 19 is a point for the AI', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['goal', 'ballRemoved']);
+        simulation.paddles.player1.x = -9;
+        placeBall(simulation, { x: 5, z: 18.9 }, { x: 0, z: 0.2 });
+
+        step(simulation);
+
+        assert.deepEqual(simulation.score, { player1: 0, player2: 1 });
+        assert.equal(simulation.balls.length, 0);
+        assert.deepEqual(events.map(event => event.type), ['ballRemoved', 'goal']);
+        assert.equal(events[1].scorer, 'player2');
+        assert.equal(simulation.frozen, true);
+    });
+
+    test('ball past z = -19 is a point for the player', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['goal']);
+        simulation.paddles.player2.x = -9;
+        placeBall(simulation, { x: 5, z: -18.9 }, { x: 0, z: -0.2 });
+
+        step(simulation);
+
+        assert.deepEqual(simulation.score, { player1: 1, player2: 0 });
+        assert.equal(events.length, 1);
+        assert.equal(events[0].scorer, 'player1');
+    });
+
+    test('ball exactly on the goal line has not scored', () => {
+        const simulation = createSimulation();
+        simulation.paddles.player1.x = -9;
+        const ball = placeBall(simulation, { x: 5, z: 18.75 }, { x: 0, z: 0.25 });
+
+        step(simulation);
+
+        assert.equal(ball.position.z, ARENA.goalZ);
+        assert.deepEqual(simulation.score, { player1: 0, player2: 0 });
+        assert.equal(simulation.balls.length, 1);
+    });
+
+    test('two balls through in one tick count as one goal', () => {
+        const simulation = createSimulation();
+        simulation.paddles.player1.x = -9;
+        simulation.paddles.player2.x = -9;
+        placeBall(simulation, { x: 5, z: -18.9 }, { x: 0, z: -0.2 });
+        placeBall(simulation, { x: 5, z: 18.9 }, { x: 0, z: 0.2 });
+
+        step(simulation);
+
+        // A death outranks the player's goal in the same tick
+        assert.deepEqual(simulation.score, { player1: 0, player2: 1 });
+        assert.equal(simulation.balls.length, 0);
+    });
+
+    test('serves again after the goal celebration', () => {
+        const simulation = createSimulation();
+        simulation.paddles.player2.x = -9;
+        placeBall(simulation, { x: 5, z: -18.9 }, { x: 0, z: -0.2 });
+
+        step(simulation);
+        step(simulation, 150); // 2.5s at 60Hz
+
+        assert.equal(simulation.frozen, false);
+        assert.equal(simulation.balls.length, 1);
+        // Served from the center on the last tick and already one tick on its way to the AI
+        assert.deepEqual(simulation.balls[0].position, { x: 0, y: 0, z: -simulation.baseBallSpeed });
+        assert.equal(simulation.balls[0].velocity.z, -simulation.baseBallSpeed);
+    });
+});
+
+describe('multi-ball', () => {
+    test('spawns a second ball when successful hits reach nextBallThreshold', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['multiBall']);
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+
+        for (let hit = 1; hit < 4; hit++) {
+            hitPaddle(simulation, 'player1');
+            assert.equal(simulation.balls.length, 1, `after hit ${hit}`);
+        }
+        hitPaddle(simulation, 'player1');
+
+        assert.equal(simulation.balls.length, 2);
+        assert.equal(events.length, 1);
+        const extraBall = simulation.balls[1];
+        assert.equal(extraBall.velocity.z, simulation.baseBallSpeed); // Heads for the player
+        assert.equal(extraBall.velocity.x, 0);
+        assert.equal(simulation.nextBallThreshold, 6);
+    });
+
+    test('spawns the extra ball near the AI paddle', () => {
+        const simulation = createSimulation();
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+        simulation.successfulHits = simulation.nextBallThreshold - 1;
+        const spawned = [];
+        simulation.on('multiBall', detail => spawned.push({ ...detail.ball.position }));
+
+        hitPaddle(simulation, 'player1');
+
+        assert.deepEqual(spawned, [{ x: 0, y: 0, z: -10 }]);
+    });
+
+    test('does not go past maxBalls', () => {
+        const simulation = createSimulation();
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+        placeBall(simulation, { x: -8, z: 0 }, { x: 0, z: 0 });
+        simulation.successfulHits = simulation.nextBallThreshold - 1;
+
+        hitPaddle(simulation, 'player1');
+
+        assert.equal(simulation.balls.length, simulation.maxBalls);
+        assert.equal(simulation.nextBallThreshold, 4);
+    });
+
+    test('AI returns do not count toward the threshold', () => {
+        const simulation = createSimulation();
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+
+        for (let hit = 0; hit < 6; hit++) {
+            hitPaddle(simulation, 'player2');
+        }
+
+        assert.equal(simulation.successfulHits, 0);
+        assert.equal(simulation.balls.length, 1);
+    });
+});
+
+describe('bonus cube', () => {
+    function createBonusSimulation(seed) {
+        // One ball only, so multi-ball can't get in the way of the hit count
+        const simulation = createSimulation(seed);
+        simulation.maxBalls = 1;
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+        return simulation;
+    }
+
+    test('spawns every bonusCubeSpawnInterval player hits', () => {
+        const simulation = createBonusSimulation();
+        const events = recordEvents(simulation, ['bonusSpawned']);
+
+        for (let hit = 1; hit < simulation.bonusCubeSpawnInterval; hit++) {
+            hitPaddle(simulation, 'player1');
+            assert.equal(simulation.bonusCube, null, `after hit ${hit}`);
+        }
+        hitPaddle(simulation, 'player1');
+
+        assert.notEqual(simulation.bonusCube, null);
+        assert.equal(events.length, 1);
+        assert.equal(simulation.playerHits, 0);
+
+        // Collected or not, the next one needs another full interval
+        simulation.removeBonusCube();
+        for (let hit = 1; hit < simulation.bonusCubeSpawnInterval; hit++) {
+            hitPaddle(simulation, 'player1');
+        }
+        assert.equal(simulation.bonusCube, null);
+        hitPaddle(simulation, 'player1');
+        assert.notEqual(simulation.bonusCube, null);
+    });
+
+    test('spawns inside the central play area on a seeded tile', () => {
+        const spawnSpot = (seed) => {
+            const simulation = createBonusSimulation(seed);
+            for (let hit = 0; hit < simulation.bonusCubeSpawnInterval; hit++) {
+                hitPaddle(simulation, 'player1');
+            }
+            return simulation.bonusCube;
+        };
+
+        const cube = spawnSpot(42);
+        assert.ok(Math.abs(cube.x) < 10 && Math.abs(cube.z) < 12, `cube at ${cube.x}, ${cube.z}`);
+        assert.deepEqual(spawnSpot(42), cube);
+    });
+
+    test('AI hits only count in local versus', () => {
+        const simulation = createBonusSimulation();
+        for (let hit = 0; hit < simulation.bonusCubeSpawnInterval; hit++) {
+            hitPaddle(simulation, 'player2');
+        }
+        assert.equal(simulation.bonusCube, null);
+
+        const versus = createBonusSimulation();
+        versus.versus = true;
+        for (let hit = 0; hit < versus.bonusCubeSpawnInterval; hit++) {
+            hitPaddle(versus, 'player2');
+        }
+        assert.notEqual(versus.bonusCube, null);
+    });
+});
+
+describe('power-ups', () => {
+    test('a collected cube starts its power-up for the collector', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['bonusCollected']);
+        const ball = placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: -0.6 });
+        ball.owner = 'player';
+        simulation.bonusCube = { x: 0, y: 0, z: -1, type: 'speed' };
+
+        step(simulation, 2);
+
+        assert.equal(simulation.bonusCube, null);
+        assert.deepEqual(events.map(event => [event.side, event.type]), [['player1', 'speed']]);
+        assert.notEqual(simulation.getPowerUp('speed', 'player1'), null);
+    });
+
+    test('SPEED BOOST speeds up the paddle until it runs out', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['bonusExpired']);
+        simulation.startPowerUp('speed', 'player1');
+
+        simulation.step({ ...IDLE_INPUT, stickX: 0.1 });
+        const boosted = simulation.paddleSpeed * 0.1 * POWER_UPS.speed.multiplier;
+        assert.ok(Math.abs(simulation.paddles.player1.x - boosted) < 1e-9);
+
+        step(simulation, POWER_UPS.speed.duration * 60);
+        assert.equal(simulation.paddles.player1.speedMultiplier, 1);
+        assert.deepEqual(events.map(event => [event.side, event.type]), [['player1', 'speed']]);
+    });
+
+    test('GIANT BALL bounces off the wall a radius sooner', () => {
+        const simulation = createSimulation();
+        simulation.startPowerUp('giant', 'player1');
+        step(simulation, 12); // 0.2s grow
+        assert.equal(simulation.getBallRadius(), ARENA.ballRadius * POWER_UPS.giant.multiplier);
+
+        const ball = placeBall(simulation, { x: 10.9, z: 0 }, { x: 0.2, z: -0.15 });
+        step(simulation);
+
+        assert.equal(ball.velocity.x, -0.2);
+        assert.ok(Math.abs(ball.position.x - 10.9) < 1e-9, `x = ${ball.position.x}`);
+    });
+
+    test('SHIELD reflects one ball the paddle missed, then breaks', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['shieldHit', 'goal']);
+        simulation.startPowerUp('shield', 'player1');
+        const ball = placeBall(simulation, { x: 8, z: 16 }, { x: 0, z: 0.6 });
+
+        step(simulation, 3);
+
+        assert.ok(ball.velocity.z < 0);
+        assert.equal(ball.owner, 'player');
+        assert.equal(simulation.paddles.player1.shield, false);
+        assert.equal(simulation.getPowerUp('shield'), null);
+        assert.deepEqual(events.map(event => event.type), ['shieldHit']);
+    });
+
+    test('the AI keeps the power-up its ball takes', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['bonusCollected']);
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0.6 });
+        simulation.bonusCube = { x: 0, y: 0, z: 1, type: 'wide' };
+
+        step(simulation, 2);
+
+        assert.deepEqual(events.map(event => [event.side, event.type]), [['player2', 'wide']]);
+        assert.notEqual(simulation.getPowerUp('wide', 'player2'), null);
+    });
+
+    for (const strategy of ['predictive', 'aggressive']) {
+        test(`the ${strategy} AI returns the ball through the cube`, () => {
+            const simulation = createSimulation();
+            const events = recordEvents(simulation, ['paddleHit', 'bonusCollected']);
+            Object.assign(simulation.ai, { strategy: strategy, speed: 0.5, accuracy: 1 });
+            simulation.random = () => 0.5; // No hit jitter - the return goes exactly where it was aimed
+            placeBall(simulation, { x: 0, z: -5 }, { x: 0.05, z: -0.5 });
+            const cube = { x: -3, y: 0, z: 4, type: 'speed' }; // A straight return would pass well wide of it
+            simulation.bonusCube = cube;
+
+            // Where the strategy should line up: off-center enough to angle the return at the cube
+            const context = {
+                ballX: 0, ballZ: -5, velocityX: 0.05, velocityZ: -0.5,
+                paddleX: 0, paddleZ: -ARENA.paddleZ, paddleFaceZ: -ARENA.paddleFaceZ, halfWidth: ARENA.paddleHalfWidth,
+                opponentX: 0, wallX: ARENA.wallX, cube: { x: cube.x, z: cube.z }
+            };
+            const routedX = routeThroughCube(context, projectBallX(context, context.paddleFaceZ));
+            assert.notEqual(routedX, null);
+
+            step(simulation, 10);
+            assert.ok(Math.abs(simulation.ai.targetX - routedX) < 1e-9, `target ${simulation.ai.targetX}, routed ${routedX}`);
+            assert.ok(Math.abs(simulation.paddles.player2.x - routedX) <= 0.5, `paddle at ${simulation.paddles.player2.x}`);
+
+            // The AI stops within its 0.5 deadband - line it up on the target and follow the return to the cube's z
+            simulation.paddles.player2.x = simulation.ai.targetX;
+            let crossingX = null;
+            for (let tick = 0; tick < 60; tick++) {
+                const from = { x: simulation.balls[0].position.x, z: simulation.balls[0].position.z };
+                simulation.step(IDLE_INPUT);
+                const to = simulation.balls[0].position;
+                if (crossingX === null && events.length > 0 && to.z >= cube.z) {
+                    crossingX = from.x + (to.x - from.x) * (cube.z - from.z) / (to.z - from.z);
+                }
+            }
+            assert.ok(Math.abs(crossingX - cube.x) < 1e-6, `return crossed the cube's z at x = ${crossingX}`);
+
+            // paddleHit, then bonusCollected (whose type is the power-up's)
+            assert.equal(events.length, 2);
+            assert.equal(events[0].type, 'paddleHit');
+            assert.equal(events[1].cube.type, 'speed');
+            assert.equal(events[1].side, 'player2');
+        });
+    }
+
+    test('the classic and defensive AIs ignore the cube', () => {
+        const context = {
+            ballX: 0, ballZ: -5, velocityX: 0.05, velocityZ: -0.5,
+            paddleX: 0, paddleZ: -ARENA.paddleZ, paddleFaceZ: -ARENA.paddleFaceZ, halfWidth: ARENA.paddleHalfWidth,
+            opponentX: 0, wallX: ARENA.wallX, cube: null
+        };
+        const withCube = { ...context, cube: { x: -3, z: 4 } };
+
+        for (const strategy of ['classic', 'defensive']) {
+            const chooseTarget = AI_STRATEGIES[strategy].chooseTarget;
+            assert.equal(chooseTarget(withCube), chooseTarget(context), strategy);
+        }
+        for (const strategy of ['predictive', 'aggressive']) {
+            const chooseTarget = AI_STRATEGIES[strategy].chooseTarget;
+            assert.notEqual(chooseTarget(withCube), chooseTarget(context), strategy);
+        }
+    });
+
+    test('the AI raises its own SHIELD from a cube it takes', () => {
+        const simulation = createSimulation();
+        const ball = placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: -0.6 });
+        simulation.bonusCube = { x: 0, y: 0, z: -1, type: 'shield' };
+        step(simulation, 2);
+        assert.equal(simulation.paddles.player2.shield, true);
+
+        // Past the AI paddle (x = 0) wide on the left, into the barrier in front of the AI goal
+        ball.position = { x: -8, y: 0, z: -16 };
+        ball.velocity = { x: 0, y: 0, z: -0.6 };
+        step(simulation, 3);
+
+        assert.ok(ball.velocity.z > 0);
+        assert.equal(ball.owner, 'ai');
+        assert.equal(simulation.paddles.player2.shield, false);
+    });
+
+    test('MULTI-BALL launches a ball from the collector toward the other goal', () => {
+        const simulation = createSimulation();
+        const events = recordEvents(simulation, ['multiBall']);
+        placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: -0.6 });
+
+        simulation.startPowerUp('multiBall', 'player2');
+
+        assert.equal(simulation.balls.length, 2);
+        assert.ok(simulation.balls[1].velocity.z > 0);
+        assert.equal(simulation.balls[1].owner, 'ai');
+        assert.equal(events.length, 1);
+        assert.equal(simulation.powerUps.length, 0);
+    });
+
+    test('a MULTI-BALL ball moves exactly one tick in its first tick', () => {
+        const simulation = createSimulation();
+        const ball = placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: -0.6 });
+        ball.owner = 'player';
+        simulation.bonusCube = { x: 0, y: 0, z: -0.3, type: 'multiBall' };
+
+        step(simulation); // Collected mid-sweep - the new ball starts off paddle1 at z = 13
+        const launched = simulation.balls[1];
+        assert.equal(launched.position.z, ARENA.paddleZ - 2);
+
+        step(simulation);
+        assert.ok(Math.abs(launched.position.z - (ARENA.paddleZ - 2 - simulation.baseBallSpeed)) < 1e-9, `z = ${launched.position.z}`);
+    });
+
+    test('CLOAK hides the cloaked side\'s balls through midfield only', () => {
+        const simulation = createSimulation();
+        simulation.startPowerUp('cloak', 'player1');
+        const ball = placeBall(simulation, { x: 0, z: 0 }, { x: 0, z: 0 });
+
+        ball.owner = 'player';
+        assert.equal(simulation.isBallCloaked(ball), true);
+        ball.position.z = -POWER_UPS.cloak.hiddenZ - 1;
+        assert.equal(simulation.isBallCloaked(ball), false);
+        ball.position.z = 0;
+        ball.owner = 'ai';
+        assert.equal(simulation.isBallCloaked(ball), false);
+    });
+
+    test('collecting the power-up the other side has takes it off them', () => {
+        const simulation = createSimulation();
+        simulation.startPowerUp('wide', 'player1');
+        step(simulation, 12);
+        assert.equal(simulation.getPaddleHalfWidth('player1'), ARENA.paddleHalfWidth * 2);
+
+        simulation.startPowerUp('wide', 'player2');
+
+        assert.equal(simulation.getPaddleHalfWidth('player1'), ARENA.paddleHalfWidth);
+        assert.deepEqual(simulation.powerUps.map(entry => entry.side), ['player2']);
+    });
+});
+
+describe('paddle controls', () => {
+    const holdRight = { ...IDLE_INPUT, right: true };
+
+    test('keys move paddle1 at full speed straight away without ramps', () => {
+        const simulation = createSimulation();
+        simulation.step(holdRight);
+        assert.equal(simulation.paddles.player1.x, simulation.paddleSpeed);
+
+        simulation.step(IDLE_INPUT);
+        assert.equal(simulation.paddles.player1.x, simulation.paddleSpeed);
+    });
+
+    test('acceleration ramp reaches full speed after keyAccelerationTime', () => {
+        const simulation = createSimulation();
+        simulation.keyAccelerationTime = 0.1; // 6 ticks
+        simulation.step(holdRight);
+        assert.ok(Math.abs(simulation.paddles.player1.keyVelocity - 1 / 6) < 1e-9);
+
+        for (let tick = 0; tick < 5; tick++) {
+            simulation.step(holdRight);
+        }
+        assert.equal(simulation.paddles.player1.keyVelocity, 1);
+    });
+
+    test('deceleration ramp keeps the paddle sliding after release', () => {
+        const simulation = createSimulation();
+        simulation.keyDecelerationTime = 0.05; // 3 ticks
+        simulation.step(holdRight);
+        const releasedAt = simulation.paddles.player1.x;
+
+        simulation.step(IDLE_INPUT);
+        assert.ok(simulation.paddles.player1.x > releasedAt);
+        step(simulation, 2);
+        assert.equal(simulation.paddles.player1.keyVelocity, 0);
+    });
+
+    test('a match started with a key held replays the same paddle moves', () => {
+        const live = createSimulation();
+        live.keyAccelerationTime = 0.5; // 30 ticks
+        for (let tick = 0; tick < 10; tick++) {
+            live.step(holdRight); // Held on the title screen before the match starts
+        }
+        live.startMatch(99);
+
+        // What createReplayRecording() keeps: seed, paddle x at the start and the per-tick inputs
+        const startX = live.paddles.player1.x;
+        const inputs = [];
+        for (let tick = 0; tick < 20; tick++) {
+            inputs.push(holdRight);
+            live.step(holdRight);
+        }
+
+        const replay = createSimulation();
+        replay.keyAccelerationTime = 0.5;
+        replay.startMatch(99);
+        replay.paddles.player1.x = startX;
+        for (const input of inputs) {
+            replay.step(input);
+        }
+
+        assert.equal(replay.paddles.player1.keyVelocity, live.paddles.player1.keyVelocity);
+        assert.equal(replay.paddles.player1.x, live.paddles.player1.x);
+    });
+
+    test('stick input is used as given', () => {
+        const simulation = createSimulation();
+        simulation.step({ ...IDLE_INPUT, stickX: 0.1 });
+        assert.ok(Math.abs(simulation.paddles.player1.x - simulation.paddleSpeed * 0.1) < 1e-9);
+    });
+});
+
+describe('game modes', () => {
+    test('classic and local versus play by the match rules', () => {
+        assert.equal(usesMatchRules('classic'), true);
+        assert.equal(usesMatchRules('versus'), true);
+    });
+
+    test('time attack and survival keep their own clock and end condition', () => {
+        assert.equal(usesMatchRules('timeAttack'), false);
+        assert.equal(usesMatchRules('survival'), false);
+    });
+
+    test('an unknown mode does not use the match rules', () => {
+        assert.equal(usesMatchRules('practice'), false);
+    });
+
+    test('every mode has a unique id', () => {
+        const ids = GAME_MODES.map(mode => mode.id);
+        assert.equal(new Set(ids).size, ids.length);
+    });
+});